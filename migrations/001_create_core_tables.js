@@ -0,0 +1,71 @@
+// Users, products and sales as used by the routes and the sync resolver.
+// IF NOT EXISTS lets databases that were set up by hand adopt migrations.
+// User references are plain integers, not foreign keys: users never leave
+// their region, while products and sales reference them across regions.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      full_name VARCHAR(255),
+      email VARCHAR(255) UNIQUE,
+      phone VARCHAR(50),
+      role VARCHAR(50) NOT NULL DEFAULT 'manufacturer',
+      country VARCHAR(100),
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      last_login TIMESTAMP,
+      sync_source VARCHAR(50),
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      product_name VARCHAR(255) NOT NULL,
+      description TEXT,
+      price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      stock_quantity INTEGER NOT NULL DEFAULT 0,
+      category VARCHAR(100),
+      manufacturer_country VARCHAR(100),
+      created_by_user_id INTEGER,
+      sync_source VARCHAR(50),
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_products_category ON products (category);
+
+    CREATE TABLE IF NOT EXISTS sales (
+      id SERIAL PRIMARY KEY,
+      sale_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      product_id INTEGER,
+      product_name VARCHAR(255),
+      quantity INTEGER NOT NULL DEFAULT 1,
+      unit_price DECIMAL(10, 2),
+      total_amount DECIMAL(12, 2),
+      customer_name VARCHAR(255),
+      sale_region VARCHAR(100),
+      salesperson_user_id INTEGER,
+      sync_source VARCHAR(50),
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_sales_date ON sales (sale_date DESC);
+    CREATE INDEX IF NOT EXISTS idx_sales_product ON sales (product_id);
+
+    -- Debezium needs full before images for the field-level merge
+    ALTER TABLE users REPLICA IDENTITY FULL;
+    ALTER TABLE products REPLICA IDENTITY FULL;
+    ALTER TABLE sales REPLICA IDENTITY FULL;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS sales;
+    DROP TABLE IF EXISTS products;
+    DROP TABLE IF EXISTS users;
+  `
+};
@@ -0,0 +1,171 @@
+// Bookkeeping tables of the sync pipeline: dead letters, outbox, idempotency
+// ledger, column writers, audit log, bootstrap and reconciliation runs,
+// schema drift, consumer pauses and metric rollups
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sync_dead_letters (
+      id SERIAL PRIMARY KEY,
+      topic VARCHAR(255) NOT NULL,
+      dlq_topic VARCHAR(255) NOT NULL,
+      kafka_partition INTEGER,
+      kafka_offset VARCHAR(64),
+      message_key TEXT,
+      message_value TEXT,
+      headers JSONB DEFAULT '{}'::jsonb,
+      error TEXT,
+      error_stack TEXT,
+      attempts INTEGER DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'pending',
+      resolved_by VARCHAR(255),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_sync_dead_letters_status ON sync_dead_letters (status, created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS outbox (
+      id BIGSERIAL PRIMARY KEY,
+      event_id UUID NOT NULL UNIQUE,
+      topic VARCHAR(255) NOT NULL,
+      table_name VARCHAR(100) NOT NULL,
+      record_id VARCHAR(100) NOT NULL,
+      operation CHAR(1) NOT NULL,
+      payload JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      published_at TIMESTAMP,
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_outbox_unpublished ON outbox (id) WHERE published_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS sync_processed_events (
+      event_id VARCHAR(255) PRIMARY KEY,
+      topic VARCHAR(255) NOT NULL,
+      kafka_partition INTEGER,
+      kafka_offset VARCHAR(64),
+      table_name VARCHAR(100),
+      record_id VARCHAR(100),
+      processed_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_sync_processed_events_at ON sync_processed_events (processed_at);
+
+    CREATE TABLE IF NOT EXISTS sync_column_writers (
+      table_name VARCHAR(100) NOT NULL,
+      record_id VARCHAR(100) NOT NULL,
+      column_name VARCHAR(100) NOT NULL,
+      last_writer VARCHAR(50) NOT NULL,
+      written_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (table_name, record_id, column_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_audit (
+      id BIGSERIAL PRIMARY KEY,
+      topic VARCHAR(255) NOT NULL,
+      kafka_partition INTEGER,
+      kafka_offset VARCHAR(64),
+      table_name VARCHAR(100) NOT NULL,
+      record_id VARCHAR(100),
+      operation VARCHAR(10),
+      source VARCHAR(50),
+      destination VARCHAR(50),
+      decision VARCHAR(20) NOT NULL,
+      strategy VARCHAR(100),
+      reason VARCHAR(255),
+      columns_changed TEXT[],
+      columns_applied TEXT[],
+      columns_blocked TEXT[],
+      stripped_fields TEXT[],
+      column_decisions JSONB,
+      before_snapshot JSONB,
+      after_snapshot JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_sync_audit_record ON sync_audit (table_name, record_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_sync_audit_created ON sync_audit (created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS sync_bootstrap_runs (
+      id SERIAL PRIMARY KEY,
+      source_type VARCHAR(20) NOT NULL,
+      options JSONB NOT NULL,
+      status VARCHAR(20) DEFAULT 'running',
+      total BIGINT,
+      processed BIGINT DEFAULT 0,
+      applied BIGINT DEFAULT 0,
+      skipped BIGINT DEFAULT 0,
+      failed BIGINT DEFAULT 0,
+      checkpoint JSONB DEFAULT '{}'::jsonb,
+      error TEXT,
+      started_by VARCHAR(255),
+      started_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_reconciliation_reports (
+      id SERIAL PRIMARY KEY,
+      status VARCHAR(20) DEFAULT 'running',
+      repair BOOLEAN DEFAULT false,
+      triggered_by VARCHAR(255),
+      tables JSONB DEFAULT '{}'::jsonb,
+      error TEXT,
+      started_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_schema_drift (
+      table_name VARCHAR(100) NOT NULL,
+      column_name VARCHAR(100) NOT NULL,
+      kind VARCHAR(30) NOT NULL,
+      detail TEXT,
+      occurrences BIGINT DEFAULT 1,
+      first_seen TIMESTAMP DEFAULT NOW(),
+      last_seen TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (table_name, column_name, kind)
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_parked_columns (
+      table_name VARCHAR(100) NOT NULL,
+      record_id VARCHAR(100) NOT NULL,
+      column_name VARCHAR(100) NOT NULL,
+      value JSONB,
+      parked_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (table_name, record_id, column_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_consumer_pauses (
+      topic VARCHAR(255) PRIMARY KEY,
+      paused_by VARCHAR(255),
+      paused_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_metric_rollups (
+      bucket_start TIMESTAMP NOT NULL,
+      source VARCHAR(50) NOT NULL,
+      destination VARCHAR(50) NOT NULL,
+      table_name VARCHAR(100) NOT NULL,
+      latency_count INTEGER DEFAULT 0,
+      latency_sum_ms BIGINT DEFAULT 0,
+      latency_min_ms INTEGER,
+      latency_max_ms INTEGER,
+      latency_buckets INTEGER[] NOT NULL,
+      applied_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      PRIMARY KEY (bucket_start, source, destination, table_name)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS sync_metric_rollups;
+    DROP TABLE IF EXISTS sync_consumer_pauses;
+    DROP TABLE IF EXISTS sync_parked_columns;
+    DROP TABLE IF EXISTS sync_schema_drift;
+    DROP TABLE IF EXISTS sync_reconciliation_reports;
+    DROP TABLE IF EXISTS sync_bootstrap_runs;
+    DROP TABLE IF EXISTS sync_audit;
+    DROP TABLE IF EXISTS sync_column_writers;
+    DROP TABLE IF EXISTS sync_processed_events;
+    DROP TABLE IF EXISTS outbox;
+    DROP TABLE IF EXISTS sync_dead_letters;
+  `
+};
@@ -0,0 +1,65 @@
+// Row versioning for the synced tables, maintained by a trigger so every write
+// path gets it: version goes up by one on each update, updated_at is the local
+// write time, and source_updated_at is when the row last changed in the region
+// that wrote it. The sync resolver marks its transactions with
+// sync.applying = 'on'; for those the incoming source_updated_at (and a higher
+// incoming version) are kept instead of being stamped locally.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS source_updated_at TIMESTAMP;
+    ALTER TABLE products ADD COLUMN IF NOT EXISTS source_updated_at TIMESTAMP;
+    ALTER TABLE sales ADD COLUMN IF NOT EXISTS source_updated_at TIMESTAMP;
+
+    UPDATE users SET source_updated_at = COALESCE(updated_at, created_at, NOW()) WHERE source_updated_at IS NULL;
+    UPDATE products SET source_updated_at = COALESCE(updated_at, created_at, NOW()) WHERE source_updated_at IS NULL;
+    UPDATE sales SET source_updated_at = COALESCE(updated_at, created_at, NOW()) WHERE source_updated_at IS NULL;
+
+    CREATE OR REPLACE FUNCTION sync_row_version() RETURNS trigger AS $$
+    DECLARE
+      applying BOOLEAN := COALESCE(current_setting('sync.applying', true), '') = 'on';
+    BEGIN
+      IF TG_OP = 'UPDATE' THEN
+        NEW.version := GREATEST(COALESCE(OLD.version, 0) + 1, CASE WHEN applying THEN COALESCE(NEW.version, 0) ELSE 0 END);
+      ELSIF NOT applying OR NEW.version IS NULL THEN
+        NEW.version := 1;
+      END IF;
+
+      NEW.updated_at := NOW();
+      IF NOT applying OR NEW.source_updated_at IS NULL THEN
+        NEW.source_updated_at := NOW();
+      ELSIF TG_OP = 'UPDATE' AND OLD.source_updated_at > NEW.source_updated_at THEN
+        -- A partial (field-level) merge of an older change never moves it back
+        NEW.source_updated_at := OLD.source_updated_at;
+      END IF;
+
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS users_row_version ON users;
+    CREATE TRIGGER users_row_version BEFORE INSERT OR UPDATE ON users
+      FOR EACH ROW EXECUTE FUNCTION sync_row_version();
+    DROP TRIGGER IF EXISTS products_row_version ON products;
+    CREATE TRIGGER products_row_version BEFORE INSERT OR UPDATE ON products
+      FOR EACH ROW EXECUTE FUNCTION sync_row_version();
+    DROP TRIGGER IF EXISTS sales_row_version ON sales;
+    CREATE TRIGGER sales_row_version BEFORE INSERT OR UPDATE ON sales
+      FOR EACH ROW EXECUTE FUNCTION sync_row_version();
+  `,
+
+  down: `
+    DROP TRIGGER IF EXISTS sales_row_version ON sales;
+    DROP TRIGGER IF EXISTS products_row_version ON products;
+    DROP TRIGGER IF EXISTS users_row_version ON users;
+    DROP FUNCTION IF EXISTS sync_row_version();
+
+    ALTER TABLE sales DROP COLUMN IF EXISTS source_updated_at;
+    ALTER TABLE products DROP COLUMN IF EXISTS source_updated_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS source_updated_at;
+  `
+};
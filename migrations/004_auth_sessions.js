@@ -0,0 +1,46 @@
+// Server-side sessions: one row per sign-in (device), the hashes of every
+// refresh token issued to it (rotated on each refresh, so a replayed old token
+// is recognised) and a denylist of revoked access token ids (jti).
+// Auth data stays in its region, like users.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id UUID PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT,
+      ip VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id) WHERE revoked_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+      token_hash CHAR(64) PRIMARY KEY,
+      session_id UUID NOT NULL REFERENCES auth_sessions (id) ON DELETE CASCADE,
+      access_jti UUID,
+      access_expires_at TIMESTAMP,
+      issued_at TIMESTAMP DEFAULT NOW(),
+      used_at TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_session ON auth_refresh_tokens (session_id);
+
+    CREATE TABLE IF NOT EXISTS auth_revoked_tokens (
+      jti UUID PRIMARY KEY,
+      user_id INTEGER,
+      reason VARCHAR(50),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_revoked_tokens_expires ON auth_revoked_tokens (expires_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS auth_revoked_tokens;
+    DROP TABLE IF EXISTS auth_refresh_tokens;
+    DROP TABLE IF EXISTS auth_sessions;
+  `
+};
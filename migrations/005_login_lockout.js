@@ -0,0 +1,39 @@
+// Brute-force protection on login: failed attempts and temporary lockout per
+// account (on users) and per client IP, plus an audit trail of auth events
+// (lockouts, unlocks)
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS auth_ip_failures (
+      ip VARCHAR(64) PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      window_started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      blocked_until TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_events (
+      id BIGSERIAL PRIMARY KEY,
+      event_type VARCHAR(50) NOT NULL,
+      user_id INTEGER,
+      username VARCHAR(100),
+      ip VARCHAR(64),
+      details JSONB DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_events_user ON auth_events (user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_auth_events_type ON auth_events (event_type, created_at DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS auth_events;
+    DROP TABLE IF EXISTS auth_ip_failures;
+    ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+    ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login;
+    ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
+  `
+};
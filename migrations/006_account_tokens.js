@@ -0,0 +1,27 @@
+// Password reset and email verification: emailed single-use tokens (stored as
+// SHA-256 hashes) and the verification state of each user's email. Existing
+// users are treated as verified so they can still log in.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+    UPDATE users SET email_verified_at = COALESCE(created_at, NOW()) WHERE email_verified_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS auth_account_tokens (
+      token_hash CHAR(64) PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      purpose VARCHAR(30) NOT NULL,
+      email VARCHAR(255),
+      requested_ip VARCHAR(64),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_account_tokens_user ON auth_account_tokens (user_id, purpose) WHERE used_at IS NULL;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS auth_account_tokens;
+    ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+  `
+};
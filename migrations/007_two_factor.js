@@ -0,0 +1,32 @@
+// TOTP two-factor authentication: each user's (encrypted) authenticator secret,
+// the last time step accepted (a code can't be replayed), hashed single-use
+// recovery codes, and whether a session was started with a second factor.
+
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+    CREATE TABLE IF NOT EXISTS auth_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, code_hash)
+    );
+
+    ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS mfa BOOLEAN NOT NULL DEFAULT false;
+  `,
+
+  down: `
+    ALTER TABLE auth_sessions DROP COLUMN IF EXISTS mfa;
+    DROP TABLE IF EXISTS auth_recovery_codes;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_last_step;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_enabled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_pending_secret;
+    ALTER TABLE users DROP COLUMN IF EXISTS totp_secret;
+  `
+};
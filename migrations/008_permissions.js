@@ -0,0 +1,87 @@
+// Permission model: named permissions granted to roles (role_permissions),
+// checked by requirePermission instead of hard-coded role lists. Roles already
+// used by existing users are kept and get the read permissions every
+// authenticated user had before.
+
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS roles (
+      name VARCHAR(50) PRIMARY KEY,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS permissions (
+      name VARCHAR(100) PRIMARY KEY,
+      description TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+      permission VARCHAR(100) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+      granted_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (role, permission)
+    );
+
+    INSERT INTO roles (name, description) VALUES
+      ('manufacturer', 'Creates products and edits its own'),
+      ('manager', 'Manages all products and sees users'),
+      ('admin', 'Everything, including role assignment')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO permissions (name, description) VALUES
+      ('products:read', 'List products'),
+      ('products:write', 'Create products and edit the ones you created'),
+      ('products:write:any', 'Edit any product and set its creator'),
+      ('sales:read', 'List sales'),
+      ('stats:read', 'Region and sync statistics'),
+      ('users:read', 'List users with their contact details'),
+      ('users:manage', 'Unlock accounts and read auth events'),
+      ('roles:manage', 'Assign roles to users and permissions to roles'),
+      ('sync:admin', 'Operate the sync pipeline: consumer, offsets, dead letters, bootstrap, reconciliation')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission)
+    SELECT grants.role, grants.permission
+    FROM (VALUES
+      ('manufacturer', 'products:read'),
+      ('manufacturer', 'products:write'),
+      ('manufacturer', 'sales:read'),
+      ('manufacturer', 'stats:read'),
+      ('manager', 'products:read'),
+      ('manager', 'products:write'),
+      ('manager', 'products:write:any'),
+      ('manager', 'sales:read'),
+      ('manager', 'stats:read'),
+      ('manager', 'users:read')
+    ) AS grants (role, permission)
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission)
+    SELECT 'admin', name FROM permissions
+    ON CONFLICT DO NOTHING;
+
+    -- Roles of existing users that aren't defined yet keep read access
+    WITH existing_roles AS (
+      INSERT INTO roles (name)
+      SELECT DISTINCT role FROM users
+      ON CONFLICT (name) DO NOTHING
+      RETURNING name
+    )
+    INSERT INTO role_permissions (role, permission)
+    SELECT r.name, p.permission
+    FROM existing_roles r
+    CROSS JOIN (VALUES ('products:read'), ('sales:read'), ('stats:read')) AS p (permission)
+    ON CONFLICT DO NOTHING;
+
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+  `,
+
+  down: `
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+    DROP TABLE IF EXISTS role_permissions;
+    DROP TABLE IF EXISTS permissions;
+    DROP TABLE IF EXISTS roles;
+  `
+};
@@ -0,0 +1,13 @@
+// Accounts can exist without a password (e.g. users synced in or created by an
+// admin); login tells them to choose one through "Forgot password"
+
+module.exports = {
+  up: `
+    ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+  `,
+
+  down: `
+    UPDATE users SET password_hash = '!' WHERE password_hash IS NULL;
+    ALTER TABLE users ALTER COLUMN password_hash SET NOT NULL;
+  `
+};
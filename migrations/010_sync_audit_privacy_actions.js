@@ -0,0 +1,12 @@
+// Privacy policy action per column in the sync audit (stripped_fields only
+// lists dropped columns; nulled, hashed and generalized ones were invisible)
+
+module.exports = {
+  up: `
+    ALTER TABLE sync_audit ADD COLUMN IF NOT EXISTS privacy_actions JSONB;
+  `,
+
+  down: `
+    ALTER TABLE sync_audit DROP COLUMN IF EXISTS privacy_actions;
+  `
+};
@@ -0,0 +1,204 @@
+// Feed synthetic Debezium messages through the conflict resolver against the
+// configured (local) Postgres and compare per-message and batched throughput.
+// Uses a scratch table, sync_benchmark_items, which is dropped afterwards.
+// Usage: npm run benchmark:sync -- [--messages=5000] [--keys=500] [--batch=500] [--concurrency=4] [--mode=both|message|batch]
+
+const { pool } = require('../src/database/dbConnection');
+const { resolveConflict, resolveBatch } = require('../src/kafka/conflictResolver');
+const { assertMigrationsCurrent } = require('../src/database/migrations');
+const { getSources } = require('../src/utils/topology');
+const config = require('../src/config/config');
+
+const TABLE = 'sync_benchmark_items';
+const ROUTE = { table: TABLE, primaryKey: ['id'], conflict: null };
+
+// Debezium field schemas of the scratch table (embedded in every message)
+const FIELDS = [
+  { field: 'id', type: 'int32', optional: false },
+  { field: 'name', type: 'string', optional: true },
+  { field: 'price', type: 'bytes', optional: true, name: 'org.apache.kafka.connect.data.Decimal', parameters: { scale: '2' } },
+  { field: 'quantity', type: 'int32', optional: true },
+  { field: 'updated_at', type: 'int64', optional: true, name: 'io.debezium.time.MicroTimestamp' }
+];
+
+function parseArgs() {
+  const args = {};
+  for (const arg of process.argv.slice(2)) {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    args[name] = value;
+  }
+  return {
+    messages: parseInt(args.messages) || 5000,
+    keys: parseInt(args.keys) || 500,
+    batch: parseInt(args.batch) || config.sync.batch.maxMessages,
+    concurrency: parseInt(args.concurrency) || config.sync.batch.keyConcurrency,
+    mode: args.mode || 'both'
+  };
+}
+
+/**
+ * Debezium Decimal bytes (base64 big-endian two's complement) for a price in cents
+ */
+function encodeDecimal(cents) {
+  let hex = BigInt(cents).toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  if (parseInt(hex[0], 16) >= 8) hex = `00${hex}`;
+  return Buffer.from(hex, 'hex').toString('base64');
+}
+
+// Source timestamps ahead of the destination's own updated_at, so every update wins
+const BASE_TIME_MS = Date.now() + 60 * 60 * 1000;
+
+function syntheticRow(id, version) {
+  return {
+    id,
+    name: `Item ${id}`,
+    price: encodeDecimal(1000 + version),
+    quantity: version,
+    updated_at: (BASE_TIME_MS + version) * 1000
+  };
+}
+
+/**
+ * Resolver inputs: a create for each key, then updates spread over the keys
+ */
+function generateInputs({ messages, keys }, run, source) {
+  const versions = new Map();
+  const inputs = [];
+
+  for (let offset = 0; offset < messages; offset++) {
+    const id = (offset % keys) + 1;
+    const previous = versions.get(id);
+    const version = previous === undefined ? 0 : previous + 1;
+    versions.set(id, version);
+
+    inputs.push({
+      topic: `bench.${TABLE}`,
+      route: ROUTE,
+      partition: 0,
+      offset: String(offset),
+      eventId: `bench:${run}:${offset}`,
+      key: { id },
+      value: {
+        schema: { fields: [{ field: 'before', fields: FIELDS }, { field: 'after', fields: FIELDS }] },
+        payload: {
+          op: previous === undefined ? 'c' : 'u',
+          before: previous === undefined ? null : syntheticRow(id, previous),
+          after: syntheticRow(id, version),
+          source: { connector: 'postgresql', table: TABLE },
+          _sync_origin: source
+        }
+      },
+      source,
+      destination: config.region
+    });
+  }
+
+  return inputs;
+}
+
+async function resetTable() {
+  await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+  await pool.query(`
+    CREATE TABLE ${TABLE} (
+      id INTEGER PRIMARY KEY,
+      name VARCHAR(255),
+      price DECIMAL(10, 2),
+      quantity INTEGER,
+      sync_source VARCHAR(50),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function cleanup() {
+  await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+  await pool.query('DELETE FROM sync_processed_events WHERE table_name = $1', [TABLE]);
+  await pool.query('DELETE FROM sync_column_writers WHERE table_name = $1', [TABLE]);
+  await pool.query('DELETE FROM sync_audit WHERE table_name = $1', [TABLE]);
+}
+
+/**
+ * Same sharding as the consumer: one shard per key, shards applied in parallel
+ */
+async function runBatched(inputs, { batch, concurrency }) {
+  for (let start = 0; start < inputs.length; start += batch) {
+    const shards = Array.from({ length: concurrency }, () => []);
+    for (const input of inputs.slice(start, start + batch)) {
+      shards[input.key.id % concurrency].push(input);
+    }
+    await Promise.all(shards.filter(shard => shard.length > 0).map(resolveBatch));
+  }
+}
+
+async function runPerMessage(inputs) {
+  for (const input of inputs) {
+    await resolveConflict(input);
+  }
+}
+
+async function measure(label, fn) {
+  await resetTable();
+
+  // The resolver logs every decision; keep the benchmark output readable
+  const log = console.log;
+  console.log = () => {};
+  const startedAt = process.hrtime.bigint();
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  const { rows } = await pool.query(`SELECT COUNT(*) AS count, COALESCE(SUM(quantity), 0) AS quantity FROM ${TABLE}`);
+  return { mode: label, elapsedMs: Math.round(elapsedMs), rows: parseInt(rows[0].count), quantitySum: parseInt(rows[0].quantity) };
+}
+
+async function main() {
+  const options = parseArgs();
+  const source = getSources()[0];
+  if (!source) {
+    throw new Error(`No region sends changes to ${config.region} in the topology`);
+  }
+
+  await assertMigrationsCurrent();
+
+  console.log(`⏱️  Benchmarking ${options.messages} message(s) over ${options.keys} key(s), ${source} → ${config.region}`);
+
+  const results = [];
+  try {
+    if (options.mode !== 'batch') {
+      results.push(await measure('per-message', () => runPerMessage(generateInputs(options, `m${Date.now()}`, source))));
+    }
+    if (options.mode !== 'message') {
+      results.push(await measure(`batch=${options.batch} concurrency=${options.concurrency}`,
+        () => runBatched(generateInputs(options, `b${Date.now()}`, source), options)));
+    }
+  } finally {
+    await cleanup();
+  }
+
+  for (const result of results) {
+    result.messagesPerSecond = Math.round(options.messages / (result.elapsedMs / 1000));
+  }
+  console.table(results);
+
+  // Both modes must leave the table in the same final state
+  const states = new Set(results.map(result => `${result.rows}:${result.quantitySum}`));
+  if (states.size > 1) {
+    console.error('❌ Final table state differs between modes');
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,48 @@
+// Apply or revert database migrations (files in /migrations)
+// Usage: npm run migrate -- [up] [--to=002]
+//        npm run migrate -- down [--steps=1]
+//        npm run migrate -- status
+
+const { pool } = require('../src/database/dbConnection');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../src/database/migrations');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'up';
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+
+  if (command === 'status') {
+    const status = await getMigrationStatus();
+    console.log(JSON.stringify(status, null, 2));
+    return status.pending.length === 0 && status.changed.length === 0 ? 0 : 1;
+  }
+
+  if (command === 'up') {
+    const applied = await migrateUp({ to: option('to') });
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    return 0;
+  }
+
+  if (command === 'down') {
+    const steps = parseInt(option('steps')) || 1;
+    const reverted = await migrateDown({ steps });
+    console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    return 0;
+  }
+
+  console.error(`Unknown command '${command}' (use up, down or status)`);
+  return 1;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
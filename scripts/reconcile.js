@@ -0,0 +1,29 @@
+// Run one reconciliation against the peer region and print the report
+// Usage: npm run reconcile -- [--repair] [--tables=products,sales]
+
+const { pool } = require('../src/database/dbConnection');
+const { reconciler } = require('../src/kafka/reconciler');
+const { assertMigrationsCurrent } = require('../src/database/migrations');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const tablesArg = args.find(arg => arg.startsWith('--tables='));
+  const tables = tablesArg ? tablesArg.split('=')[1].split(',').filter(Boolean) : undefined;
+
+  await assertMigrationsCurrent();
+  const report = await reconciler.run({ tables, repair, triggeredBy: 'cli' });
+
+  console.log(JSON.stringify(report, null, 2));
+  return report.status === 'completed' ? 0 : 1;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
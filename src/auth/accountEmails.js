@@ -0,0 +1,53 @@
+const { sendMail } = require('../mail/mailer');
+const { getRegion } = require('../utils/topology');
+const config = require('../config/config');
+
+function accountLink(pathname, token) {
+  return `${config.accounts.publicUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Plain text and HTML versions of a one-link account email
+ */
+function accountEmail(user, { intro, action, link, outro }) {
+  const greeting = `Hello ${user.full_name || user.username},`;
+  return {
+    text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}\n\n${getRegion().name} Store`,
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>
+<p>${escapeHtml(getRegion().name)} Store</p>`
+  };
+}
+
+async function sendVerificationEmail(user, token) {
+  const { text, html } = accountEmail(user, {
+    intro: 'Please confirm your email address to activate your account:',
+    action: 'Verify my email',
+    link: accountLink('/verify-email', token),
+    outro: `The link expires in ${config.accounts.verificationTokenHours} hours. If you didn't register, ignore this email.`
+  });
+  await sendMail({ to: user.email, subject: `Verify your ${getRegion().name} Store email`, text, html });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const { text, html } = accountEmail(user, {
+    intro: 'Someone (hopefully you) asked to reset your password. Choose a new one here:',
+    action: 'Reset my password',
+    link: accountLink('/reset-password', token),
+    outro: `The link works once and expires in ${config.accounts.resetTokenMinutes} minutes. If you didn't ask for this, ignore this email.`
+  });
+  await sendMail({ to: user.email, subject: `Reset your ${getRegion().name} Store password`, text, html });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { pool } = require('../database/dbConnection');
+
+// Token purposes (auth_account_tokens.purpose)
+const PASSWORD_RESET = 'password_reset';
+const EMAIL_VERIFICATION = 'email_verification';
+
+// A new link of the same kind isn't mailed more often than this
+const RESEND_INTERVAL_SECONDS = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a single-use emailed token; only its hash is stored. Earlier unused
+ * tokens of the same purpose stop working (only the newest link is valid).
+ */
+async function issueAccountToken(db, { userId, purpose, email, ip, ttlMs }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    `UPDATE auth_account_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await db.query(
+    `INSERT INTO auth_account_tokens (token_hash, user_id, purpose, email, requested_ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [hashToken(token), userId, purpose, email || null, ip || null, new Date(Date.now() + ttlMs)]
+  );
+  return token;
+}
+
+/**
+ * Spend a token: { user_id, email } when it is valid, unused and unexpired, else null
+ */
+async function consumeAccountToken(db, token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `UPDATE auth_account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id, email`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether a token of this purpose was issued to the user moments ago
+ */
+async function hasRecentAccountToken(userId, purpose) {
+  const result = await pool.query(
+    `SELECT 1 FROM auth_account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - make_interval(secs => $3)`,
+    [userId, purpose, RESEND_INTERVAL_SECONDS]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  issueAccountToken,
+  consumeAccountToken,
+  hasRecentAccountToken
+};
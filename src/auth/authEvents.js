@@ -0,0 +1,64 @@
+const { pool } = require('../database/dbConnection');
+
+/**
+ * Persist one security-relevant auth event (lockouts, unlocks, ...).
+ * Pass the transaction client when there is one.
+ */
+async function recordAuthEvent(db, { eventType, userId, username, ip, details }) {
+  await db.query(
+    `INSERT INTO auth_events (event_type, user_id, username, ip, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [eventType, userId ?? null, username ?? null, ip ?? null, JSON.stringify(details || {})]
+  );
+}
+
+/**
+ * Query auth events with filters and pagination
+ */
+async function queryAuthEvents({ userId, eventType, from, to, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (eventType) {
+    params.push(eventType);
+    conditions.push(`event_type = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM auth_events ${where}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT * FROM auth_events
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count),
+    events: result.rows
+  };
+}
+
+module.exports = {
+  recordAuthEvent,
+  queryAuthEvents
+};
@@ -1,9 +1,12 @@
 const { verifyToken } = require('./jwtUtils');
+const { isAccessTokenRevoked } = require('./sessionStore');
+const { hasPermission } = require('./permissions');
+const config = require('../config/config');
 
 /**
- * Middleware to authenticate JWT token
+ * Middleware to authenticate JWT token (and reject revoked ones)
  */
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader) {
@@ -59,6 +62,22 @@ function authenticateJWT(req, res, next) {
         received: decoded.region
       });
     }
+
+    if (decoded.type === 'refresh' || decoded.type === 'mfa_challenge') {
+      return res.status(403).json({ error: `${decoded.type === 'refresh' ? 'Refresh' : 'Challenge'} tokens cannot be used for API access` });
+    }
+
+    // Denylist: tokens of logged-out or revoked sessions
+    if (decoded.jti) {
+      try {
+        if (await isAccessTokenRevoked(decoded.jti)) {
+          return res.status(401).json({ error: 'Token has been revoked' });
+        }
+      } catch (error) {
+        console.error('Token revocation check failed:', error.message);
+        return res.status(503).json({ error: 'Could not verify token' });
+      }
+    }
     
     req.user = decoded;
     next();
@@ -68,7 +87,22 @@ function authenticateJWT(req, res, next) {
 }
 
 /**
- * Middleware to require specific roles
+ * 403 body when the user's role requires 2FA (TWO_FACTOR_REQUIRED_ROLES) and
+ * this session wasn't started with it; null when fine. Admin API key tokens
+ * are exempt.
+ */
+function missingSecondFactor(user) {
+  if (user.region === 'admin' || user.mfa || !config.twoFactor.requiredRoles.includes(user.role)) {
+    return null;
+  }
+  return {
+    error: `Two-factor authentication is required for the ${user.role} role`,
+    code: 'two_factor_required'
+  };
+}
+
+/**
+ * Middleware to require specific roles (prefer requirePermission)
  */
 function requireRole(...allowedRoles) {
   return (req, res, next) => {
@@ -83,11 +117,50 @@ function requireRole(...allowedRoles) {
         current: req.user.role
       });
     }
+
+    const secondFactor = missingSecondFactor(req.user);
+    if (secondFactor) {
+      return res.status(403).json(secondFactor);
+    }
     
     next();
   };
 }
 
+/**
+ * Middleware to require permissions granted to the user's role (all of them)
+ */
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          return res.status(403).json({
+            error: 'Insufficient permissions',
+            code: 'permission_denied',
+            required: permission,
+            current: req.user.role
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Permission check failed:', error.message);
+      return res.status(503).json({ error: 'Could not check permissions' });
+    }
+
+    const secondFactor = missingSecondFactor(req.user);
+    if (secondFactor) {
+      return res.status(403).json(secondFactor);
+    }
+
+    next();
+  };
+}
+
 /**
  * Optional authentication (doesn't fail if no token)
  */
@@ -111,6 +184,7 @@ function optionalAuth(req, res, next) {
 module.exports = {
   authenticateJWT,
   requireRole,
+  requirePermission,
   optionalAuth
 };
 
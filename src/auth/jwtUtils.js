@@ -1,39 +1,63 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT access token
+ * Generate JWT access token (jti = unique id for revocation, sid = its session,
+ * mfa = the session was started with a second factor)
  */
-function generateAccessToken(user, region) {
+function generateAccessToken(user, region, sessionId, { mfa = false } = {}) {
   const payload = {
     user_id: user.id,
     username: user.username,
     role: user.role,
     region: region,
+    sid: sessionId,
+    mfa,
     type: 'access'
   };
   
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '1h' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '1h', jwtid: crypto.randomUUID() }
   );
 }
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token (only valid while its hash is in auth_refresh_tokens)
  */
-function generateRefreshToken(user, region) {
+function generateRefreshToken(user, region, sessionId) {
   const payload = {
     user_id: user.id,
     username: user.username,
     region: region,
+    sid: sessionId,
     type: 'refresh'
   };
   
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d', jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Generate the short-lived token that stands between a correct password and a
+ * session for users with 2FA: it is only accepted by POST /api/auth/2fa/verify
+ */
+function generateChallengeToken(user, region) {
+  const payload = {
+    user_id: user.id,
+    username: user.username,
+    region: region,
+    type: 'mfa_challenge'
+  };
+  
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m', jwtid: crypto.randomUUID() }
   );
 }
 
@@ -51,6 +75,7 @@ function verifyToken(token) {
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  generateChallengeToken,
   verifyToken
 };
 
@@ -0,0 +1,145 @@
+// Brute-force protection for POST /api/auth/login: failed attempts are counted
+// per account (users.failed_login_attempts) and per client IP (auth_ip_failures)
+// within a window; past the thresholds the account or IP is locked for a while.
+// Every failed login is answered after a delay that grows with the count.
+
+const { pool } = require('../database/dbConnection');
+const { backoffDelay } = require('../utils/retry');
+const { recordAuthEvent } = require('./authEvents');
+const config = require('../config/config');
+
+const settings = config.loginProtection;
+
+/**
+ * Seconds until a lock ends (for Retry-After)
+ */
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Whether a login may be attempted at all: { allowed, retryAfter, reason }.
+ * Pass the user row when the username exists.
+ */
+async function checkLoginAllowed({ user, ip }) {
+  if (user && user.locked_until && new Date(user.locked_until) > new Date()) {
+    return { allowed: false, retryAfter: secondsUntil(user.locked_until), reason: 'account_locked' };
+  }
+
+  const result = await pool.query(
+    'SELECT blocked_until FROM auth_ip_failures WHERE ip = $1 AND blocked_until > NOW()',
+    [ip]
+  );
+  if (result.rows.length > 0) {
+    return { allowed: false, retryAfter: secondsUntil(result.rows[0].blocked_until), reason: 'ip_blocked' };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Count a failed login for the account (if the username exists) and the IP,
+ * lock whichever crossed its threshold and audit the lockout.
+ * Returns the delay (ms) to wait before answering.
+ */
+async function recordLoginFailure({ user, username, ip }) {
+  let accountFailures = 0;
+
+  if (user) {
+    // A new window starts after a quiet period or once a previous lock has run out
+    const result = await pool.query(
+      `UPDATE users SET
+         failed_login_attempts = CASE
+           WHEN last_failed_login IS NULL OR last_failed_login < NOW() - make_interval(mins => $2)
+             OR locked_until <= NOW() THEN 1
+           ELSE failed_login_attempts + 1 END,
+         locked_until = CASE WHEN locked_until <= NOW() THEN NULL ELSE locked_until END,
+         last_failed_login = NOW()
+       WHERE id = $1
+       RETURNING failed_login_attempts, locked_until`,
+      [user.id, settings.windowMinutes]
+    );
+    const row = result.rows[0];
+    accountFailures = row ? row.failed_login_attempts : 0;
+
+    if (row && !row.locked_until && accountFailures >= settings.maxAttempts) {
+      await pool.query(
+        'UPDATE users SET locked_until = NOW() + make_interval(mins => $2) WHERE id = $1',
+        [user.id, settings.lockoutMinutes]
+      );
+      await recordAuthEvent(pool, {
+        eventType: 'account_locked',
+        userId: user.id,
+        username: user.username,
+        ip,
+        details: { failedAttempts: accountFailures, lockoutMinutes: settings.lockoutMinutes }
+      });
+      console.warn(`🔐 Account ${user.username} locked for ${settings.lockoutMinutes} min after ${accountFailures} failed logins`);
+    }
+  }
+
+  const ipResult = await pool.query(
+    `INSERT INTO auth_ip_failures (ip, failures, window_started_at, last_failed_at)
+     VALUES ($1, 1, NOW(), NOW())
+     ON CONFLICT (ip) DO UPDATE SET
+       failures = CASE WHEN auth_ip_failures.window_started_at < NOW() - make_interval(mins => $2)
+         THEN 1 ELSE auth_ip_failures.failures + 1 END,
+       window_started_at = CASE WHEN auth_ip_failures.window_started_at < NOW() - make_interval(mins => $2)
+         THEN NOW() ELSE auth_ip_failures.window_started_at END,
+       last_failed_at = NOW()
+     RETURNING failures, blocked_until`,
+    [ip, settings.windowMinutes]
+  );
+  const ipRow = ipResult.rows[0];
+  const ipBlocked = ipRow.blocked_until && new Date(ipRow.blocked_until) > new Date();
+
+  if (!ipBlocked && ipRow.failures >= settings.ipMaxAttempts) {
+    await pool.query(
+      `UPDATE auth_ip_failures
+       SET blocked_until = NOW() + make_interval(mins => $2), failures = 0, window_started_at = NOW()
+       WHERE ip = $1`,
+      [ip, settings.lockoutMinutes]
+    );
+    await recordAuthEvent(pool, {
+      eventType: 'ip_blocked',
+      username,
+      ip,
+      details: { failedAttempts: ipRow.failures, lockoutMinutes: settings.lockoutMinutes }
+    });
+    console.warn(`🔐 IP ${ip} blocked for ${settings.lockoutMinutes} min after ${ipRow.failures} failed logins`);
+  }
+
+  return backoffDelay(Math.max(accountFailures, ipRow.failures, 1), settings.delay);
+}
+
+/**
+ * Clear an account's failed attempts and lock (admin action)
+ */
+async function unlockAccount(userId, unlockedBy, ip) {
+  const result = await pool.query(
+    `UPDATE users SET failed_login_attempts = 0, locked_until = NULL
+     WHERE id = $1
+     RETURNING id, username`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  await recordAuthEvent(pool, {
+    eventType: 'account_unlocked',
+    userId: user.id,
+    username: user.username,
+    ip,
+    details: { unlockedBy }
+  });
+  console.log(`🔓 Account ${user.username} unlocked by ${unlockedBy}`);
+  return { id: user.id, username: user.username };
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  unlockAccount
+};
@@ -0,0 +1,152 @@
+// Role-based permissions: roles are granted named permissions (products:write,
+// users:read, ...) in role_permissions. requirePermission checks them; routes
+// add resource-level checks (e.g. editing only your own products).
+
+const { pool } = require('../database/dbConnection');
+const config = require('../config/config');
+
+// Permission names used by the routes
+const PERMISSIONS = {
+  PRODUCTS_READ: 'products:read',
+  PRODUCTS_WRITE: 'products:write',
+  PRODUCTS_WRITE_ANY: 'products:write:any',
+  SALES_READ: 'sales:read',
+  STATS_READ: 'stats:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SYNC_ADMIN: 'sync:admin'
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// role -> Set of permissions, reloaded after cacheTtlMs or a change through the API
+let cache = null;
+let loadedAt = 0;
+
+async function loadRolePermissions() {
+  if (cache && Date.now() - loadedAt < config.permissions.cacheTtlMs) {
+    return cache;
+  }
+
+  const result = await pool.query(
+    `SELECT r.name AS role, rp.permission
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role = r.name`
+  );
+
+  const rolePermissions = new Map();
+  for (const row of result.rows) {
+    if (!rolePermissions.has(row.role)) {
+      rolePermissions.set(row.role, new Set());
+    }
+    if (row.permission) {
+      rolePermissions.get(row.role).add(row.permission);
+    }
+  }
+
+  cache = rolePermissions;
+  loadedAt = Date.now();
+  return cache;
+}
+
+function invalidatePermissionCache() {
+  cache = null;
+}
+
+/**
+ * Permissions granted to a role (empty for unknown roles)
+ */
+async function getRolePermissions(role) {
+  const rolePermissions = await loadRolePermissions();
+  return rolePermissions.get(role) || new Set();
+}
+
+/**
+ * Whether the authenticated user (req.user) has a permission. Admin backend
+ * tokens (API key + admin region) have them all.
+ */
+async function hasPermission(user, permission) {
+  if (!user) return false;
+  if (user.region === 'admin') return true;
+  return (await getRolePermissions(user.role)).has(permission);
+}
+
+/**
+ * Roles with their permissions and how many active users have each
+ */
+async function listRoles() {
+  const result = await pool.query(
+    `SELECT r.name, r.description,
+            COALESCE(ARRAY_AGG(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions,
+            (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name AND u.is_active = true) AS users
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role = r.name
+     GROUP BY r.name, r.description
+     ORDER BY r.name`
+  );
+  return result.rows;
+}
+
+async function listPermissions() {
+  const result = await pool.query('SELECT name, description FROM permissions ORDER BY name');
+  return result.rows;
+}
+
+/**
+ * Replace the permissions of a role (created if new). Unknown permission
+ * names are rejected.
+ */
+async function setRolePermissions(role, permissions, description) {
+  const known = new Set((await listPermissions()).map(permission => permission.name));
+  const unknown = permissions.filter(permission => !known.has(permission));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown permission(s): ${unknown.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO roles (name, description) VALUES ($1, $2)
+       ON CONFLICT (name) DO UPDATE SET description = COALESCE($2, roles.description)`,
+      [role, description || null]
+    );
+    await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+    await client.query(
+      `INSERT INTO role_permissions (role, permission)
+       SELECT $1, UNNEST($2::text[])`,
+      [role, [...new Set(permissions)]]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  invalidatePermissionCache();
+}
+
+/**
+ * Whether a role exists
+ */
+async function roleExists(role) {
+  return (await loadRolePermissions()).has(role);
+}
+
+module.exports = {
+  PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+  listRoles,
+  listPermissions,
+  setRolePermissions,
+  roleExists,
+  invalidatePermissionCache
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../database/dbConnection');
+const { generateAccessToken, generateRefreshToken, verifyToken } = require('./jwtUtils');
+
+// Revoked sessions and expired denylist entries are kept this long, then pruned
+const RETENTION_DAYS = 30;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Refresh tokens are stored as their SHA-256, never in plain text
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access / refresh token pair for a session
+ */
+function signTokens(user, region, sessionId, mfa) {
+  const accessToken = generateAccessToken(user, region, sessionId, { mfa });
+  const refreshToken = generateRefreshToken(user, region, sessionId);
+  const access = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    accessJti: access.jti,
+    accessExpiresAt: new Date(access.exp * 1000),
+    refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+}
+
+async function storeRefreshToken(db, sessionId, tokens) {
+  await db.query(
+    `INSERT INTO auth_refresh_tokens (token_hash, session_id, access_jti, access_expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [hashToken(tokens.refreshToken), sessionId, tokens.accessJti, tokens.accessExpiresAt]
+  );
+}
+
+/**
+ * Start a session for a signed-in user (mfa = a second factor was checked);
+ * returns { sessionId, accessToken, refreshToken }
+ */
+async function createSession(user, region, { userAgent, ip, mfa = false } = {}, db = pool) {
+  const sessionId = crypto.randomUUID();
+  const tokens = signTokens(user, region, sessionId, mfa);
+
+  await db.query(
+    `INSERT INTO auth_sessions (id, user_id, user_agent, ip, mfa, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, user.id, userAgent || null, ip || null, mfa, tokens.refreshExpiresAt]
+  );
+  await storeRefreshToken(db, sessionId, tokens);
+
+  return { sessionId, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+}
+
+/**
+ * Revoke matching active sessions and deny the access tokens they issued that
+ * haven't expired yet. Returns the revoked session ids.
+ */
+async function revokeSessionsWhere(db, condition, params, reason) {
+  const result = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $${params.length + 1}
+     WHERE ${condition} AND revoked_at IS NULL
+     RETURNING id`,
+    [...params, reason]
+  );
+  const ids = result.rows.map(row => row.id);
+
+  if (ids.length > 0) {
+    await db.query(
+      `INSERT INTO auth_revoked_tokens (jti, user_id, reason, expires_at)
+       SELECT t.access_jti, s.user_id, $2, t.access_expires_at
+       FROM auth_refresh_tokens t
+       JOIN auth_sessions s ON s.id = t.session_id
+       WHERE t.session_id = ANY($1) AND t.access_jti IS NOT NULL AND t.access_expires_at > NOW()
+       ON CONFLICT (jti) DO NOTHING`,
+      [ids, reason]
+    );
+  }
+  return ids;
+}
+
+/**
+ * Revoke one of a user's sessions; false if it doesn't exist or is already revoked
+ */
+async function revokeSession(userId, sessionId, reason, db = pool) {
+  const ids = await revokeSessionsWhere(db, 'id = $1 AND user_id = $2', [sessionId, userId], reason);
+  return ids.length > 0;
+}
+
+/**
+ * Revoke every session of a user (e.g. after a password change); returns how many
+ */
+async function revokeUserSessions(userId, reason, db = pool) {
+  const ids = await revokeSessionsWhere(db, 'user_id = $1', [userId], reason);
+  return ids.length;
+}
+
+/**
+ * Exchange a refresh token for a new pair. The old token is spent; presenting
+ * a spent token again means it leaked, so its whole session is revoked.
+ */
+async function rotateRefreshToken(refreshToken, region, { userAgent, ip } = {}) {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    throw httpError(403, 'Invalid or expired refresh token');
+  }
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw httpError(403, 'Invalid refresh token');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT t.token_hash, t.used_at, s.id AS session_id, s.user_id, s.mfa, s.revoked_at, s.expires_at
+       FROM auth_refresh_tokens t
+       JOIN auth_sessions s ON s.id = t.session_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t, s`,
+      [hashToken(refreshToken)]
+    );
+    const token = result.rows[0];
+
+    if (!token || token.revoked_at || token.expires_at <= new Date()) {
+      await client.query('ROLLBACK');
+      throw httpError(403, 'Session has ended, please log in again');
+    }
+
+    if (token.used_at) {
+      await revokeSessionsWhere(client, 'id = $1', [token.session_id], 'refresh_token_reuse');
+      await client.query('COMMIT');
+      console.warn(`🚨 Refresh token reuse for user ${token.user_id}, session ${token.session_id} revoked`);
+      throw httpError(403, 'Refresh token was already used, session revoked');
+    }
+
+    const userResult = await client.query(
+      'SELECT * FROM users WHERE id = $1 AND is_active = true',
+      [token.user_id]
+    );
+    if (userResult.rows.length === 0) {
+      await revokeSessionsWhere(client, 'id = $1', [token.session_id], 'user_inactive');
+      await client.query('COMMIT');
+      throw httpError(403, 'User not found or inactive');
+    }
+
+    const user = userResult.rows[0];
+    const tokens = signTokens(user, region, token.session_id, token.mfa);
+
+    await client.query('UPDATE auth_refresh_tokens SET used_at = NOW() WHERE token_hash = $1', [token.token_hash]);
+    await storeRefreshToken(client, token.session_id, tokens);
+    await client.query(
+      `UPDATE auth_sessions
+       SET last_used_at = NOW(), expires_at = $2, user_agent = COALESCE($3, user_agent), ip = COALESCE($4, ip)
+       WHERE id = $1`,
+      [token.session_id, tokens.refreshExpiresAt, userAgent || null, ip || null]
+    );
+
+    await client.query('COMMIT');
+    return { sessionId: token.session_id, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  } catch (error) {
+    // Errors raised above have already ended the transaction
+    if (!error.status) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+async function listSessions(userId) {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip, mfa, created_at, last_used_at, expires_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Put one access token on the denylist until it expires
+ */
+async function denyAccessToken(decoded, reason) {
+  if (!decoded.jti || !decoded.exp) return;
+  await pool.query(
+    `INSERT INTO auth_revoked_tokens (jti, user_id, reason, expires_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (jti) DO NOTHING`,
+    [decoded.jti, decoded.user_id, reason, new Date(decoded.exp * 1000)]
+  );
+}
+
+async function isAccessTokenRevoked(jti) {
+  const result = await pool.query('SELECT 1 FROM auth_revoked_tokens WHERE jti = $1', [jti]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Drop denylist entries for tokens that have expired anyway, and old sessions
+ */
+async function pruneAuthData() {
+  await pool.query('DELETE FROM auth_revoked_tokens WHERE expires_at < NOW()');
+  await pool.query(
+    `DELETE FROM auth_sessions
+     WHERE expires_at < NOW() - make_interval(days => $1) OR revoked_at < NOW() - make_interval(days => $1)`,
+    [RETENTION_DAYS]
+  );
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  denyAccessToken,
+  isAccessTokenRevoked,
+  pruneAuthData
+};
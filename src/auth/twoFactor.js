@@ -0,0 +1,215 @@
+// TOTP two-factor authentication: enrollment (secret + otpauth URI, confirmed
+// with a first code), second-factor checks at login and single-use recovery
+// codes. Secrets are stored encrypted, recovery codes as SHA-256 hashes.
+
+const crypto = require('crypto');
+const { pool } = require('../database/dbConnection');
+const { generateSecret, base32Decode, otpauthUri, verifyTotp } = require('./totp');
+const { recordAuthEvent } = require('./authEvents');
+const config = require('../config/config');
+
+const settings = config.twoFactor;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256').update(settings.encryptionKey).digest();
+}
+
+/**
+ * AES-256-GCM: "v1:<iv>:<tag>:<ciphertext>" (base64)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== 'v1') {
+    throw new Error('Unsupported TOTP secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Recovery codes are compared case-insensitively, without separators
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Readable codes like "K7QD-M2XP" (40 random bits each)
+ */
+function generateRecoveryCodes(count = settings.recoveryCodeCount) {
+  return Array.from({ length: count }, () => generateSecret(5).replace(/^(.{4})/, '$1-'));
+}
+
+/**
+ * Replace a user's recovery codes; returns the new codes (shown once)
+ */
+async function replaceRecoveryCodes(db, userId) {
+  const codes = generateRecoveryCodes();
+  await db.query('DELETE FROM auth_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO auth_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+}
+
+/**
+ * Whether 2FA is on for the user and whether their role requires it
+ */
+function twoFactorStatus(user) {
+  return {
+    enabled: Boolean(user.totp_enabled_at),
+    required: settings.requiredRoles.includes(user.role)
+  };
+}
+
+/**
+ * Unused recovery codes left
+ */
+async function remainingRecoveryCodes(userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM auth_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Start (or restart) enrollment: a new secret is kept pending until a code
+ * from it is confirmed. Returns { secret, otpauthUri } for the authenticator app.
+ */
+async function startEnrollment(user) {
+  if (user.totp_enabled_at) {
+    throw httpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await pool.query('UPDATE users SET totp_pending_secret = $2 WHERE id = $1', [user.id, encryptSecret(secret)]);
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.username, issuer: settings.issuer })
+  };
+}
+
+/**
+ * Finish enrollment with a code from the pending secret. Returns the recovery
+ * codes, or null when the code is wrong.
+ */
+async function confirmEnrollment(db, user, code, ip) {
+  if (user.totp_enabled_at) {
+    throw httpError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!user.totp_pending_secret) {
+    throw httpError(400, 'Start enrollment first');
+  }
+
+  const secret = decryptSecret(user.totp_pending_secret);
+  const step = verifyTotp(base32Decode(secret), code);
+  if (step === null) {
+    return null;
+  }
+
+  await db.query(
+    `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+       totp_enabled_at = NOW(), totp_last_step = $2
+     WHERE id = $1`,
+    [user.id, step]
+  );
+  const codes = await replaceRecoveryCodes(db, user.id);
+  await recordAuthEvent(db, { eventType: 'two_factor_enabled', userId: user.id, username: user.username, ip });
+  return codes;
+}
+
+/**
+ * Check a second factor: an authenticator code (each time step is accepted
+ * once) or an unused recovery code, which is spent. Returns the method used
+ * ('totp' or 'recovery_code'), or null.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.totp_enabled_at || !user.totp_secret) {
+    return null;
+  }
+
+  if (recoveryCode) {
+    const result = await pool.query(
+      `UPDATE auth_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, hashRecoveryCode(recoveryCode)]
+    );
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  const step = verifyTotp(base32Decode(decryptSecret(user.totp_secret)), code);
+  if (step === null) {
+    return null;
+  }
+
+  // Refuse a code whose step (or a later one) was already used
+  const result = await pool.query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+     RETURNING id`,
+    [user.id, step]
+  );
+  return result.rows.length > 0 ? 'totp' : null;
+}
+
+/**
+ * New set of recovery codes (the old ones stop working)
+ */
+async function regenerateRecoveryCodes(user, ip) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const codes = await replaceRecoveryCodes(client, user.id);
+    await recordAuthEvent(client, { eventType: 'recovery_codes_regenerated', userId: user.id, username: user.username, ip });
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Turn 2FA off: forget the secret and the recovery codes
+ */
+async function disableTwoFactor(db, user, ip) {
+  await db.query(
+    `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+     WHERE id = $1`,
+    [user.id]
+  );
+  await db.query('DELETE FROM auth_recovery_codes WHERE user_id = $1', [user.id]);
+  await recordAuthEvent(db, { eventType: 'two_factor_disabled', userId: user.id, username: user.username, ip });
+}
+
+module.exports = {
+  twoFactorStatus,
+  remainingRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -1,10 +1,27 @@
 require('dotenv').config();
 
+// This deployment's region (a key of config/topology.js)
+const region = process.env.REGION || 'china';
+
+// TRUST_PROXY: unset/false, true, a hop count (e.g. 1) or addresses/subnets
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
 module.exports = {
   // Server
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
-  region: process.env.REGION || 'china',
+  region,
+  // Give up on a graceful shutdown after this long (Render sends SIGKILL 30s after SIGTERM)
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000,
+  // Express "trust proxy": set it when running behind a load balancer (Render: 1)
+  // so req.ip is the client from X-Forwarded-For, not the proxy. Without it,
+  // every client behind the proxy shares one address for the per-IP login lockout.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   
   // Database
   db: {
@@ -25,21 +42,186 @@ module.exports = {
     refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d'
   },
   
+  // Brute-force protection on POST /api/auth/login
+  loginProtection: {
+    // Failed attempts are counted within this window
+    windowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15,
+    // Failed attempts on one account before it is locked
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    // Failed attempts from one IP (any usernames) before it is blocked
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // Failed logins are answered after a delay growing with the failure count
+    delay: {
+      initialDelayMs: 250,
+      maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 5000,
+      multiplier: 2
+    }
+  },
+
+  // Self-service accounts: email verification and password reset
+  accounts: {
+    // Base URL of this backend, used in emailed links
+    publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+    // Login is refused until the email from /register is verified
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+    resetTokenMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60,
+    verificationTokenHours: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48
+  },
+
+  // TOTP two-factor authentication (optional for everyone, enforceable per role)
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TOTP_ISSUER || `${region.charAt(0).toUpperCase()}${region.slice(1)} Store`,
+    // Roles that must use 2FA: requirePermission refuses their sessions without it
+    // (e.g. manager,admin); empty = 2FA is optional for everyone
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',').map(role => role.trim()).filter(Boolean),
+    // Key for the stored TOTP secrets (AES-256-GCM); defaults to the JWT secret
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'china_jwt_secret_change_in_production',
+    recoveryCodeCount: 10
+  },
+
+  // Role permissions (roles, role_permissions tables)
+  permissions: {
+    // Role given to self-registered users; other roles are assigned by admins
+    defaultRole: process.env.DEFAULT_USER_ROLE || 'manufacturer',
+    // How long role -> permission grants are cached per process
+    cacheTtlMs: parseInt(process.env.PERMISSION_CACHE_TTL_MS) || 30000
+  },
+
+  // Outgoing mail
+  mail: {
+    // console (log the message), file (write .eml files) or smtp
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    fileDir: process.env.MAIL_FILE_DIR || './mail-outbox',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      // true = TLS from the start (port 465); otherwise STARTTLS when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || '',
+      timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS) || 10000
+    }
+  },
+
   // API Key (for admin access)
   apiKey: process.env.API_KEY || 'china_api_key_change_in_production',
   
   // Kafka - Hardcoded for Render deployment
   kafka: {
     broker: process.env.KAFKA_BROKER || '31.97.232.235:9092',
-    clientId: 'china-backend',
-    groupId: 'china-sync-consumer',
+    clientId: process.env.KAFKA_CLIENT_ID || `${region}-backend`,
+    groupId: process.env.KAFKA_GROUP_ID || `${region}-sync-consumer`,
     // Additional Kafka client configuration
     retry: {
       initialRetryTime: 300,
       retries: 15,
       maxRetryTime: 30000,
       multiplier: 2
+    },
+    // Background reconnection of the consumer after a failed start or a crash
+    // (retried indefinitely)
+    reconnect: {
+      initialDelayMs: parseInt(process.env.KAFKA_RECONNECT_INITIAL_DELAY_MS) || 5000,
+      maxDelayMs: parseInt(process.env.KAFKA_RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000,
+      multiplier: 2
     }
+  },
+
+  // Sync pipeline
+  sync: {
+    // Retry failed sync messages before sending them to the dead-letter topic
+    retry: {
+      maxAttempts: parseInt(process.env.SYNC_RETRY_MAX_ATTEMPTS) || 5,
+      initialDelayMs: parseInt(process.env.SYNC_RETRY_INITIAL_DELAY_MS) || 500,
+      maxDelayMs: parseInt(process.env.SYNC_RETRY_MAX_DELAY_MS) || 8000,
+      multiplier: 2
+    },
+    // Dead-letter topic = original topic + suffix (e.g. sync.products.dlq)
+    dlqSuffix: process.env.SYNC_DLQ_SUFFIX || '.dlq',
+    // How long processed event ids are kept for deduplication
+    processedEventRetentionDays: parseInt(process.env.SYNC_PROCESSED_EVENT_RETENTION_DAYS) || 7,
+    // Batched consumption: each chunk of a fetched batch is applied in one
+    // transaction per key shard (same record key -> same shard, in order)
+    batch: {
+      enabled: process.env.SYNC_BATCH_ENABLED !== 'false',
+      partitionConcurrency: parseInt(process.env.SYNC_PARTITION_CONCURRENCY) || 3,
+      keyConcurrency: parseInt(process.env.SYNC_KEY_CONCURRENCY) || 1,
+      maxMessages: parseInt(process.env.SYNC_BATCH_MAX_MESSAGES) || 500
+    },
+    // Incoming columns the destination table doesn't have: 'park' (keep the
+    // values in sync_parked_columns) or 'drop'
+    unknownColumns: process.env.SYNC_UNKNOWN_COLUMNS === 'drop' ? 'drop' : 'park',
+    // How long introspected destination table schemas are cached
+    schemaCacheTtlMs: parseInt(process.env.SYNC_SCHEMA_CACHE_TTL_MS) || 60000
+  },
+
+  // Per-table, per-direction column rules for data crossing regions
+  privacy: {
+    policyPath: process.env.PRIVACY_POLICY_PATH || './src/config/privacyPolicy.json',
+    // Key for the "hash" action; required only if the policy uses it
+    hmacKey: process.env.PRIVACY_HMAC_KEY || ''
+  },
+
+  // Snapshot bootstrap for a fresh database
+  bootstrap: {
+    // JSONL/CSV exports must live in this directory
+    importDir: process.env.BOOTSTRAP_IMPORT_DIR || './imports',
+    checkpointEvery: parseInt(process.env.BOOTSTRAP_CHECKPOINT_EVERY) || 100
+  },
+
+  // Peer region backend (used by reconciliation); which region it is comes
+  // from the topology, see getPeerRegion()
+  peer: {
+    url: process.env.PEER_URL || 'http://31.97.232.235:3000',
+    apiKey: process.env.PEER_API_KEY || process.env.API_KEY,
+    timeoutMs: parseInt(process.env.PEER_TIMEOUT_MS) || 10000
+  },
+
+  // Cross-region drift detection and repair
+  reconciliation: {
+    // 0 disables the scheduled job
+    intervalMinutes: parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 0,
+    repair: process.env.RECONCILE_REPAIR === 'true',
+    bucketSize: parseInt(process.env.RECONCILE_BUCKET_SIZE) || 1000,
+    // Columns compared per table (bookkeeping columns like updated_at and
+    // sync_source legitimately differ between regions) and which region is
+    // authoritative for them, mirroring the flows in topology.js
+    tables: {
+      products: {
+        columns: ['product_name', 'description', 'price', 'stock_quantity', 'category', 'manufacturer_country'],
+        authority: { default: 'china', columns: { stock_quantity: 'india' } }
+      },
+      sales: {
+        columns: ['sale_date', 'product_id', 'product_name', 'quantity', 'unit_price', 'total_amount', 'customer_name', 'sale_region'],
+        authority: { default: 'india' }
+      }
+    }
+  },
+
+  // Transactional outbox for changes originating in this region
+  outbox: {
+    enabled: process.env.OUTBOX_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 100
+  },
+
+  // Readiness thresholds (GET /health/ready)
+  health: {
+    // Lag (messages) above which a partition makes the service degraded
+    maxLag: parseInt(process.env.HEALTH_MAX_LAG) || 1000,
+    // Lagging partitions with no batch processed for this long count as stalled
+    stallAfterMs: parseInt(process.env.HEALTH_STALL_AFTER_MS) || 5 * 60 * 1000
+  },
+
+  // Metrics
+  metrics: {
+    // Persist per-minute rollups to Postgres for long-range percentiles
+    persistRollups: process.env.METRICS_PERSIST_ROLLUPS === 'true',
+    rollupFlushIntervalMs: parseInt(process.env.METRICS_ROLLUP_FLUSH_MS) || 60000
   }
 };
 
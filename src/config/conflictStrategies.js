@@ -0,0 +1,43 @@
+// Conflict resolution strategies per synced table and column
+//
+// Available strategies:
+//   lww                  - last-write-wins on source_updated_at, else updated_at
+//                          (version breaks ties)
+//   source-region-wins   - the region named in `owner` always wins
+//   highest-version-wins - the row with the higher `version` wins
+//   custom               - `module` exports resolve(context) => { winner, reason }
+//                          (path relative to this file)
+//
+// A table-level strategy decides every column that has no override in `columns`.
+// `sourceColumns` limits which columns a source region may change at all;
+// changes to other columns are dropped during the field-level merge.
+
+module.exports = {
+  default: {
+    strategy: 'lww',
+    // Skip changes whose timestamp is within this window of the existing row.
+    // 0 disables it: loops are already prevented via _sync_origin.
+    loopWindowMs: 0
+  },
+
+  tables: {
+    products: {
+      strategy: 'lww',
+      columns: {
+        // China owns the catalogue, India owns inventory
+        product_name: { strategy: 'source-region-wins', owner: 'china' },
+        price: { strategy: 'source-region-wins', owner: 'china' },
+        description: { strategy: 'source-region-wins', owner: 'china' },
+        stock_quantity: { strategy: 'source-region-wins', owner: 'india' }
+      },
+      sourceColumns: {
+        // Stock updates sync back to China, nothing else
+        india: ['stock_quantity']
+      }
+    },
+
+    sales: {
+      strategy: 'lww'
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// Local stand-in for a schema registry: the Debezium field schemas of each
+// synced table, used when a message arrives without its own schema section
+// (JSON converter with schemas.enable=false). Matches the Postgres connector
+// defaults: time.precision.mode=adaptive, decimal.handling.mode=precise.
+
+const int32 = { type: 'int32' };
+const string = { type: 'string' };
+const date = { type: 'int32', name: 'io.debezium.time.Date' };
+const microTimestamp = { type: 'int64', name: 'io.debezium.time.MicroTimestamp' };
+const money = { type: 'bytes', name: 'org.apache.kafka.connect.data.Decimal', parameters: { scale: '2' } };
+
+module.exports = {
+  tables: {
+    products: {
+      id: { ...int32, optional: false },
+      product_name: string,
+      description: string,
+      price: money,
+      stock_quantity: int32,
+      category: string,
+      manufacturer_country: string,
+      created_by_user_id: int32,
+      sync_source: string,
+      version: int32,
+      created_at: microTimestamp,
+      updated_at: microTimestamp,
+      source_updated_at: microTimestamp
+    },
+    sales: {
+      id: { ...int32, optional: false },
+      sale_date: date,
+      product_id: int32,
+      product_name: string,
+      quantity: int32,
+      unit_price: money,
+      total_amount: money,
+      customer_name: string,
+      sale_region: string,
+      salesperson_user_id: int32,
+      sync_source: string,
+      version: int32,
+      created_at: microTimestamp,
+      updated_at: microTimestamp,
+      source_updated_at: microTimestamp
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// Kafka topic -> destination table routing for the sync consumer
+//
+// Each route:
+//   topic       - exact topic name, or a pattern with one `*` matching a single
+//                 topic segment (e.g. 'sync.*'); a pattern routes to the table
+//                 named by the wildcard, so it takes no `table`
+//   table       - destination table (default: the last segment of the topic)
+//   primaryKey  - key columns, composite keys allowed (default: the table's
+//                 primary key from information_schema)
+//   conflict    - conflict strategy, same shape as a table in conflictStrategies.js
+//                 (used when conflictStrategies.js has no entry for the table)
+//
+// Exact topics win over patterns; patterns are tried in order. Which regions
+// may sync a table is set in topology.js.
+//
+// Example for a new entity with a composite key:
+//   { topic: 'sync.shipment_items', primaryKey: ['shipment_id', 'line_no'],
+//     conflict: { strategy: 'highest-version-wins' } }
+
+module.exports = {
+  routes: [
+    // Users never cross regions (blocked by the privacy policy), but the topic
+    // is still consumed so offsets move on
+    { topic: 'sync.users', table: 'users', primaryKey: ['id'] },
+    { topic: 'sync.products', table: 'products', primaryKey: ['id'] },
+    { topic: 'sync.sales', table: 'sales', primaryKey: ['id'] }
+  ]
+};
@@ -0,0 +1,26 @@
+// Sync topology: the regions taking part and the flows allowed between them.
+// Every region runs this same codebase with REGION set to one of these keys.
+//
+// flows: per table, the 'source->destination' pairs that sync at all.
+// Operations and columns are further limited by privacyPolicy.json.
+// Tables that aren't listed use `default`.
+//
+// Example: a Vietnam region receiving products from both China and India
+//   regions:  vietnam: { name: 'Vietnam', country: 'Vietnam' }
+//   products: [..., 'china->vietnam', 'india->vietnam']
+
+module.exports = {
+  regions: {
+    china: { name: 'China', country: 'China' },
+    india: { name: 'India', country: 'India' }
+  },
+
+  flows: {
+    default: [],
+    // Users never leave their region
+    users: [],
+    // China owns the catalogue, India sends stock updates back
+    products: ['china->india', 'india->china'],
+    sales: ['india->china']
+  }
+};
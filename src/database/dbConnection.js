@@ -1,7 +1,7 @@
 const { Pool } = require('pg');
 const config = require('../config/config');
 
-// Create connection pool for China database
+// Create connection pool for this region's database
 // Enable SSL for Render PostgreSQL
 const pool = new Pool({
   ...config.db,
@@ -9,11 +9,11 @@ const pool = new Pool({
 });
 
 pool.on('connect', () => {
-  console.log('✅ Connected to China database');
+  console.log(`✅ Connected to ${config.region} database`);
 });
 
 pool.on('error', (err) => {
-  console.error('❌ China database error:', err);
+  console.error(`❌ ${config.region} database error:`, err);
 });
 
 /**
@@ -0,0 +1,215 @@
+// Schema migrations: numbered files in /migrations exporting `up` and `down` SQL,
+// applied in order and recorded (with a checksum of the file) in schema_migrations
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./dbConnection');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const FILE_NAME = /^(\d{3})_[a-z0-9_]+\.js$/;
+// Serializes runners (several instances starting at once)
+const LOCK_KEY = 'schema_migrations';
+
+async function ensureMigrationsTable(db = pool) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW(),
+      duration_ms INTEGER
+    )
+  `);
+}
+
+/**
+ * Migration files on disk, in order: [{ name, checksum, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  const seen = new Set();
+
+  return files.map(file => {
+    const match = FILE_NAME.exec(file);
+    if (!match) {
+      throw new Error(`Migration ${file}: name must look like 001_create_tables.js`);
+    }
+    if (seen.has(match[1])) {
+      throw new Error(`Migration ${file}: number ${match[1]} is used twice`);
+    }
+    seen.add(match[1]);
+
+    const fullPath = path.join(dir, file);
+    const migration = require(fullPath);
+    if (typeof migration.up !== 'string' || !migration.up.trim()) {
+      throw new Error(`Migration ${file}: up must be SQL`);
+    }
+
+    return {
+      name: file.replace(/\.js$/, ''),
+      checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+      up: migration.up,
+      down: typeof migration.down === 'string' ? migration.down : null
+    };
+  });
+}
+
+/**
+ * Compare the files with what's been applied:
+ * { applied, pending, changed (checksum differs), missing (applied, no file) }
+ */
+async function getMigrationStatus(db = pool) {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations();
+  const result = await db.query('SELECT name, checksum, applied_at FROM schema_migrations ORDER BY name');
+  const applied = new Map(result.rows.map(row => [row.name, row]));
+
+  return {
+    applied: result.rows.map(row => ({ name: row.name, appliedAt: row.applied_at })),
+    pending: migrations.filter(m => !applied.has(m.name)).map(m => m.name),
+    changed: migrations.filter(m => applied.has(m.name) && applied.get(m.name).checksum !== m.checksum).map(m => m.name),
+    missing: result.rows.filter(row => !migrations.some(m => m.name === row.name)).map(row => row.name)
+  };
+}
+
+/**
+ * Run fn with a dedicated client holding the migrations lock
+ */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+function assertUnchanged(status) {
+  if (status.changed.length > 0) {
+    throw new Error(`Applied migrations were edited: ${status.changed.join(', ')} (add a new migration instead)`);
+  }
+}
+
+function migrationNumber(migration) {
+  return Number(migration.name.slice(0, 3));
+}
+
+/**
+ * Number of the migration `to` refers to: its number ('2', '002') or its name
+ * ('002_create_sync_tables'). Throws unless such a migration exists.
+ */
+function targetNumber(migrations, to) {
+  const text = String(to).replace(/\.js$/, '');
+  const target = /^\d+$/.test(text)
+    ? migrations.find(m => migrationNumber(m) === Number(text))
+    : migrations.find(m => m.name === text);
+  if (!target) {
+    throw new Error(`No migration '${to}' to migrate to`);
+  }
+  return migrationNumber(target);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction, up to and
+ * including `to` when given. Returns the names applied.
+ */
+async function migrateUp({ to } = {}) {
+  return withMigrationLock(async client => {
+    const status = await getMigrationStatus(client);
+    assertUnchanged(status);
+
+    const migrations = loadMigrations();
+    const last = to === undefined ? Infinity : targetNumber(migrations, to);
+
+    const applied = [];
+    for (const migration of migrations.filter(m => status.pending.includes(m.name))) {
+      if (migrationNumber(migration) > last) break;
+
+      const started = Date.now();
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (name, checksum, duration_ms) VALUES ($1, $2, $3)',
+          [migration.name, migration.checksum, Date.now() - started]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+
+      console.log(`⬆️  Applied migration ${migration.name} (${Date.now() - started}ms)`);
+      applied.push(migration.name);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations (default: one).
+ * Returns the names reverted.
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  return withMigrationLock(async client => {
+    const status = await getMigrationStatus(client);
+    assertUnchanged(status);
+    if (status.missing.length > 0) {
+      throw new Error(`Applied migrations have no file: ${status.missing.join(', ')}`);
+    }
+
+    const migrations = new Map(loadMigrations().map(m => [m.name, m]));
+    const toRevert = status.applied.map(row => row.name).reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const name of toRevert) {
+      const migration = migrations.get(name);
+      if (!migration.down) {
+        throw new Error(`Migration ${name} can't be reverted (no down)`);
+      }
+
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE name = $1', [name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting ${name} failed: ${error.message}`);
+      }
+
+      console.log(`⬇️  Reverted migration ${name}`);
+      reverted.push(name);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Startup check: throw unless every migration is applied and unchanged
+ */
+async function assertMigrationsCurrent() {
+  const status = await getMigrationStatus();
+  assertUnchanged(status);
+  if (status.pending.length > 0) {
+    throw new Error(`Pending migrations: ${status.pending.join(', ')} (run npm run migrate)`);
+  }
+  if (status.missing.length > 0) {
+    console.warn(`⚠️  Applied migrations without a file (newer code?): ${status.missing.join(', ')}`);
+  }
+  return status;
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertMigrationsCurrent
+};
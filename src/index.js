@@ -4,11 +4,23 @@ const cors = require('cors');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const config = require('./config/config');
-const { initKafkaConsumers } = require('./kafka/consumer');
-const { testConnection } = require('./database/dbConnection');
+const { consumerSupervisor } = require('./kafka/consumerSupervisor');
+const { disconnectProducer } = require('./kafka/conflictResolver');
+const { testConnection, pool } = require('./database/dbConnection');
+const { assertMigrationsCurrent } = require('./database/migrations');
+const { outboxRelay } = require('./kafka/outbox');
+const { reconciler } = require('./kafka/reconciler');
+const { syncMetrics } = require('./utils/syncMetrics');
+const { metricsRollup } = require('./utils/metricsRollup');
+const { getRegion, describeTopology } = require('./utils/topology');
+const { getLiveness, getReadiness } = require('./utils/healthCheck');
 
 const app = express();
 
+// Client IPs (login lockout, rate limiting, sessions) from X-Forwarded-For only
+// when the proxy in front of us is trusted
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
@@ -28,10 +40,13 @@ app.use('/api/', limiter);
 
 // Routes
 const authRoutes = require('./routes/auth.routes');
+const twoFactorRoutes = require('./routes/twoFactor.routes');
 const productsRoutes = require('./routes/products.routes');
 const salesRoutes = require('./routes/sales.routes');
 const usersRoutes = require('./routes/users.routes');
 const statsRoutes = require('./routes/stats.routes');
+const syncRoutes = require('./routes/sync.routes');
+const reconcileRoutes = require('./routes/reconcile.routes');
 
 // Public routes
 app.get('/', (req, res) => {
@@ -46,6 +61,18 @@ app.get('/register', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/register.html'));
 });
 
+app.get('/forgot-password', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/forgot-password.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/reset-password.html'));
+});
+
+app.get('/verify-email', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/verify-email.html'));
+});
+
 app.get('/health', async (req, res) => {
   const dbHealth = await testConnection();
   res.status(dbHealth.success ? 200 : 503).json({
@@ -56,40 +83,114 @@ app.get('/health', async (req, res) => {
   });
 });
 
+// Liveness: the process is up (restart it if this fails)
+app.get('/health/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness: database, Kafka consumer, lag and producer; 503 only when the
+// database is down, "degraded" (200) when sync is impaired but the API works
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { httpStatus, ...readiness } = await getReadiness();
+    res.status(httpStatus).json(readiness);
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    res.status(503).json({ status: 'unavailable', region: config.region, error: error.message });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', syncMetrics.getPrometheusContentType());
+    res.send(await syncMetrics.getPrometheusMetrics());
+  } catch (error) {
+    console.error('Error collecting metrics:', error);
+    res.status(500).send('Failed to collect metrics');
+  }
+});
+
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productsRoutes);
 app.use('/api/sales', salesRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/reconcile', reconcileRoutes);
 
 // API info
 app.get('/api', (req, res) => {
   res.json({
-    service: 'China Backend API',
+    service: `${getRegion().name} Backend API`,
     version: '2.0.0',
     region: config.region,
+    topology: describeTopology(),
     status: 'running',
     authentication: 'JWT required',
     endpoints: {
       public: [
         'POST /api/auth/login',
         'POST /api/auth/refresh',
-        'GET /health'
+        'POST /api/auth/forgot-password',
+        'POST /api/auth/reset-password',
+        'POST /api/auth/verify-email',
+        'POST /api/auth/resend-verification',
+        'POST /api/auth/2fa/verify',
+        'GET /health',
+        'GET /health/live',
+        'GET /health/ready',
+        'GET /metrics'
       ],
       protected: [
+        'POST /api/auth/logout',
+        'GET /api/auth/sessions',
+        'DELETE /api/auth/sessions/:id',
+        'GET /api/auth/2fa',
+        'POST /api/auth/2fa/enroll',
+        'POST /api/auth/2fa/enroll/confirm',
+        'POST /api/auth/2fa/recovery-codes',
+        'POST /api/auth/2fa/disable',
         'GET /api/products',
         'POST /api/products',
         'PUT /api/products/:id',
         'GET /api/sales',
         'GET /api/users',
+        'GET /api/users/roles',
+        'PUT /api/users/roles/:role',
+        'PUT /api/users/:id/role',
         'GET /api/stats',
-        'GET /api/stats/sync'
+        'GET /api/stats/sync',
+        'GET /api/stats/sync/audit'
       ],
       admin: [
         'GET /api/products/admin',
         'GET /api/sales/admin',
-        'GET /api/users/admin'
+        'GET /api/users/admin',
+        'GET /api/users/admin/auth-events',
+        'POST /api/users/:id/unlock',
+        'GET /api/sync/outbox',
+        'GET /api/sync/consumer',
+        'GET /api/sync/consumer/offsets',
+        'POST /api/sync/consumer/pause',
+        'POST /api/sync/consumer/resume',
+        'POST /api/sync/consumer/offsets/reset',
+        'GET /api/sync/privacy-policy',
+        'GET /api/sync/schema-drift',
+        'POST /api/sync/bootstrap',
+        'GET /api/sync/bootstrap',
+        'GET /api/sync/bootstrap/:id',
+        'POST /api/sync/bootstrap/:id/resume',
+        'POST /api/sync/bootstrap/cancel',
+        'POST /api/sync/reconcile',
+        'GET /api/sync/reconcile/reports',
+        'GET /api/sync/reconcile/reports/:id',
+        'GET /api/sync/dlq',
+        'GET /api/sync/dlq/:id',
+        'POST /api/sync/dlq/:id/replay',
+        'DELETE /api/sync/dlq/:id'
       ]
     }
   });
@@ -106,10 +207,13 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+let server = null;
+let shuttingDown = false;
+
 // Start server
 async function startServer() {
   try {
-    console.log('🚀 Starting China Backend...');
+    console.log(`🚀 Starting ${getRegion().name} Backend...`);
     console.log(`📍 Region: ${config.region}`);
     console.log(`🌐 Port: ${config.port}`);
     
@@ -121,18 +225,31 @@ async function startServer() {
     }
     console.log('✅ Database connected');
     
-    // Initialize Kafka consumers
+    // The schema comes from /migrations; refuse to run against an outdated one
     try {
-      await initKafkaConsumers();
-      console.log('✅ Kafka consumers initialized');
+      const migrations = await assertMigrationsCurrent();
+      console.log(`✅ Database schema up to date (${migrations.applied.length} migrations)`);
     } catch (error) {
-      console.error('⚠️  Kafka initialization failed:', error.message);
-      console.log('⚠️  Continuing without Kafka (sync disabled)');
+      console.error('❌ Database schema check failed:', error.message);
+      process.exit(1);
     }
+
+    await metricsRollup.start();
+    
+    // Initialize Kafka consumers; if the broker is unreachable the API starts
+    // anyway and the supervisor keeps reconnecting in the background
+    // (it also resumes an interrupted snapshot bootstrap once connected)
+    await consumerSupervisor.start();
+    
+    // Publish changes originating in this region (keeps retrying until Kafka is reachable)
+    outboxRelay.start();
+    
+    // Scheduled drift detection against the peer region
+    reconciler.start();
     
     // Start Express server
-    app.listen(config.port, () => {
-      console.log(`✅ China Backend running on port ${config.port}`);
+    server = app.listen(config.port, () => {
+      console.log(`✅ ${getRegion().name} Backend running on port ${config.port}`);
       console.log(`📊 Health check: http://localhost:${config.port}/health`);
       console.log(`🔐 Authentication: JWT required for protected endpoints`);
     });
@@ -142,16 +259,52 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
+/**
+ * Graceful shutdown: stop taking requests and new work, let the Kafka batch in
+ * flight commit and leave the consumer group, flush metrics, then close the pool
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully...`);
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+  // Exit anyway if draining hangs (offsets are only committed after each
+  // transaction, so anything unfinished is redelivered after the restart)
+  const forceExit = setTimeout(() => {
+    console.error(`⚠️  Graceful shutdown timed out after ${config.shutdownTimeoutMs}ms, exiting`);
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  forceExit.unref();
+
+  const steps = [
+    ['HTTP server', () => server && new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    })],
+    ['reconciliation', () => reconciler.stop()],
+    ['outbox relay', () => outboxRelay.stop()],
+    ['Kafka consumer', () => consumerSupervisor.stop()],
+    ['Kafka producer', () => disconnectProducer()],
+    ['metrics rollup', () => metricsRollup.stop()],
+    ['database pool', () => pool.end()]
+  ];
+
+  let exitCode = 0;
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      exitCode = 1;
+      console.error(`❌ Failed to stop ${name}:`, error.message);
+    }
+  }
+
+  console.log('👋 Shutdown complete');
+  process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start
 startServer();
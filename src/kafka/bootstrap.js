@@ -0,0 +1,525 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pool } = require('../database/dbConnection');
+const {
+  kafka,
+  handleMessage,
+  holdTopicsForBootstrap,
+  releaseTopicsFromBootstrap,
+  setConsumerOffsets
+} = require('./consumer');
+const { getRouteForTable, getTopicForTable, getInboundTopics } = require('./routing');
+const { getSources } = require('../utils/topology');
+const config = require('../config/config');
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Split one CSV line into fields (quoted fields and "" escapes supported)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+/**
+ * Wrap an export row in a Debezium snapshot envelope (envelopes pass through)
+ */
+function toSnapshotEnvelope(record, sourceRegion) {
+  const isEnvelope = record.payload || record.after !== undefined || record.op !== undefined;
+  // Plain exported rows hold JSON-native values, so they skip schema decoding
+  const envelope = isEnvelope
+    ? record
+    : { payload: { before: null, after: record, op: 'r', source: { connector: 'import' } } };
+  const payload = envelope.payload || envelope;
+
+  if (!payload.op) {
+    payload.op = 'r';
+  }
+  if (!payload._sync_origin) {
+    payload._sync_origin = sourceRegion;
+  }
+
+  return envelope;
+}
+
+/**
+ * Resolve an import file inside the configured import directory
+ */
+function resolveImportPath(file) {
+  const importDir = path.resolve(config.bootstrap.importDir);
+  const resolved = path.resolve(importDir, file);
+
+  if (!resolved.startsWith(importDir + path.sep)) {
+    throw httpError(400, 'Import file must be inside the bootstrap import directory');
+  }
+  if (!fs.existsSync(resolved)) {
+    throw httpError(400, `Import file not found: ${file}`);
+  }
+
+  return resolved;
+}
+
+async function countLines(file) {
+  let count = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) count++;
+  }
+  return count;
+}
+
+class BootstrapRunner {
+  constructor() {
+    this.current = null; // { id, cancelled }
+  }
+
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /**
+   * Start a new bootstrap run.
+   * options: { source: 'kafka', topics } or { source: 'file', file, format: 'jsonl'|'csv', table }
+   */
+  async start(options, startedBy) {
+    if (this.isRunning()) {
+      throw httpError(409, `Bootstrap run #${this.current.id} is already running`);
+    }
+
+    const normalized = this.validateOptions(options);
+
+    const result = await pool.query(
+      `INSERT INTO sync_bootstrap_runs (source_type, options, started_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [normalized.source, JSON.stringify(normalized), startedBy]
+    );
+    const run = result.rows[0];
+
+    console.log(`📸 Bootstrap run #${run.id} started by ${startedBy} (${normalized.source})`);
+    this.launch(run);
+    return run;
+  }
+
+  /**
+   * Resume an interrupted run from its last checkpoint
+   */
+  async resume(id) {
+    if (this.isRunning()) {
+      throw httpError(409, `Bootstrap run #${this.current.id} is already running`);
+    }
+
+    const run = await this.getRun(id);
+    if (!run) return null;
+
+    if (run.status === 'completed') {
+      throw httpError(409, `Bootstrap run #${id} already completed`);
+    }
+
+    await pool.query(
+      "UPDATE sync_bootstrap_runs SET status = 'running', error = NULL, updated_at = NOW() WHERE id = $1",
+      [id]
+    );
+
+    console.log(`📸 Resuming bootstrap run #${id} from checkpoint`);
+    this.launch({ ...run, status: 'running' });
+    return this.getRun(id);
+  }
+
+  /**
+   * Resume whatever run was still 'running' when the process died
+   */
+  async resumeInterrupted() {
+    const result = await pool.query(
+      "SELECT id FROM sync_bootstrap_runs WHERE status = 'running' ORDER BY id DESC LIMIT 1"
+    );
+    if (result.rows.length > 0) {
+      await this.resume(result.rows[0].id);
+    }
+  }
+
+  /**
+   * Ask the current run to stop at the next record
+   */
+  cancel() {
+    if (this.current) {
+      this.current.cancelled = true;
+    }
+  }
+
+  validateOptions(options = {}) {
+    const source = options.source || 'kafka';
+    const sources = getSources();
+    if (!options.sourceRegion && sources.length !== 1) {
+      throw httpError(400, `sourceRegion is required: ${config.region} receives changes from ${sources.join(', ') || 'no region'}`);
+    }
+
+    const sourceRegion = options.sourceRegion || sources[0];
+    if (!sources.includes(sourceRegion)) {
+      throw httpError(400, `sourceRegion must be a region ${config.region} receives changes from (${sources.join(', ')}), got ${sourceRegion}`);
+    }
+
+    if (source === 'kafka') {
+      const allowed = getInboundTopics();
+      const topics = options.topics || allowed;
+      if (!Array.isArray(topics) || topics.length === 0) {
+        throw httpError(400, 'topics must be a non-empty array');
+      }
+      const unknown = topics.filter(topic => !allowed.includes(topic));
+      if (unknown.length > 0) {
+        throw httpError(400, `Topics not allowed for bootstrap: ${unknown.join(', ')}`);
+      }
+      return { source, topics, sourceRegion };
+    }
+
+    if (source === 'file') {
+      const format = options.format || (String(options.file).endsWith('.csv') ? 'csv' : 'jsonl');
+      if (!options.file || !options.table) {
+        throw httpError(400, 'file and table are required for file bootstrap');
+      }
+      if (!['jsonl', 'csv'].includes(format)) {
+        throw httpError(400, 'format must be jsonl or csv');
+      }
+      const route = getRouteForTable(options.table);
+      if (!route || !getInboundTopics().includes(route.topic)) {
+        throw httpError(400, `Table not allowed for bootstrap: ${options.table}`);
+      }
+      resolveImportPath(options.file);
+      return { source, file: options.file, format, table: options.table, sourceRegion };
+    }
+
+    throw httpError(400, 'source must be kafka or file');
+  }
+
+  launch(run) {
+    this.current = { id: run.id, cancelled: false };
+    const task = run.source_type === 'file' ? this.runFile(run) : this.runKafka(run);
+
+    task
+      .then(status => this.finish(run.id, status))
+      .catch(error => {
+        console.error(`❌ Bootstrap run #${run.id} failed:`, error.message);
+        return this.finish(run.id, 'failed', error.message);
+      })
+      .catch(error => console.error('❌ Failed to record bootstrap result:', error.message))
+      .finally(() => {
+        this.current = null;
+      });
+  }
+
+  async finish(id, status, errorMessage = null) {
+    await pool.query(
+      `UPDATE sync_bootstrap_runs
+       SET status = $1, error = $2, updated_at = NOW(),
+           finished_at = CASE WHEN $3 THEN NOW() ELSE finished_at END
+       WHERE id = $4`,
+      [status, errorMessage, status === 'completed', id]
+    );
+    console.log(`📸 Bootstrap run #${id} ${status}`);
+  }
+
+  async saveProgress(id, counters, checkpoint) {
+    await pool.query(
+      `UPDATE sync_bootstrap_runs
+       SET processed = $1, applied = $2, skipped = $3, failed = $4,
+           checkpoint = $5, total = COALESCE($6, total), updated_at = NOW()
+       WHERE id = $7`,
+      [
+        counters.processed,
+        counters.applied,
+        counters.skipped,
+        counters.failed,
+        JSON.stringify(checkpoint),
+        counters.total ?? null,
+        id
+      ]
+    );
+  }
+
+  /**
+   * Run one snapshot record through the normal privacy + conflict resolution path
+   */
+  async applyRecord(topic, partition, message, counters) {
+    const decision = await handleMessage(topic, partition, message);
+
+    counters.processed++;
+    if (decision === null) {
+      counters.failed++;
+    } else if (decision && decision.applied) {
+      counters.applied++;
+    } else {
+      counters.skipped++;
+    }
+  }
+
+  /**
+   * Load a JSONL or CSV export; the checkpoint is the last processed line
+   */
+  async runFile(run) {
+    const options = run.options;
+    const file = resolveImportPath(options.file);
+    const topic = getTopicForTable(options.table);
+    const counters = {
+      total: await countLines(file) - (options.format === 'csv' ? 1 : 0),
+      processed: parseInt(run.processed) || 0,
+      applied: parseInt(run.applied) || 0,
+      skipped: parseInt(run.skipped) || 0,
+      failed: parseInt(run.failed) || 0
+    };
+    const resumeAfter = (run.checkpoint && run.checkpoint.line) || 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    let header = null;
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      lineNumber++;
+
+      if (options.format === 'csv' && header === null) {
+        header = parseCsvLine(line);
+        continue;
+      }
+      if (lineNumber <= resumeAfter) continue;
+
+      if (this.current.cancelled) {
+        await this.saveProgress(run.id, counters, { line: lineNumber - 1 });
+        return 'cancelled';
+      }
+
+      let record;
+      if (options.format === 'csv') {
+        const fields = parseCsvLine(line);
+        record = {};
+        header.forEach((column, i) => {
+          record[column] = fields[i] === '' || fields[i] === undefined ? null : fields[i];
+        });
+      } else {
+        record = JSON.parse(line);
+      }
+
+      const envelope = toSnapshotEnvelope(record, options.sourceRegion);
+      const after = (envelope.payload || envelope).after || {};
+
+      await this.applyRecord(topic, null, {
+        key: after.id !== undefined ? Buffer.from(JSON.stringify({ id: after.id })) : null,
+        value: Buffer.from(JSON.stringify(envelope)),
+        // Stable id per run + line keeps a resumed run idempotent
+        headers: { 'event-id': `bootstrap-${run.id}-${lineNumber}` },
+        offset: String(lineNumber)
+      }, counters);
+
+      if (counters.processed % config.bootstrap.checkpointEvery === 0) {
+        await this.saveProgress(run.id, counters, { line: lineNumber });
+        console.log(`📸 Bootstrap #${run.id}: ${counters.processed}/${counters.total} records`);
+      }
+    }
+
+    await this.saveProgress(run.id, counters, { line: lineNumber });
+    return 'completed';
+  }
+
+  /**
+   * Replay snapshot topics from the beginning up to the offsets captured at start,
+   * then move the live consumer to exactly those offsets.
+   * The bootstrap consumer group's committed offsets are the crash checkpoint.
+   */
+  async runKafka(run) {
+    const options = run.options;
+    const admin = kafka.admin();
+    await admin.connect();
+
+    const groupId = `${config.kafka.groupId}-bootstrap-${run.id}`;
+    let endOffsets = run.checkpoint && run.checkpoint.endOffsets;
+    const remaining = new Set();
+    let total = 0;
+
+    try {
+      // End offsets are captured once, so a resumed run stops at the same place
+      if (!endOffsets) {
+        endOffsets = {};
+        for (const topic of options.topics) {
+          const offsets = await admin.fetchTopicOffsets(topic);
+          endOffsets[topic] = {};
+          for (const partitionOffsets of offsets) {
+            endOffsets[topic][partitionOffsets.partition] = partitionOffsets.high;
+          }
+        }
+      }
+
+      // Partitions already read up to their end offset (before a crash) are done
+      const committed = {};
+      const groupOffsets = await admin.fetchOffsets({ groupId, topics: options.topics });
+      for (const { topic, partitions } of groupOffsets) {
+        for (const { partition, offset } of partitions) {
+          committed[`${topic}:${partition}`] = Number(offset);
+        }
+      }
+
+      for (const topic of options.topics) {
+        const offsets = await admin.fetchTopicOffsets(topic);
+        for (const partitionOffsets of offsets) {
+          const partitionKey = `${topic}:${partitionOffsets.partition}`;
+          const high = Number(endOffsets[topic][partitionOffsets.partition] ?? partitionOffsets.low);
+          const low = Number(partitionOffsets.low);
+          total += Math.max(0, high - low);
+
+          if (high > low && !(committed[partitionKey] >= high)) {
+            remaining.add(partitionKey);
+          }
+        }
+      }
+    } finally {
+      await admin.disconnect();
+    }
+
+    const checkpoint = { endOffsets };
+    const counters = {
+      total,
+      processed: parseInt(run.processed) || 0,
+      applied: parseInt(run.applied) || 0,
+      skipped: parseInt(run.skipped) || 0,
+      failed: parseInt(run.failed) || 0
+    };
+    await this.saveProgress(run.id, counters, checkpoint);
+
+    const snapshotConsumer = kafka.consumer({
+      groupId,
+      sessionTimeout: 30000,
+      heartbeatInterval: 3000
+    });
+
+    try {
+      // Live changes wait until the snapshot is in
+      holdTopicsForBootstrap(options.topics);
+
+      if (remaining.size > 0) {
+        await snapshotConsumer.connect();
+        await snapshotConsumer.subscribe({ topics: options.topics, fromBeginning: true });
+
+        let status = 'completed';
+        await new Promise((resolve, reject) => {
+          snapshotConsumer.on(snapshotConsumer.events.CRASH, ({ payload }) => reject(payload.error));
+
+          snapshotConsumer.run({
+            eachMessage: async ({ topic, partition, message, heartbeat }) => {
+              const partitionKey = `${topic}:${partition}`;
+              if (!remaining.has(partitionKey)) return;
+
+              if (this.current.cancelled) {
+                status = 'cancelled';
+                resolve();
+                return;
+              }
+
+              const end = BigInt(endOffsets[topic][partition]);
+              if (BigInt(message.offset) < end) {
+                await this.applyRecord(topic, partition, message, counters);
+                if (counters.processed % config.bootstrap.checkpointEvery === 0) {
+                  await this.saveProgress(run.id, counters, checkpoint);
+                  await heartbeat();
+                  console.log(`📸 Bootstrap #${run.id}: ${counters.processed}/${counters.total} records`);
+                }
+              }
+
+              if (BigInt(message.offset) + 1n >= end) {
+                remaining.delete(partitionKey);
+                if (remaining.size === 0) {
+                  resolve();
+                }
+              }
+            }
+          }).catch(reject);
+        });
+
+        await this.saveProgress(run.id, counters, checkpoint);
+        if (status !== 'completed') {
+          return status;
+        }
+      }
+
+      // Switch live streaming to start right after the snapshot
+      const seekOffsets = [];
+      for (const topic of options.topics) {
+        for (const [partition, high] of Object.entries(endOffsets[topic])) {
+          seekOffsets.push({ topic, partition: parseInt(partition), offset: high });
+        }
+      }
+      await setConsumerOffsets(seekOffsets);
+
+      return 'completed';
+    } finally {
+      await snapshotConsumer.disconnect().catch(() => {});
+      // Must not replace the run's result or error
+      try {
+        releaseTopicsFromBootstrap(options.topics);
+      } catch (error) {
+        console.error(`❌ Failed to resume live consumption after bootstrap #${run.id}:`, error.message);
+      }
+    }
+  }
+
+  async getRun(id) {
+    const result = await pool.query('SELECT * FROM sync_bootstrap_runs WHERE id = $1', [id]);
+    return result.rows[0] ? this.withProgress(result.rows[0]) : null;
+  }
+
+  async listRuns(limit = 20) {
+    const result = await pool.query(
+      'SELECT * FROM sync_bootstrap_runs ORDER BY id DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(run => this.withProgress(run));
+  }
+
+  withProgress(run) {
+    const total = run.total !== null ? parseInt(run.total) : null;
+    const processed = parseInt(run.processed) || 0;
+    return {
+      ...run,
+      active: this.current !== null && this.current.id === run.id,
+      percent: total ? Math.min(100, Math.round((processed / total) * 1000) / 10) : null
+    };
+  }
+}
+
+// Singleton instance
+const bootstrapRunner = new BootstrapRunner();
+
+module.exports = {
+  parseCsvLine,
+  toSnapshotEnvelope,
+  bootstrapRunner
+};
@@ -1,257 +1,687 @@
 const { pool } = require('../database/dbConnection');
 const { Kafka } = require('kafkajs');
 const { syncMetrics } = require('../utils/syncMetrics');
+const { decide, toMillis, originTime, getSourceColumns } = require('./conflictStrategies');
+const { getChangedColumns, getColumnWritersForRecords, writeColumnWriters } = require('./fieldMerge');
+const { recordAudits } = require('./syncAudit');
+const { claimEvents } = require('./eventLedger');
+const { applyPolicy } = require('./privacyPolicy');
+const { decodeEnvelope, schemaError } = require('./schemaDecoder');
+const { requireTableSchema, fitRow, recordSchemaDrift } = require('./tableSchema');
 const config = require('../config/config');
 
 const kafka = new Kafka({
-  clientId: config.kafka.clientId || 'india-resolver',
+  clientId: config.kafka.clientId,
   brokers: [config.kafka.broker]
 });
 
 const producer = kafka.producer();
 let producerConnected = false;
+// Connection state for health checks
+const producerState = { connectedAt: null, lastError: null };
+
+producer.on(producer.events.DISCONNECT, () => {
+  producerConnected = false;
+});
 
 async function ensureProducerConnected() {
   if (!producerConnected) {
-    await producer.connect();
+    try {
+      await producer.connect();
+    } catch (error) {
+      producerState.lastError = { message: error.message, at: new Date() };
+      throw error;
+    }
     producerConnected = true;
+    producerState.connectedAt = new Date();
     console.log('✅ Kafka producer connected for conflict resolution');
   }
 }
 
+async function disconnectProducer() {
+  if (producerConnected) {
+    await producer.disconnect();
+    producerConnected = false;
+    console.log('✅ Kafka producer disconnected');
+  }
+}
+
 /**
- * Resolve conflicts using Last-Write-Wins strategy based on updated_at timestamp
- * This function determines if an incoming change should be applied to the destination database
+ * Producer status (it connects lazily, on the first DLQ or outbox publish)
  */
-async function resolveConflict({ topic, key, value, source, destination }) {
-  const syncStartTime = Date.now(); // Track when sync processing started
-  
-  try {
-    await ensureProducerConnected();
-
-    // Extract table name from topic (e.g., 'sync.users' -> 'users')
-    const tableName = topic.replace('sync.', '');
-    
-    // Extract the actual data from Debezium envelope
-    const newData = value.payload?.after || value.after || value;
-    const operation = value.payload?.op || value.op || 'u'; // c=create, u=update, d=delete
-    
-    // Calculate sync latency (time since record was created/updated in source)
-    let sourceTimestamp = null;
-    if (newData.updated_at) {
-      // Handle both timestamp formats (milliseconds and microseconds)
-      const ts = newData.updated_at;
-      if (typeof ts === 'number' && ts > 100000000000) {
-        // Debezium sends microseconds, convert to milliseconds
-        sourceTimestamp = Math.floor(ts / 1000);
-      } else {
-        sourceTimestamp = new Date(ts).getTime();
-      }
-    } else if (newData.created_at) {
-      const ts = newData.created_at;
-      if (typeof ts === 'number' && ts > 100000000000) {
-        sourceTimestamp = Math.floor(ts / 1000);
-      } else {
-        sourceTimestamp = new Date(ts).getTime();
-      }
+function getProducerStatus() {
+  return {
+    connected: producerConnected,
+    connectedAt: producerState.connectedAt,
+    lastError: producerState.lastError
+  };
+}
+
+// Columns managed locally that conflict strategies never decide (besides the primary key)
+const UNMANAGED_COLUMNS = ['sync_source', 'updated_at', 'source_updated_at'];
+
+/**
+ * Apply the privacy policy for the direction to a decoded row
+ */
+function prepareRow(newData, { tableName, source, destination, upstream = null }) {
+  const decoded = {};
+  for (const col of Object.keys(newData).filter(k => !k.startsWith('_'))) {
+    decoded[col] = newData[col];
+  }
+
+  // 🔒 PRIVACY PROTECTION: drop / null / hash / generalize columns per the active policy
+  const { row, dropped, nulled, hashed, generalized, actions } = applyPolicy(tableName, source, destination, decoded, upstream);
+
+  // Log which fields were touched for transparency
+  if (dropped.length > 0) {
+    console.log(`🔒 PRIVACY: Stripped ${dropped.length} private field(s): ${dropped.join(', ')}`);
+  }
+  if (nulled.length > 0) {
+    console.log(`🔒 PRIVACY: Set to NULL: ${nulled.join(', ')}`);
+  }
+  if (hashed.length > 0) {
+    console.log(`🔒 PRIVACY: Pseudonymized: ${hashed.join(', ')}`);
+  }
+  if (generalized.length > 0) {
+    console.log(`🔒 PRIVACY: Generalized: ${generalized.join(', ')}`);
+  }
+  if (dropped.length + nulled.length + hashed.length + generalized.length === 0) {
+    console.log(`🔒 PRIVACY: No private fields detected in this sync`);
+  }
+
+  return { row, columns: Object.keys(row), removedFields: dropped, nulled, hashed, generalized, privacyActions: actions };
+}
+
+/**
+ * Fit a prepared row to the introspected destination table. Columns the
+ * message didn't declare a type for may only be dropped, never written, and an
+ * insert lacking a NOT NULL column without a default is rejected (non-retryable).
+ */
+function fitToTable(prepared, tableSchema, undeclared, insert) {
+  const untyped = undeclared.filter(col => col in prepared.row && tableSchema.columns[col]);
+  if (untyped.length > 0) {
+    throw schemaError('schema_mismatch', `no declared type for ${tableSchema.table}.${untyped.join(', ')}`);
+  }
+
+  const fit = fitRow(tableSchema, prepared.row, { insert });
+  if (fit.missingColumns.length > 0) {
+    fit.missingColumns.forEach(col => syncMetrics.recordSchemaDrift(tableSchema.table, col, 'missing_column'));
+    throw schemaError('missing_column', `${tableSchema.table}.${fit.missingColumns.join(', ')} is NOT NULL without a default and missing from the row`);
+  }
+  return { ...prepared, row: fit.row, columns: Object.keys(fit.row), incomingRow: prepared.row, fit };
+}
+
+/**
+ * Key columns of a route's table: the route's primaryKey, else the table's own
+ */
+function getPrimaryKey(route, tableSchema) {
+  const primaryKey = route.primaryKey || (tableSchema.primaryKey.length > 0 ? tableSchema.primaryKey : ['id']);
+  const missing = primaryKey.filter(col => !tableSchema.columns[col]);
+  if (missing.length > 0) {
+    throw schemaError('schema_mismatch', `primary key ${missing.join(', ')} not in ${tableSchema.table}`);
+  }
+  return primaryKey;
+}
+
+/**
+ * Record id used in the ledger, audit and column writers:
+ * the plain value for single-column keys, "col=value,..." for composite keys
+ */
+function formatRecordId(primaryKey, keyValues) {
+  if (primaryKey.length === 1) {
+    return keyValues[0];
+  }
+  return primaryKey.map((col, i) => `${col}=${keyValues[i]}`).join(',');
+}
+
+// Keys / rows per statement when a batch is locked and written
+const WRITE_CHUNK_SIZE = 500;
+
+/**
+ * Key of a record in the in-memory batch state
+ */
+function stateKey(keyValues) {
+  return JSON.stringify(keyValues.map(value => (value instanceof Date ? value.toISOString() : String(value))));
+}
+
+/**
+ * WHERE clause matching any of the given keys: "(a, b) IN (($1, $2), ...)"
+ */
+function keysCondition(primaryKey, keys, params) {
+  const tuples = keys.map(keyValues => {
+    params.push(...keyValues);
+    const placeholders = keyValues.map((_, i) => `$${params.length - keyValues.length + 1 + i}`);
+    return primaryKey.length === 1 ? placeholders[0] : `(${placeholders.join(', ')})`;
+  });
+  const columns = primaryKey.length === 1 ? primaryKey[0] : `(${primaryKey.join(', ')})`;
+  return `${columns} IN (${tuples.join(', ')})`;
+}
+
+/**
+ * Lock the destination rows of a batch: Map of stateKey -> row
+ */
+async function lockRows(db, tableSchema, primaryKey, keys) {
+  const rows = new Map();
+  for (let start = 0; start < keys.length; start += WRITE_CHUNK_SIZE) {
+    const params = [];
+    const where = keysCondition(primaryKey, keys.slice(start, start + WRITE_CHUNK_SIZE), params);
+    const result = await db.query(`SELECT * FROM ${tableSchema.table} WHERE ${where} FOR UPDATE`, params);
+    for (const row of result.rows) {
+      rows.set(stateKey(primaryKey.map(col => row[col])), row);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Delete the given keys
+ */
+async function deleteRows(db, tableSchema, primaryKey, keys) {
+  for (let start = 0; start < keys.length; start += WRITE_CHUNK_SIZE) {
+    const params = [];
+    const where = keysCondition(primaryKey, keys.slice(start, start + WRITE_CHUNK_SIZE), params);
+    await db.query(`DELETE FROM ${tableSchema.table} WHERE ${where}`, params);
+  }
+}
+
+/**
+ * Insert new records (complete rows). A record that appeared concurrently is
+ * overwritten with them. Rows with the same columns share one multi-row statement.
+ */
+async function upsertRows(db, tableSchema, primaryKey, rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const signature = Object.keys(row).join(',');
+    if (!groups.has(signature)) {
+      groups.set(signature, []);
+    }
+    groups.get(signature).push(row);
+  }
+
+  for (const groupRows of groups.values()) {
+    const columns = Object.keys(groupRows[0]);
+
+    // For conflict (update), exclude the key and columns that are already being set
+    const conflictSet = columns
+      .filter(col => !primaryKey.includes(col) && col !== 'sync_source' && col !== 'updated_at')
+      .map(col => `${col} = EXCLUDED.${col}`);
+    if (tableSchema.columns.updated_at) {
+      conflictSet.push('updated_at = NOW()');
     }
-    
-    if (!newData && operation !== 'd') {
-      console.log('⚠️  No data to sync, skipping');
-      return;
+
+    // Keep each statement under Postgres' 65535 parameter limit
+    const chunkSize = Math.max(1, Math.min(WRITE_CHUNK_SIZE, Math.floor(60000 / columns.length)));
+    for (let start = 0; start < groupRows.length; start += chunkSize) {
+      const params = [];
+      const values = groupRows.slice(start, start + chunkSize).map(row => {
+        const placeholders = columns.map(col => {
+          params.push(row[col]);
+          return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+
+      // For updates, preserve original sync_source (don't change it)
+      // Only set sync_source on INSERT (new records)
+      await db.query(
+        `INSERT INTO ${tableSchema.table} (${columns.join(', ')})
+         VALUES ${values.join(', ')}
+         ON CONFLICT (${primaryKey.join(', ')}) DO ${conflictSet.length > 0 ? `UPDATE SET ${conflictSet.join(', ')}` : 'NOTHING'}`,
+        params
+      );
     }
+  }
+}
 
-    // Use India database pool (this backend only handles India)
-    const destPool = pool;
-    
-    // Check if record exists in destination
-    const recordId = key?.id || newData?.id;
-    if (!recordId) {
-      console.log('⚠️  No record ID found, skipping');
-      return;
+/**
+ * Update only the given columns of records that already exist. Must not go
+ * through INSERT ... ON CONFLICT: Postgres checks NOT NULL on the proposed
+ * insert row first, so a partial row would fail.
+ */
+async function updateRows(db, tableSchema, primaryKey, rows) {
+  for (const row of rows) {
+    // For updates, preserve original sync_source (don't change it)
+    const columns = Object.keys(row)
+      .filter(col => !primaryKey.includes(col) && col !== 'sync_source' && col !== 'updated_at');
+    if (columns.length === 0) continue;
+
+    const params = columns.map(col => row[col]);
+    const setClause = columns.map((col, i) => `${col} = $${i + 1}`);
+    if (tableSchema.columns.updated_at) {
+      setClause.push('updated_at = NOW()');
     }
+    const where = primaryKey.map(col => {
+      params.push(row[col]);
+      return `${col} = $${params.length}`;
+    });
 
-    const existingRecord = await destPool.query(
-      `SELECT * FROM ${tableName} WHERE id = $1`,
-      [recordId]
+    await db.query(
+      `UPDATE ${tableSchema.table} SET ${setClause.join(', ')} WHERE ${where.join(' AND ')}`,
+      params
     );
+  }
+}
 
-    // CONFLICT RESOLUTION LOGIC WITH LOOP PREVENTION
-    let shouldApply = false;
-    let conflictReason = '';
-
-    if (existingRecord.rows.length === 0) {
-      // New record - always apply
-      shouldApply = true;
-      conflictReason = 'new_record';
-    } else if (operation === 'd') {
-      // Delete operation
-      shouldApply = true;
-      conflictReason = 'delete_operation';
-    } else {
-      // Record exists - apply Last-Write-Wins strategy with loop prevention
-      const existingRecord_data = existingRecord.rows[0];
-      const existingUpdatedAt = new Date(existingRecord_data.updated_at);
-      let incomingUpdatedAt;
-      
-      // Handle timestamp conversion
-      if (typeof newData.updated_at === 'number' && newData.updated_at > 100000000000) {
-        incomingUpdatedAt = new Date(Math.floor(newData.updated_at / 1000));
-      } else {
-        incomingUpdatedAt = new Date(newData.updated_at);
-      }
-      
-      // Calculate time difference for loop detection
-      const timeDiff = Math.abs(incomingUpdatedAt.getTime() - existingUpdatedAt.getTime());
-      
-      // LOOP PREVENTION: If timestamps are too close (< 1 second), likely a loop
-      if (timeDiff < 1000) {
-        shouldApply = false;
-        conflictReason = 'loop_prevention_rapid_update';
-        console.log(`🔄 Loop prevented: Time diff ${timeDiff}ms < 1000ms`);
-        return; // Exit early to prevent loop
-      }
-      
-      if (incomingUpdatedAt > existingUpdatedAt) {
-        shouldApply = true;
-        conflictReason = 'newer_timestamp';
-      } else if (timeDiff < 100) {
-        // Timestamps are essentially the same, use version
-        const existingVersion = existingRecord_data.version || 0;
-        const incomingVersion = newData.version || 0;
-        
-        if (incomingVersion > existingVersion) {
-          shouldApply = true;
-          conflictReason = 'higher_version';
-        } else {
-          shouldApply = false;
-          conflictReason = 'same_or_older_version';
-        }
-      } else {
-        shouldApply = false;
-        conflictReason = 'older_timestamp';
+/**
+ * Mirror the row version trigger (migrations/003_row_versioning.js) on the
+ * in-memory copy of a written record: version bumped past the existing one and
+ * origin time never moved back. Returns the extra columns to write.
+ */
+function stampRow(tableSchema, row, existing, change) {
+  const stamped = [];
+
+  if (tableSchema.columns.version) {
+    const incomingVersion = Number(row.version) || 0;
+    row.version = existing ? Math.max((Number(existing.version) || 0) + 1, incomingVersion) : incomingVersion || 1;
+    stamped.push('version');
+  }
+
+  if (tableSchema.columns.source_updated_at) {
+    const incomingOrigin = change.newData.source_updated_at ?? change.newData.updated_at;
+    const existingTs = existing ? originTime(existing) : null;
+    if (incomingOrigin !== undefined && incomingOrigin !== null &&
+        (existingTs === null || (change.sourceTimestamp || 0) >= existingTs)) {
+      row.source_updated_at = incomingOrigin;
+      stamped.push('source_updated_at');
+    }
+  }
+
+  // Mirrors the upsert's updated_at = NOW()
+  if (existing && tableSchema.columns.updated_at) {
+    row.updated_at = new Date();
+  }
+  return stamped;
+}
+
+/**
+ * Decode and key an incoming change without touching the database rows.
+ * Throws (non-retryable) on unknown or mismatched schemas.
+ */
+async function prepareChange({ topic, route, partition, offset, eventId, key, value, source, destination }) {
+  // Destination table comes from the topic's sync route (config/syncRoutes.js)
+  const tableName = route.table;
+
+  // Decode the Debezium envelope by its declared schema (throws, non-retryable,
+  // on unknown or mismatched schemas so the message is dead-lettered unwritten)
+  const { before, after: newData, schemaSource, undeclared } = decodeEnvelope(tableName, value);
+  // Only tables and columns that exist in the destination (per information_schema)
+  // are ever interpolated into SQL
+  const tableSchema = await requireTableSchema(tableName);
+  const primaryKey = getPrimaryKey(route, tableSchema);
+  const operation = value.payload?.op || value.op || 'u'; // c=create, u=update, d=delete
+
+  const result = {
+    table: tableName,
+    recordId: null,
+    operation,
+    source,
+    destination,
+    applied: false,
+    strategy: null,
+    winner: null,
+    reason: '',
+    columns: {},
+    changedColumns: null,
+    blockedColumns: [],
+    appliedColumns: []
+  };
+
+  const change = {
+    topic,
+    partition,
+    offset,
+    eventId,
+    tableName,
+    tableSchema,
+    primaryKey,
+    schemaSource,
+    undeclared,
+    operation,
+    before,
+    newData,
+    source,
+    destination,
+    // Privacy actions the sender's outbox already applied
+    upstreamPrivacy: value.payload?._privacy || value._privacy || null,
+    // Sync latency is measured from when the record changed in its origin region
+    sourceTimestamp: newData ? originTime(newData) || toMillis(newData.created_at) : null,
+    receivedAt: Date.now(),
+    keyValues: null,
+    skip: false,
+    existing: null,
+    prepared: null,
+    result
+  };
+
+  if (!newData && operation !== 'd') {
+    console.log('⚠️  No data to sync, skipping');
+    result.reason = 'no_data';
+    change.skip = true;
+    return change;
+  }
+
+  // Record key (Debezium keys may carry their own schema)
+  const keyData = key?.payload || key;
+  const keyValues = primaryKey.map(col => newData?.[col] ?? before?.[col] ?? keyData?.[col]);
+  if (keyValues.some(v => v === undefined || v === null)) {
+    console.log('⚠️  No record ID found, skipping');
+    result.reason = 'missing_record_id';
+    change.skip = true;
+    return change;
+  }
+
+  change.keyValues = keyValues;
+  result.recordId = formatRecordId(primaryKey, keyValues);
+  return change;
+}
+
+/**
+ * Decide one change against the current state of its record (CONFLICT RESOLUTION)
+ */
+function decideChange(change, existing, columnWriters) {
+  const { tableName, tableSchema, primaryKey, undeclared, operation, before, newData, source, destination, result } = change;
+  const direction = { tableName, source, destination, upstream: change.upstreamPrivacy };
+
+  if (operation === 'd') {
+    // Delete operation
+    Object.assign(result, { applied: true, strategy: 'delete', winner: 'incoming', reason: 'delete_operation' });
+  } else if (!existing) {
+    // New record - always apply
+    change.prepared = fitToTable(prepareRow(newData, direction), tableSchema, undeclared, true);
+    Object.assign(result, { applied: true, strategy: 'insert', winner: 'incoming', reason: 'new_record' });
+    result.appliedColumns = change.prepared.columns;
+  } else {
+    // Record exists - field-level merge: only columns the source actually changed
+    // are candidates, and the configured strategies decide each one
+    change.prepared = fitToTable(prepareRow(newData, direction), tableSchema, undeclared, false);
+    const changed = getChangedColumns(before, newData);
+    const allowed = getSourceColumns(tableName, source);
+
+    let candidateColumns = change.prepared.columns.filter(col =>
+      !primaryKey.includes(col) && !UNMANAGED_COLUMNS.includes(col)
+    );
+    if (changed) {
+      candidateColumns = candidateColumns.filter(col => changed.includes(col));
+    }
+    result.changedColumns = candidateColumns;
+
+    if (allowed) {
+      result.blockedColumns = candidateColumns.filter(col => !allowed.includes(col));
+      candidateColumns = candidateColumns.filter(col => allowed.includes(col));
+      if (result.blockedColumns.length > 0) {
+        console.log(`🚫 DIRECTIONAL BLOCK: ${source} may not change ${result.blockedColumns.join(', ')}`);
       }
     }
 
-    console.log(`🔍 Conflict Resolution for ${tableName}#${recordId}:`);
-    console.log(`   Decision: ${shouldApply ? '✅ APPLY' : '❌ SKIP'}`);
-    console.log(`   Reason: ${conflictReason}`);
-
-    if (shouldApply) {
-      // Write directly to destination database
-      if (operation === 'd') {
-        // Delete operation
-        await destPool.query(
-          `DELETE FROM ${tableName} WHERE id = $1`,
-          [recordId]
-        );
-        console.log(`✅ Record deleted from ${destination} DB`);
+    const decision = decide({
+      tableName,
+      columns: candidateColumns,
+      incoming: newData,
+      existing,
+      columnWriters,
+      source,
+      destination,
+      operation
+    });
+
+    result.columns = decision.columns;
+    result.appliedColumns = candidateColumns.filter(col => decision.columns[col].winner === 'incoming');
+    result.applied = result.appliedColumns.length > 0;
+    result.strategy = decision.table.strategy;
+    result.winner = result.applied ? 'incoming' : 'existing';
+    // Column overrides can flip the table-level decision either way
+    const tableApplies = decision.table.winner === 'incoming';
+    if (candidateColumns.length === 0) {
+      result.reason = result.blockedColumns.length > 0 ? 'directional_block' : 'no_changed_columns';
+    } else {
+      result.reason = result.applied === tableApplies ? decision.table.reason : 'column_overrides';
+    }
+  }
+
+  console.log(`🔍 Conflict Resolution for ${tableName}#${result.recordId}:`);
+  console.log(`   Schema: ${change.schemaSource}`);
+  console.log(`   Strategy: ${result.strategy}`);
+  console.log(`   Decision: ${result.applied ? '✅ APPLY' : '❌ SKIP'}`);
+  console.log(`   Reason: ${result.reason}`);
+  if (Object.keys(result.columns).length > 0) {
+    console.log(`   Columns applied: ${result.appliedColumns.join(', ') || 'none'}`);
+  }
+}
+
+/**
+ * Decide every change to one table in offset order against an in-memory copy
+ * of the locked rows, then write the final state of each record once
+ */
+async function applyTableChanges(client, changes) {
+  const { tableName, tableSchema, primaryKey } = changes[0];
+
+  const keys = [...new Map(changes.map(change => [stateKey(change.keyValues), change.keyValues])).values()];
+  const state = await lockRows(client, tableSchema, primaryKey, keys);
+  const writers = await getColumnWritersForRecords(client, tableName, changes.map(change => change.result.recordId));
+
+  // stateKey -> { keyValues, recordId, deleted, columns } for records this batch writes
+  const touched = new Map();
+  let writerEntries = [];
+
+  for (const change of changes) {
+    const { keyValues, operation, source, result } = change;
+    const recordKey = stateKey(keyValues);
+    const recordId = String(result.recordId);
+    const existing = state.get(recordKey) || null;
+
+    change.existing = existing;
+    decideChange(change, existing, writers.get(recordId) || {});
+
+    if (!result.applied) {
+      continue;
+    }
+
+    if (!touched.has(recordKey)) {
+      touched.set(recordKey, { keyValues, deleted: false, inserted: false, columns: null });
+    }
+    const record = touched.get(recordKey);
+
+    if (operation === 'd') {
+      state.delete(recordKey);
+      writers.delete(recordId);
+      writerEntries = writerEntries.filter(entry => String(entry.recordId) !== recordId);
+      Object.assign(record, { deleted: true, inserted: false, columns: null });
+      continue;
+    }
+
+    // Stamped like the trigger does, so later changes in the batch compare
+    // against the same row a per-message write would have left
+    if (!existing) {
+      const inserted = { ...change.prepared.row };
+      const stamped = stampRow(tableSchema, inserted, null, change);
+      state.set(recordKey, inserted);
+      record.inserted = true;
+      record.columns = new Set([...change.prepared.columns, ...stamped]);
+    } else {
+      const updated = { ...existing };
+      result.appliedColumns.forEach(col => { updated[col] = change.prepared.row[col]; });
+      const stamped = stampRow(tableSchema, updated, existing, change);
+      state.set(recordKey, updated);
+      record.columns = record.columns || new Set(primaryKey);
+      [...result.appliedColumns, ...stamped].forEach(col => record.columns.add(col));
+    }
+
+    // Per-column last-writer tracking
+    const writtenAt = change.sourceTimestamp ? new Date(change.sourceTimestamp) : new Date();
+    const recordWriters = writers.get(recordId) || {};
+    for (const col of result.appliedColumns.filter(c => !primaryKey.includes(c) && !UNMANAGED_COLUMNS.includes(c))) {
+      recordWriters[col] = { lastWriter: source, written_at: writtenAt };
+      writerEntries.push({ recordId: result.recordId, column: col, writer: source, writtenAt });
+    }
+    writers.set(recordId, recordWriters);
+  }
+
+  // Write directly to destination database: deletes first, then each record's final state
+  const deleted = [...touched.values()].filter(record => record.deleted);
+  if (deleted.length > 0) {
+    await deleteRows(client, tableSchema, primaryKey, deleted.map(record => record.keyValues));
+    await client.query(
+      'DELETE FROM sync_column_writers WHERE table_name = $1 AND record_id = ANY($2)',
+      [tableName, deleted.map(record => String(formatRecordId(primaryKey, record.keyValues)))]
+    );
+  }
+
+  // Records created in this batch are inserted whole; existing ones get
+  // only the columns that won
+  const inserts = [];
+  const updates = [];
+  for (const [recordKey, record] of touched) {
+    if (!record.columns) continue;
+    const row = state.get(recordKey);
+    const written = {};
+    [...record.columns].forEach(col => { written[col] = row[col]; });
+    (record.inserted ? inserts : updates).push(written);
+  }
+  await upsertRows(client, tableSchema, primaryKey, inserts);
+  await updateRows(client, tableSchema, primaryKey, updates);
+  await writeColumnWriters(client, tableName, writerEntries);
+
+  // Columns that didn't fit the destination table are counted, reported and parked
+  for (const change of changes.filter(c => c.prepared)) {
+    await recordSchemaDrift(client, {
+      tableName,
+      recordId: change.result.recordId,
+      row: change.prepared.incomingRow,
+      fit: change.prepared.fit
+    });
+  }
+}
+
+/**
+ * Apply prepared changes inside the caller's transaction: claim their events,
+ * decide and write them (per table, in order), and audit every decision
+ */
+async function applyChanges(client, changes) {
+  // IDEMPOTENCY: events are claimed in the same transaction as the write,
+  // so a redelivered change is skipped instead of applied twice
+  const claimable = changes.filter(change => !change.skip && change.eventId);
+  if (claimable.length > 0) {
+    const claimed = await claimEvents(client, claimable.map(change => ({
+      eventId: change.eventId,
+      topic: change.topic,
+      partition: change.partition,
+      offset: change.offset,
+      tableName: change.tableName,
+      recordId: change.result.recordId
+    })));
+
+    for (const change of claimable) {
+      if (claimed.has(change.eventId)) {
+        // A second copy later in the same batch is a duplicate too
+        claimed.delete(change.eventId);
       } else {
-        // Insert or Update operation
-        // 🔒 PRIVACY PROTECTION: Strip user-identifying fields but handle foreign keys properly
-        const allColumns = Object.keys(newData).filter(k => !k.startsWith('_'));
-        
-        // Define fields with personal information that should NEVER cross regions
-        const PRIVATE_FIELDS = [
-          // User personal information (in case of accidental denormalization)
-          'username',
-          'email',
-          'full_name',
-          'phone',
-          'user_email',
-          'user_phone',
-          'user_name',
-          'creator_name',
-          'creator_email',
-          'creator_phone',
-          'salesperson_name',
-          'salesperson_email',
-          'salesperson_phone'
-        ];
-        
-        // For foreign keys, we'll NULL them instead of removing from query
-        const FOREIGN_KEY_FIELDS = [
-          'created_by_user_id',
-          'salesperson_user_id'
-        ];
-        
-        // Keep all columns but we'll handle private data specially
-        const columns = allColumns.filter(col => !PRIVATE_FIELDS.includes(col));
-        
-        // Log which fields were removed for transparency
-        const removedFields = allColumns.filter(col => PRIVATE_FIELDS.includes(col));
-        if (removedFields.length > 0) {
-          console.log(`🔒 PRIVACY: Stripped ${removedFields.length} private field(s): ${removedFields.join(', ')}`);
-        } else {
-          console.log(`🔒 PRIVACY: No private fields detected in this sync`);
-        }
-        
-        // Convert Debezium timestamps and dates to proper formats
-        // Set foreign keys to NULL for privacy (user IDs from other region)
-        const values = columns.map(col => {
-          const value = newData[col];
-          
-          // NULL out foreign keys pointing to users in other regions (PRIVACY)
-          if (FOREIGN_KEY_FIELDS.includes(col)) {
-            console.log(`🔒 PRIVACY: Setting ${col} to NULL (was ${value})`);
-            return null;
-          }
-          
-          // Handle DATE fields (days since epoch - typically numbers < 100000)
-          if (col.includes('date') && typeof value === 'number' && value < 100000) {
-            // Convert days since epoch (1970-01-01) to date
-            const date = new Date(1970, 0, 1);
-            date.setDate(date.getDate() + value);
-            return date.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-          }
-          
-          // Handle TIMESTAMP fields (microseconds since epoch - large numbers)
-          if (typeof value === 'number' && value > 100000000000) {
-            // Convert microseconds to milliseconds
-            return new Date(Math.floor(value / 1000));
-          }
-          
-          return value;
-        });
-        
-        const placeholders = columns.map((_, i) => `$${i + 1}`);
-        
-        // For conflict (update), exclude columns that are already being set
-        const updateColumns = columns.filter(col => col !== 'sync_source' && col !== 'updated_at');
-        const conflictSet = updateColumns.map((col, i) => {
-          const valueIndex = columns.indexOf(col) + 1;
-          return `${col} = $${valueIndex}`;
-        }).join(', ');
-        
-        // For updates, preserve original sync_source (don't change it)
-        // Only set sync_source on INSERT (new records)
-        const query = `
-          INSERT INTO ${tableName} (${columns.join(', ')})
-          VALUES (${placeholders.join(', ')})
-          ON CONFLICT (id) DO UPDATE SET
-          ${conflictSet}${conflictSet ? ',' : ''}
-          updated_at = NOW()
-        `;
-        
-        await destPool.query(query, values);
-        console.log(`✅ Record ${operation === 'c' ? 'inserted' : 'updated'} in ${destination} DB`);
-        
-        // Record sync metrics
-        const syncEndTime = Date.now();
-        const syncLatency = sourceTimestamp ? (syncEndTime - sourceTimestamp) : (syncEndTime - syncStartTime);
-        syncMetrics.recordSync(source, destination, tableName, recordId, syncLatency);
+        change.skip = true;
+        change.result.reason = 'duplicate_event';
+        console.log(`♊ Duplicate event ${change.eventId} for ${change.tableName}#${change.result.recordId}, skipping`);
       }
+    }
+  }
+
+  const byTable = new Map();
+  for (const change of changes.filter(c => !c.skip)) {
+    if (!byTable.has(change.tableName)) {
+      byTable.set(change.tableName, []);
+    }
+    byTable.get(change.tableName).push(change);
+  }
+  for (const tableChanges of byTable.values()) {
+    await applyTableChanges(client, tableChanges);
+  }
+
+  // Persist the decisions with the writes so the audit log never disagrees with the data
+  await recordAudits(client, changes.map(change => ({
+    topic: change.topic,
+    partition: change.partition,
+    offset: change.offset,
+    result: change.result,
+    strippedFields: change.prepared ? change.prepared.removedFields : [],
+    privacyActions: change.prepared ? change.prepared.privacyActions : {},
+    before: change.existing,
+    after: change.prepared ? change.prepared.row : null
+  })));
+}
+
+/**
+ * Log the outcome of a committed change and record its sync latency
+ */
+function reportChange(change) {
+  const { result, operation, destination } = change;
+
+  if (result.applied) {
+    if (operation === 'd') {
+      console.log(`✅ Record deleted from ${destination} DB`);
     } else {
-      console.log(`⏭️  Change skipped due to: ${conflictReason}`);
+      console.log(`✅ Record ${operation === 'c' ? 'inserted' : 'updated'} in ${destination} DB`);
+
+      // Record sync metrics
+      const syncEndTime = Date.now();
+      const syncLatency = change.sourceTimestamp ? (syncEndTime - change.sourceTimestamp) : (syncEndTime - change.receivedAt);
+      syncMetrics.recordSync(change.source, destination, change.tableName, result.recordId, syncLatency);
     }
+  } else {
+    console.log(`⏭️  Change skipped due to: ${result.reason}`);
+  }
+}
+
+/**
+ * Resolve a batch of changes in one transaction. Changes to the same record
+ * are applied in the order given; returns one decision per input.
+ * If any change fails, nothing in the batch is written.
+ */
+async function resolveBatch(inputs) {
+  const changes = [];
+  for (const input of inputs) {
+    changes.push(await prepareChange(input));
+  }
+
+  // The decisions and the writes happen in one transaction
+  const client = await pool.connect();
 
+  try {
+    await client.query('BEGIN');
+    // Tells the row version trigger to keep the origin's source_updated_at
+    await client.query("SELECT set_config('sync.applying', 'on', true)");
+    await applyChanges(client, changes);
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Conflict resolution error:', error);
-    // In production, you might want to send to a dead-letter queue
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  changes.forEach(reportChange);
+  return changes.map(change => change.result);
+}
+
+/**
+ * Resolve conflicts using the strategies configured in config/conflictStrategies.js
+ * This function determines if an incoming change should be applied to the destination database
+ * (idempotently, when an eventId is given) and returns a structured decision:
+ * { table, recordId, operation, applied, strategy, winner, reason, columns, appliedColumns }
+ */
+async function resolveConflict(input) {
+  try {
+    const [result] = await resolveBatch([input]);
+    return result;
+  } catch (error) {
+    console.error('❌ Conflict resolution error:', error.message);
+    // Let the consumer retry and, if it keeps failing, dead-letter the message
+    throw error;
   }
 }
 
 module.exports = {
-  resolveConflict
+  resolveConflict,
+  resolveBatch,
+  prepareRow,
+  producer,
+  ensureProducerConnected,
+  disconnectProducer,
+  getProducerStatus
 };
-
@@ -0,0 +1,217 @@
+const path = require('path');
+const strategyConfig = require('../config/conflictStrategies');
+const syncRoutes = require('../config/syncRoutes');
+const { getRouteForTable } = require('./routing');
+
+/**
+ * Convert a timestamp (Date, ISO string, epoch ms or Debezium epoch µs) to ms
+ */
+function toMillis(ts) {
+  if (ts === null || ts === undefined) return null;
+  if (typeof ts === 'number' && ts > 100000000000) {
+    // Debezium sends microseconds, convert to milliseconds
+    return Math.floor(ts / 1000);
+  }
+  const ms = new Date(ts).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * When a row last changed in the region that wrote it: source_updated_at
+ * (kept across syncs), else updated_at (rows from regions without it)
+ */
+function originTime(row) {
+  return toMillis(row.source_updated_at) ?? toMillis(row.updated_at);
+}
+
+/**
+ * Last-write-wins on the origin write time, version as tiebreaker.
+ * When deciding a single column that has a tracked last writer, the column's
+ * own write time is compared instead of the row's.
+ */
+function lastWriteWins({ incoming, existing, column, columnWriters, options }) {
+  const incomingTs = originTime(incoming);
+  const tracked = column && columnWriters && columnWriters[column];
+  const existingTs = tracked ? toMillis(tracked.written_at) : originTime(existing);
+
+  if (incomingTs === null) {
+    return { winner: 'existing', reason: 'missing_incoming_timestamp' };
+  }
+  if (existingTs === null) {
+    return { winner: 'incoming', reason: 'missing_existing_timestamp' };
+  }
+
+  const timeDiff = Math.abs(incomingTs - existingTs);
+
+  if (options.loopWindowMs > 0 && timeDiff > 0 && timeDiff < options.loopWindowMs) {
+    return { winner: 'existing', reason: 'loop_prevention_rapid_update' };
+  }
+
+  if (timeDiff < 100) {
+    // Timestamps are essentially the same, use version
+    return highestVersionWins({ incoming, existing });
+  }
+
+  return incomingTs > existingTs
+    ? { winner: 'incoming', reason: 'newer_timestamp' }
+    : { winner: 'existing', reason: 'older_timestamp' };
+}
+
+/**
+ * Higher version wins, existing row wins ties
+ */
+function highestVersionWins({ incoming, existing }) {
+  const incomingVersion = incoming.version || 0;
+  const existingVersion = existing.version || 0;
+
+  return incomingVersion > existingVersion
+    ? { winner: 'incoming', reason: 'higher_version' }
+    : { winner: 'existing', reason: 'same_or_older_version' };
+}
+
+/**
+ * A configured region always owns the value
+ */
+function sourceRegionWins({ source, options }) {
+  return source === options.owner
+    ? { winner: 'incoming', reason: `owned_by_${options.owner}` }
+    : { winner: 'existing', reason: `owned_by_${options.owner}` };
+}
+
+const STRATEGIES = {
+  'lww': lastWriteWins,
+  'highest-version-wins': highestVersionWins,
+  'source-region-wins': sourceRegionWins
+};
+
+/**
+ * Turn a strategy config entry into { name, options, resolve }
+ */
+function buildStrategy(entry, label) {
+  const options = { ...strategyConfig.default, ...entry };
+  const name = options.strategy;
+
+  if (name === 'custom') {
+    if (!options.module) {
+      throw new Error(`Conflict strategy for ${label}: custom strategy requires a module`);
+    }
+    const modulePath = path.resolve(__dirname, '../config', options.module);
+    const custom = require(modulePath);
+    const resolve = typeof custom === 'function' ? custom : custom.resolve;
+    if (typeof resolve !== 'function') {
+      throw new Error(`Conflict strategy for ${label}: ${options.module} must export resolve()`);
+    }
+    return { name: `custom:${options.module}`, options, resolve };
+  }
+
+  if (!STRATEGIES[name]) {
+    throw new Error(`Conflict strategy for ${label}: unknown strategy '${name}'`);
+  }
+  if (name === 'source-region-wins' && !options.owner) {
+    throw new Error(`Conflict strategy for ${label}: source-region-wins requires an owner`);
+  }
+
+  return { name, options, resolve: STRATEGIES[name] };
+}
+
+/**
+ * Conflict config of a table: conflictStrategies.js first, then its sync route
+ */
+function getTableConfig(tableName) {
+  const tableConfig = (strategyConfig.tables || {})[tableName];
+  if (tableConfig) {
+    return tableConfig;
+  }
+  const route = getRouteForTable(tableName);
+  return route ? route.conflict : null;
+}
+
+/**
+ * Columns each source region may change (no entry = unrestricted)
+ */
+function getSourceColumns(tableName, source) {
+  const tableConfig = getTableConfig(tableName);
+  const sourceColumns = tableConfig && tableConfig.sourceColumns;
+  return sourceColumns && sourceColumns[source] ? sourceColumns[source] : null;
+}
+
+// Build (and validate) every configured strategy once at startup
+const defaultStrategy = buildStrategy({}, 'default');
+const tableStrategies = {};
+// Route conflict configs, keyed by the route entry (pattern routes serve many tables)
+const routeStrategies = new Map();
+
+function buildTableStrategies(tableConfig, label) {
+  const columns = {};
+  for (const [column, columnConfig] of Object.entries(tableConfig.columns || {})) {
+    columns[column] = buildStrategy(columnConfig, `${label}.${column}`);
+  }
+  return {
+    table: buildStrategy(tableConfig, label),
+    columns
+  };
+}
+
+for (const [tableName, tableConfig] of Object.entries(strategyConfig.tables || {})) {
+  tableStrategies[tableName] = buildTableStrategies(tableConfig, tableName);
+}
+
+for (const route of syncRoutes.routes || []) {
+  if (route.conflict) {
+    routeStrategies.set(route, buildTableStrategies(route.conflict, `route ${route.topic}`));
+  }
+}
+
+/**
+ * Get the table-level strategy and column overrides for a table
+ */
+function getStrategiesFor(tableName) {
+  if (tableStrategies[tableName]) {
+    return tableStrategies[tableName];
+  }
+  const route = getRouteForTable(tableName);
+  if (route && routeStrategies.has(route.config)) {
+    return routeStrategies.get(route.config);
+  }
+  return { table: defaultStrategy, columns: {} };
+}
+
+/**
+ * Run one strategy and normalize its answer
+ */
+function runStrategy(strategy, context) {
+  const decision = strategy.resolve({ ...context, options: strategy.options }) || {};
+  const winner = decision.winner === 'incoming' ? 'incoming' : 'existing';
+
+  return {
+    strategy: strategy.name,
+    winner,
+    reason: decision.reason || (winner === 'incoming' ? 'custom_incoming' : 'custom_existing')
+  };
+}
+
+/**
+ * Decide, per column, whether the incoming or the existing value wins
+ */
+function decide({ tableName, columns, incoming, existing, columnWriters, source, destination, operation }) {
+  const strategies = getStrategiesFor(tableName);
+  const context = { tableName, incoming, existing, columnWriters, source, destination, operation };
+
+  const tableDecision = runStrategy(strategies.table, context);
+  const columnDecisions = {};
+
+  for (const column of columns) {
+    const strategy = strategies.columns[column] || strategies.table;
+    columnDecisions[column] = runStrategy(strategy, { ...context, column });
+  }
+
+  return { table: tableDecision, columns: columnDecisions };
+}
+
+module.exports = {
+  toMillis,
+  originTime,
+  getStrategiesFor,
+  getSourceColumns,
+  decide
+};
@@ -1,16 +1,32 @@
 const { Kafka } = require('kafkajs');
-const { resolveConflict } = require('./conflictResolver');
+const { resolveConflict, resolveBatch } = require('./conflictResolver');
+const {
+  sendToDeadLetter,
+  getDeadLetter,
+  claimDeadLetter,
+  releaseDeadLetter,
+  markDeadLetter,
+  toKafkaMessage
+} = require('./deadLetterQueue');
+const { getEventId, claimEvent, pruneProcessedEvents } = require('./eventLedger');
+const { recordAudit } = require('./syncAudit');
+const { pool } = require('../database/dbConnection');
+const { isOperationAllowed, getPolicyInfo } = require('./privacyPolicy');
+const { resolveRoute, getSubscriptions } = require('./routing');
+const { isKnownRegion, isFlowAllowed } = require('../utils/topology');
+const { withRetry } = require('../utils/retry');
+const { syncMetrics } = require('../utils/syncMetrics');
 const config = require('../config/config');
 
 // Log Kafka broker for debugging
 console.log('🔍 Kafka Broker Config:', {
   env: process.env.KAFKA_BROKER,
   config: config.kafka.broker,
-  clientId: config.kafka.clientId || 'china-backend'
+  clientId: config.kafka.clientId
 });
 
 const kafka = new Kafka({
-  clientId: config.kafka.clientId || 'china-backend',
+  clientId: config.kafka.clientId,
   brokers: [config.kafka.broker],
   retry: {
     initialRetryTime: 300,
@@ -20,128 +36,778 @@ const kafka = new Kafka({
   }
 });
 
-// China consumer - only processes changes FROM India
+// Region consumer - only processes changes the topology routes to this region
 const consumer = kafka.consumer({ 
-  groupId: config.kafka.groupId || 'china-sync-consumer',
+  groupId: config.kafka.groupId,
   sessionTimeout: 30000,
   heartbeatInterval: 3000
 });
 
+// Lifecycle state of the live consumer
+const state = {
+  running: false,
+  stopping: false,
+  startedAt: null,
+  connected: false,
+  // { memberId, isLeader, assignment, joinedAt } while in the consumer group
+  membership: null,
+  lastBatchAt: null,
+  lastError: null,
+  // `${topic}:${partition}` -> { topic, partition, lag, lastOffset, updatedAt }
+  partitions: new Map(),
+  // Topics paused through the admin API (persisted in sync_consumer_pauses)
+  adminPaused: new Set(),
+  // Topics held back while a snapshot bootstrap loads them
+  bootstrapPaused: new Set()
+};
+let pruneTimer = null;
+
+consumer.on(consumer.events.CONNECT, () => {
+  state.connected = true;
+});
+
+consumer.on(consumer.events.DISCONNECT, () => {
+  state.connected = false;
+  state.membership = null;
+});
+
+consumer.on(consumer.events.GROUP_JOIN, ({ payload }) => {
+  state.membership = {
+    memberId: payload.memberId,
+    isLeader: payload.isLeader,
+    assignment: payload.memberAssignment,
+    joinedAt: new Date()
+  };
+  // Only partitions assigned to this member report lag
+  state.partitions.clear();
+});
+
+consumer.on(consumer.events.REBALANCING, () => {
+  state.membership = null;
+});
+
+// Called when the consumer crashes without kafkajs restarting it (see consumerSupervisor.js)
+const crashListeners = [];
+
+consumer.on(consumer.events.CRASH, ({ payload }) => {
+  state.lastError = { message: payload.error.message, at: new Date(), restart: payload.restart };
+  if (!payload.restart) {
+    state.running = false;
+    state.membership = null;
+    crashListeners.forEach(listener => listener(payload.error));
+  }
+});
+
+/**
+ * Register a listener for crashes kafkajs won't recover from by itself
+ */
+function onConsumerCrash(listener) {
+  crashListeners.push(listener);
+}
+
+// Export consumer lag per partition after every batch
+consumer.on(consumer.events.END_BATCH_PROCESS, ({ payload }) => {
+  syncMetrics.setConsumerLag(payload.topic, payload.partition, payload.offsetLag);
+  state.partitions.set(`${payload.topic}:${payload.partition}`, {
+    topic: payload.topic,
+    partition: payload.partition,
+    lag: Number(payload.offsetLag) || 0,
+    lastOffset: payload.lastOffset,
+    updatedAt: new Date()
+  });
+  if (payload.batchSize > 0) {
+    state.lastBatchAt = new Date();
+  }
+});
+
 async function initKafkaConsumers() {
   try {
     console.log('🔌 Connecting to Kafka...');
     
-    // Subscribe to topics from both sources (including sales)
+    // Subscribe to every routed topic (config/syncRoutes.js)
     await consumer.connect();
     await consumer.subscribe({ 
-      topics: ['sync.users', 'sync.products', 'sync.sales'],
+      topics: getSubscriptions(),
       fromBeginning: false 
     });
 
     console.log('✅ Kafka consumer connected');
 
-    // Run consumer
-    await consumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
-        await handleMessage(topic, message);
-      },
-    });
+    // Run consumer. Offsets are committed manually, only once the change
+    // (and its processed-event record) has been committed or dead-lettered.
+    if (config.sync.batch.enabled) {
+      await consumer.run({
+        autoCommit: false,
+        eachBatchAutoResolve: false,
+        partitionsConsumedConcurrently: config.sync.batch.partitionConcurrency,
+        eachBatch: handleBatch
+      });
+    } else {
+      await consumer.run({
+        autoCommit: false,
+        eachMessage: async ({ topic, partition, message, heartbeat }) => {
+          await handleMessage(topic, partition, message, heartbeat);
+          await consumer.commitOffsets([{
+            topic,
+            partition,
+            offset: (BigInt(message.offset) + 1n).toString()
+          }]);
+        },
+      });
+    }
+
+    state.running = true;
+    state.startedAt = new Date();
+
+    // Pauses set through the admin API survive restarts, and a reconnect
+    // during a bootstrap keeps its topics held back
+    const paused = await pool.query('SELECT topic FROM sync_consumer_pauses ORDER BY topic');
+    paused.rows.forEach(row => state.adminPaused.add(row.topic));
+    const held = [...new Set([...state.adminPaused, ...state.bootstrapPaused])];
+    if (held.length > 0) {
+      pauseTopics(held);
+    }
+
+    // Keep the applied-events ledger bounded
+    if (!pruneTimer) {
+      pruneTimer = setInterval(() => {
+        pruneProcessedEvents(config.sync.processedEventRetentionDays)
+          .catch(error => console.error('❌ Failed to prune processed events:', error.message));
+      }, 60 * 60 * 1000);
+      pruneTimer.unref();
+    }
 
     console.log('✅ Kafka consumer running and listening for changes...');
   } catch (error) {
-    console.error('❌ Failed to initialize Kafka consumer:', error);
+    state.lastError = { message: error.message, at: new Date(), restart: false };
+    state.running = false;
+    console.error('❌ Failed to initialize Kafka consumer:', error.message);
+    // Leave a clean slate so the next attempt can connect from scratch
+    await consumer.disconnect().catch(() => {});
     throw error;
   }
 }
 
-async function handleMessage(topic, message) {
+/**
+ * Process a message with retries; messages that keep failing go to the DLQ.
+ * Resolves with the conflict decision, or null when the message was dead-lettered.
+ */
+async function handleMessage(topic, partition, message, heartbeat) {
+  const retryConfig = config.sync.retry;
+
   try {
-    const key = message.key ? JSON.parse(message.key.toString()) : null;
-    const value = message.value ? JSON.parse(message.value.toString()) : null;
+    const { result } = await withRetry(() => processMessage(topic, message, partition), {
+      ...retryConfig,
+      onRetry: async (error, attempt, delay) => {
+        console.warn(`🔁 Retry ${attempt}/${retryConfig.maxAttempts - 1} for ${topic}[${partition}]@${message.offset} in ${delay}ms: ${error.message}`);
+        // Keep the consumer group session alive while backing off
+        if (heartbeat) {
+          await heartbeat();
+        }
+      }
+    });
+    return result || null;
+  } catch (error) {
+    console.error(`❌ Error processing message from ${topic}[${partition}]@${message.offset}:`, error.message);
+    syncMetrics.recordFailure({
+      table: resolveRoute(topic)?.table || topic,
+      reason: error.retryable === false ? 'non_retryable' : 'retries_exhausted'
+    });
 
-    if (!value) {
-      console.log(`⏭️  Skipping tombstone message`);
-      return;
+    try {
+      await sendToDeadLetter({
+        topic,
+        partition,
+        message,
+        error,
+        attempts: error.attempts || 1
+      });
+    } catch (dlqError) {
+      // Without a DLQ record the change would be lost, so let Kafka redeliver it
+      console.error('❌ Failed to dead-letter message:', dlqError.message);
+      throw dlqError;
     }
+    return null;
+  }
+}
 
-    // Extract sync origin to prevent loops
-    const syncOrigin = value.payload?._sync_origin || value._sync_origin;
-    
-    if (!syncOrigin) {
-      console.log(`⚠️  No sync origin found, skipping`);
-      return;
+/**
+ * Apply a fetched batch in chunks of up to maxMessages. Each chunk is split
+ * into keyConcurrency shards by record key; shards run in parallel, each in
+ * one transaction, so changes to the same record stay in offset order.
+ */
+async function handleBatch({ batch, resolveOffset, heartbeat, isRunning, isStale }) {
+  const { topic, partition } = batch;
+  const { maxMessages, keyConcurrency } = config.sync.batch;
+
+  for (let start = 0; start < batch.messages.length; start += maxMessages) {
+    if (!isRunning() || isStale()) break;
+
+    const messages = batch.messages.slice(start, start + maxMessages);
+    const shards = Array.from({ length: keyConcurrency }, () => []);
+    for (const message of messages) {
+      shards[shardFor(message, keyConcurrency)].push(message);
     }
 
-    // Determine source and destination based on sync origin
-    const source = syncOrigin;
-    const destination = source === 'india' ? 'china' : 'india';
+    await Promise.all(shards
+      .filter(shard => shard.length > 0)
+      .map(shard => handleShard(topic, partition, shard, heartbeat)));
+
+    const lastOffset = messages[messages.length - 1].offset;
+    resolveOffset(lastOffset);
+    await consumer.commitOffsets([{
+      topic,
+      partition,
+      offset: (BigInt(lastOffset) + 1n).toString()
+    }]);
+    await heartbeat();
+  }
+}
 
-    // Extract table name from topic
-    const tableName = topic.replace('sync.', '');
+/**
+ * Shard for a message: messages with the same key always share a shard
+ */
+function shardFor(message, shardCount) {
+  if (shardCount <= 1) return 0;
 
-    // 🔒 PRIVACY & DIRECTIONAL SYNC RULES
-    // Users: NO SYNC (privacy - each region keeps their own users)
-    // Products: One-way (china → india for new products, india → china for stock updates)
-    // Sales: One-way (india → china only, NO user details exposed)
-    
-    if (tableName === 'users') {
-      console.log(`🔒🔒🔒 PRIVACY BLOCK: Users table sync prevented!`);
-      console.log(`   → User data (names, emails, phones) NEVER crosses regions`);
-      console.log(`   → India users stay in India DB`);
-      console.log(`   → China users stay in China DB`);
-      return;
+  const key = message.key ? message.key.toString() : message.offset;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % shardCount;
+}
+
+/**
+ * Apply a shard in one transaction (retrying transient failures). If it still
+ * fails, fall back to one message at a time so only the bad messages are dead-lettered.
+ */
+async function handleShard(topic, partition, messages, heartbeat) {
+  const retryConfig = config.sync.retry;
+
+  try {
+    await withRetry(() => processBatch(topic, messages, partition), {
+      ...retryConfig,
+      // Failures caused by one message (bad schema etc.) aren't worth retrying as a batch
+      maxAttempts: Math.min(retryConfig.maxAttempts, 3),
+      onRetry: async (error, attempt, delay) => {
+        console.warn(`🔁 Batch retry ${attempt} for ${messages.length} message(s) from ${topic}[${partition}] in ${delay}ms: ${error.message}`);
+        await heartbeat();
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️  Batch of ${messages.length} message(s) from ${topic}[${partition}] failed (${error.message}), applying one at a time`);
+    for (const message of messages) {
+      await handleMessage(topic, partition, message, heartbeat);
     }
-    
-    // Special handling for products from India
-    if (tableName === 'products' && source === 'india') {
-      // Check if this is a stock update (operation = update)
-      const operation = value.payload?.op || value.op || 'u';
-      
-      if (operation === 'c') {
-        // Block product creation from India
-        console.log(`🚫 DIRECTIONAL BLOCK: Product creation from India prevented`);
-        console.log(`   → New products can only be created in China`);
-        return;
+  }
+}
+
+/**
+ * Stop consuming: the batch in flight finishes and commits its offsets, then
+ * the consumer leaves the group so its partitions are reassigned right away
+ */
+async function stopKafkaConsumers() {
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+  }
+  // A crashed consumer is no longer running but may still hold its connection
+  if ((!state.running && !state.connected) || state.stopping) return;
+
+  state.stopping = true;
+  console.log('⏹️  Draining Kafka consumer...');
+  try {
+    await consumer.disconnect();
+    console.log('✅ Kafka consumer disconnected');
+  } finally {
+    state.running = false;
+    state.stopping = false;
+  }
+}
+
+/**
+ * Pause live consumption of the given topics. kafkajs can only pause a running
+ * consumer; a stopped one pauses its held topics when it starts again.
+ */
+function pauseTopics(topics) {
+  if (!state.running) return;
+
+  consumer.pause(topics.map(topic => ({ topic })));
+  console.log(`⏸️  Paused consumption: ${topics.join(', ')}`);
+}
+
+/**
+ * Resume live consumption of the given topics (topics an admin or a bootstrap
+ * holds stay paused)
+ */
+function resumeTopics(topics) {
+  const resumable = topics.filter(topic => !state.adminPaused.has(topic) && !state.bootstrapPaused.has(topic));
+  if (resumable.length === 0 || !state.running) return;
+
+  consumer.resume(resumable.map(topic => ({ topic })));
+  console.log(`▶️  Resumed consumption: ${resumable.join(', ')}`);
+}
+
+/**
+ * Hold live changes of topics back while a snapshot bootstrap loads them
+ * (also across consumer reconnects)
+ */
+function holdTopicsForBootstrap(topics) {
+  topics.forEach(topic => state.bootstrapPaused.add(topic));
+  pauseTopics(topics);
+}
+
+/**
+ * Let live changes of a bootstrap's topics flow again
+ */
+function releaseTopicsFromBootstrap(topics) {
+  topics.forEach(topic => state.bootstrapPaused.delete(topic));
+  resumeTopics(topics);
+}
+
+/**
+ * Move the live consumer to explicit offsets: [{ topic, partition, offset }]
+ */
+async function seekToOffsets(offsets) {
+  for (const { topic, partition, offset } of offsets) {
+    consumer.seek({ topic, partition, offset: String(offset) });
+  }
+  // Commit as well so a restart resumes from the same place
+  await consumer.commitOffsets(offsets.map(({ topic, partition, offset }) => ({
+    topic,
+    partition,
+    offset: String(offset)
+  })));
+}
+
+/**
+ * Move the consumer group to explicit offsets whether or not the live consumer
+ * is running: seek in place when it is, otherwise (stopped, or the supervisor
+ * still reconnecting) write the group's committed offsets with the admin client
+ */
+async function setConsumerOffsets(offsets, admin = null) {
+  if (state.running) {
+    await seekToOffsets(offsets);
+    return;
+  }
+
+  const client = admin || kafka.admin();
+  if (!admin) await client.connect();
+  try {
+    for (const topic of [...new Set(offsets.map(o => o.topic))]) {
+      await client.setOffsets({
+        groupId: config.kafka.groupId,
+        topic,
+        partitions: offsets
+          .filter(o => o.topic === topic)
+          .map(({ partition, offset }) => ({ partition, offset: String(offset) }))
+      });
+    }
+  } finally {
+    if (!admin) await client.disconnect();
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Topics the consumer is subscribed to (patterns expanded against the cluster)
+ */
+async function getSubscribedTopics(admin) {
+  const subscriptions = getSubscriptions();
+  const existing = await admin.listTopics();
+  return existing
+    .filter(topic => subscriptions.some(sub => (sub instanceof RegExp ? sub.test(topic) : sub === topic)))
+    .sort();
+}
+
+async function requireSubscribedTopics(admin, topics) {
+  const subscribed = await getSubscribedTopics(admin);
+  const unknown = topics.filter(topic => !subscribed.includes(topic));
+  if (unknown.length > 0) {
+    throw httpError(404, `Not a consumed topic: ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Pause topics until an admin resumes them (persisted across restarts)
+ */
+async function pauseConsumption(topics, pausedBy) {
+  const admin = kafka.admin();
+  await admin.connect();
+  try {
+    await requireSubscribedTopics(admin, topics);
+  } finally {
+    await admin.disconnect();
+  }
+
+  for (const topic of topics) {
+    await pool.query(
+      `INSERT INTO sync_consumer_pauses (topic, paused_by) VALUES ($1, $2)
+       ON CONFLICT (topic) DO UPDATE SET paused_by = EXCLUDED.paused_by, paused_at = NOW()`,
+      [topic, pausedBy]
+    );
+    state.adminPaused.add(topic);
+  }
+  pauseTopics(topics);
+  return getConsumerStatus();
+}
+
+/**
+ * Resume topics paused through the admin API
+ */
+async function resumeConsumption(topics) {
+  await pool.query('DELETE FROM sync_consumer_pauses WHERE topic = ANY($1)', [topics]);
+  topics.forEach(topic => state.adminPaused.delete(topic));
+  resumeTopics(topics);
+  return getConsumerStatus();
+}
+
+/**
+ * Committed offset, log end offset and lag per partition of every consumed topic
+ */
+async function getConsumerOffsets() {
+  const admin = kafka.admin();
+  await admin.connect();
+
+  try {
+    const topics = await getSubscribedTopics(admin);
+    const committed = await admin.fetchOffsets({ groupId: config.kafka.groupId, topics });
+
+    const result = [];
+    for (const { topic, partitions } of committed) {
+      const ends = await admin.fetchTopicOffsets(topic);
+      for (const { partition, offset } of partitions) {
+        const end = ends.find(e => e.partition === partition) || {};
+        // -1 means nothing committed yet; lag is then counted from the low watermark
+        const from = offset === '-1' ? BigInt(end.low || 0) : BigInt(offset);
+        result.push({
+          topic,
+          partition,
+          committed: offset === '-1' ? null : offset,
+          low: end.low,
+          high: end.high,
+          lag: end.high !== undefined ? Number(BigInt(end.high) - from) : null,
+          paused: state.adminPaused.has(topic) || consumer.paused().some(p => p.topic === topic && p.partitions.includes(partition))
+        });
       }
-      
-      // Allow updates (stock changes) from India → China
-      console.log(`📦 STOCK UPDATE: Allowing product update from India → China`);
-      console.log(`   → Stock quantity changes sync back to China for inventory management`);
     }
-    
-    if (tableName === 'sales' && source === 'china') {
-      console.log(`🚫 DIRECTIONAL BLOCK: Sales sync from China prevented`);
-      console.log(`   → Sales only sync: India → China (one-way)`);
-      return;
+    return result.sort((a, b) => a.topic.localeCompare(b.topic) || a.partition - b.partition);
+  } finally {
+    await admin.disconnect();
+  }
+}
+
+/**
+ * Reset a topic's committed offsets for replay, to an explicit offset or to the
+ * first offset at/after a timestamp; all partitions unless one is given.
+ * Returns the offsets that were set.
+ */
+async function resetOffsets({ topic, partition, offset, timestamp }) {
+  if ((offset === undefined) === (timestamp === undefined)) {
+    throw httpError(400, 'Give either offset or timestamp');
+  }
+
+  const admin = kafka.admin();
+  await admin.connect();
+
+  try {
+    await requireSubscribedTopics(admin, [topic]);
+
+    let offsets;
+    if (timestamp !== undefined) {
+      const ms = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+      if (Number.isNaN(ms)) {
+        throw httpError(400, 'timestamp must be an ISO date or epoch milliseconds');
+      }
+      offsets = await admin.fetchTopicOffsetsByTimestamp(topic, ms);
+    } else {
+      if (!/^\d+$/.test(String(offset))) {
+        throw httpError(400, 'offset must be a non-negative integer');
+      }
+      const ends = await admin.fetchTopicOffsets(topic);
+      offsets = ends.map(end => ({ partition: end.partition, offset: String(offset) }));
+    }
+
+    if (partition !== undefined) {
+      offsets = offsets.filter(o => o.partition === Number(partition));
+      if (offsets.length === 0) {
+        throw httpError(404, `Partition ${partition} not found in ${topic}`);
+      }
     }
 
-    // China backend only processes changes coming TO China (from India)
-    if (destination !== 'china') {
-      console.log(`⏭️  Skipping - not for China region`);
-      return;
+    const target = offsets.map(o => ({ topic, partition: o.partition, offset: String(o.offset) }));
+    await setConsumerOffsets(target, admin);
+
+    console.log(`⏪ Offsets reset for ${topic}: ${target.map(t => `[${t.partition}]@${t.offset}`).join(', ')}`);
+    return target;
+  } finally {
+    await admin.disconnect();
+  }
+}
+
+/**
+ * Lifecycle state of the live consumer
+ */
+function getConsumerStatus() {
+  return {
+    groupId: config.kafka.groupId,
+    running: state.running,
+    stopping: state.stopping,
+    startedAt: state.startedAt,
+    connected: state.connected,
+    membership: state.membership,
+    lastBatchAt: state.lastBatchAt,
+    lastError: state.lastError,
+    batch: config.sync.batch.enabled,
+    adminPaused: [...state.adminPaused].sort(),
+    bootstrapPaused: [...state.bootstrapPaused].sort(),
+    paused: state.running ? consumer.paused() : []
+  };
+}
+
+/**
+ * Lag per assigned partition as of its last fetched batch (no broker round trip)
+ */
+function getPartitionLag() {
+  return [...state.partitions.values()]
+    .sort((a, b) => a.topic.localeCompare(b.topic) || a.partition - b.partition);
+}
+
+/**
+ * Replay a dead-letter entry through the normal processing path
+ */
+async function replayDeadLetter(id, resolvedBy) {
+  // Claimed atomically so concurrent replays (or a discard) can't both act on it
+  const entry = await claimDeadLetter(id);
+
+  if (!entry) {
+    const existing = await getDeadLetter(id);
+    if (!existing) {
+      return null;
+    }
+    const error = new Error(`Dead letter #${id} is already ${existing.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  let decision;
+  try {
+    decision = await processMessage(entry.topic, toKafkaMessage(entry), entry.kafka_partition);
+  } catch (error) {
+    await releaseDeadLetter(id);
+    throw error;
+  }
+  console.log(`♻️  Dead letter #${id} replayed by ${resolvedBy}`);
+
+  const updated = await markDeadLetter(id, 'replayed', resolvedBy, 'replaying');
+  return { ...updated, decision: decision || null };
+}
+
+/**
+ * Parse, filter and apply a single sync message (throws on failure)
+ */
+async function processMessage(topic, message, partition) {
+  const input = parseMessage(topic, message, partition);
+  if (!input) {
+    return null;
+  }
+  if (input.rejected) {
+    await recordRejection(input);
+    return null;
+  }
+
+  // Apply conflict resolution logic and hand back its decision
+  const decision = await resolveConflict(input);
+  syncMetrics.recordDecision(decision);
+  return decision;
+}
+
+/**
+ * Parse, filter and apply sync messages in one transaction (throws on failure)
+ */
+async function processBatch(topic, messages, partition) {
+  const parsed = messages
+    .map(message => parseMessage(topic, message, partition))
+    .filter(Boolean);
+  const inputs = parsed.filter(input => !input.rejected);
+
+  const decisions = inputs.length > 0 ? await resolveBatch(inputs) : [];
+  decisions.forEach(decision => syncMetrics.recordDecision(decision));
+
+  for (const rejection of parsed.filter(input => input.rejected)) {
+    await recordRejection(rejection);
+  }
+  return decisions;
+}
+
+/**
+ * Audit and count a message refused before conflict resolution. The payload
+ * isn't kept: it hasn't been through the privacy policy. The audit row is
+ * written with the event's ledger claim, so a redelivered or retried rejection
+ * is audited once.
+ */
+async function recordRejection({ topic, route, partition, offset, eventId, key, operation, reason }) {
+  const table = route ? route.table : topic;
+  const recordId = key?.id ?? null;
+  const client = await pool.connect();
+  let claimed;
+
+  try {
+    await client.query('BEGIN');
+    claimed = await claimEvent(client, { eventId, topic, partition, offset, tableName: table, recordId });
+    if (claimed) {
+      await recordAudit(client, {
+        topic,
+        partition,
+        offset,
+        result: {
+          table,
+          recordId,
+          operation,
+          source: null,
+          destination: config.region,
+          applied: false,
+          decision: 'rejected',
+          strategy: null,
+          reason,
+          columns: {},
+          changedColumns: [],
+          appliedColumns: [],
+          blockedColumns: []
+        }
+      });
     }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (claimed) {
+    syncMetrics.recordRejection({ destination: config.region, table, reason });
+  } else {
+    console.log(`♊ Rejection of ${eventId} already recorded, skipping`);
+  }
+}
+
+/**
+ * Parse a sync message into resolver input, or null if this region doesn't apply
+ * it. Messages that can't be attributed to a region come back as
+ * { rejected: true, reason } to be audited.
+ */
+function parseMessage(topic, message, partition) {
+  const key = message.key ? JSON.parse(message.key.toString()) : null;
+  const value = message.value ? JSON.parse(message.value.toString()) : null;
 
-    console.log(`📨 [CHINA] Processing ${topic} change from ${source}`);
-    console.log(`   Record ID: ${key?.id || 'unknown'}`);
-    console.log(`   Operation: ${value.op || value.payload?.op || 'unknown'}`);
-    console.log(`   Sync Origin: ${syncOrigin}`);
-    console.log(`   🔒 Privacy Mode: ALL user data (names, emails, phones, IDs) will be stripped`);
+  if (!value) {
+    console.log(`⏭️  Skipping tombstone message`);
+    return null;
+  }
 
-    // Apply conflict resolution logic
-    await resolveConflict({
+  // Extract sync origin to prevent loops
+  const syncOrigin = value.payload?._sync_origin || value._sync_origin;
+  
+  if (!syncOrigin) {
+    console.log(`⚠️  No sync origin found in ${topic}[${partition}]@${message.offset}, rejecting`);
+    return {
+      rejected: true,
+      reason: 'missing_sync_origin',
       topic,
+      route: resolveRoute(topic),
+      partition,
+      offset: message.offset,
+      eventId: getEventId({ topic, partition, message, value }),
       key,
-      value,
-      source,
-      destination
-    });
+      operation: value.payload?.op || value.op || null
+    };
+  }
 
-  } catch (error) {
-    console.error(`❌ Error processing message:`, error);
+  // This process is always the destination; the topology decides what it accepts
+  const source = syncOrigin;
+  const destination = config.region;
+
+  if (source === destination) {
+    console.log(`⏭️  Skipping own change echoed back from ${source}`);
+    return null;
   }
+
+  if (!isKnownRegion(source)) {
+    console.log(`⚠️  Unknown source region '${source}', skipping`);
+    return null;
+  }
+
+  // Map the topic to its destination table
+  const route = resolveRoute(topic);
+  if (!route) {
+    console.log(`⏭️  No sync route for ${topic}, skipping`);
+    return null;
+  }
+  const tableName = route.table;
+
+  if (!isFlowAllowed(tableName, source, destination)) {
+    console.log(`🚫 DIRECTIONAL BLOCK: ${tableName} does not sync ${source} → ${destination}`);
+    return null;
+  }
+
+  // 🔒 PRIVACY & DIRECTIONAL SYNC RULES come from the privacy policy file
+  // (e.g. users never sync, products are only created in China)
+  const operation = value.payload?.op || value.op || 'u';
+
+  if (!isOperationAllowed(tableName, source, destination, operation)) {
+    console.log(`🚫 POLICY BLOCK: '${operation}' on ${tableName} from ${source} → ${destination} not allowed`);
+    console.log(`   → Privacy policy ${getPolicyInfo().version}`);
+    return null;
+  }
+
+  if (operation === 'r') {
+    console.log(`📸 SNAPSHOT: Allowing ${tableName} snapshot row from ${source} → ${destination}`);
+  }
+
+  console.log(`📨 [${destination.toUpperCase()}] Processing ${topic} change from ${source}`);
+  console.log(`   Record ID: ${key?.id || 'unknown'}`);
+  console.log(`   Operation: ${operation}`);
+  console.log(`   Sync Origin: ${syncOrigin}`);
+  console.log(`   🔒 Privacy Mode: columns filtered by policy ${getPolicyInfo().version}`);
+
+  return {
+    topic,
+    route,
+    partition,
+    offset: message.offset,
+    eventId: getEventId({ topic, partition, message, value }),
+    key,
+    value,
+    source,
+    destination
+  };
 }
 
 module.exports = {
-  initKafkaConsumers
+  kafka,
+  initKafkaConsumers,
+  stopKafkaConsumers,
+  onConsumerCrash,
+  handleMessage,
+  replayDeadLetter,
+  pauseTopics,
+  resumeTopics,
+  holdTopicsForBootstrap,
+  releaseTopicsFromBootstrap,
+  seekToOffsets,
+  setConsumerOffsets,
+  pauseConsumption,
+  resumeConsumption,
+  getConsumerOffsets,
+  resetOffsets,
+  getConsumerStatus,
+  getPartitionLag
 };
 
@@ -0,0 +1,133 @@
+const { initKafkaConsumers, stopKafkaConsumers, onConsumerCrash } = require('./consumer');
+const { bootstrapRunner } = require('./bootstrap');
+const { backoffDelay } = require('../utils/retry');
+const config = require('../config/config');
+
+/**
+ * Keeps the live consumer attached: retries the initial connection with
+ * backoff in the background and reconnects after crashes kafkajs gives up on
+ */
+class ConsumerSupervisor {
+  constructor() {
+    this.state = 'idle'; // idle | connecting | connected | waiting | stopped
+    this.attempt = 0;
+    this.timer = null;
+    this.connecting = null;
+    this.connectedAt = null;
+    this.nextAttemptAt = null;
+    this.lastError = null;
+    this.reconnects = 0;
+
+    onConsumerCrash(error => {
+      if (this.state === 'stopped') return;
+      console.error(`💥 Kafka consumer crashed: ${error.message}`);
+      this.lastError = { message: error.message, at: new Date(), during: 'run' };
+      this.reconnects++;
+      this.scheduleRetry(true);
+    });
+  }
+
+  /**
+   * Connect now; on failure keep retrying in the background.
+   * Resolves once the first attempt has finished either way.
+   */
+  async start() {
+    this.state = 'idle';
+    this.attempt = 0;
+    await this.connect();
+  }
+
+  async connect() {
+    if (this.state === 'stopped' || this.connecting) return;
+
+    this.timer = null;
+    this.nextAttemptAt = null;
+    this.state = 'connecting';
+    this.attempt++;
+
+    this.connecting = (async () => {
+      try {
+        // Drop whatever a crashed run left behind before subscribing again
+        await stopKafkaConsumers().catch(() => {});
+        await initKafkaConsumers();
+
+        if (this.state === 'stopped') {
+          await stopKafkaConsumers();
+          return;
+        }
+
+        this.state = 'connected';
+        this.connectedAt = new Date();
+        console.log(`✅ Kafka consumers initialized${this.attempt > 1 ? ` after ${this.attempt} attempts` : ''}`);
+        this.attempt = 0;
+
+        // Pick up a snapshot bootstrap that was interrupted by a crash or restart
+        if (!bootstrapRunner.isRunning()) {
+          await bootstrapRunner.resumeInterrupted().catch(error =>
+            console.error('❌ Failed to resume interrupted bootstrap:', error.message)
+          );
+        }
+      } catch (error) {
+        this.lastError = { message: error.message, at: new Date(), during: 'connect' };
+        console.error(`⚠️  Kafka initialization failed (attempt ${this.attempt}):`, error.message);
+        this.scheduleRetry(false);
+      } finally {
+        this.connecting = null;
+      }
+    })();
+
+    await this.connecting;
+  }
+
+  /**
+   * Try again after a backoff delay (sync stays disabled until then)
+   */
+  scheduleRetry(afterCrash) {
+    if (this.state === 'stopped' || this.timer) return;
+
+    // A crash after a healthy run starts the backoff over
+    if (afterCrash) {
+      this.attempt = 0;
+    }
+    const delay = backoffDelay(Math.max(this.attempt, 1), config.kafka.reconnect);
+    this.state = 'waiting';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+    console.log(`⏳ Retrying Kafka connection in ${Math.round(delay / 1000)}s (sync disabled meanwhile)`);
+
+    this.timer = setTimeout(() => this.connect(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop retrying and drain the consumer (used on shutdown)
+   */
+  async stop() {
+    this.state = 'stopped';
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextAttemptAt = null;
+    if (this.connecting) {
+      await this.connecting;
+    }
+    await stopKafkaConsumers();
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      attempt: this.attempt,
+      connectedAt: this.connectedAt,
+      nextAttemptAt: this.nextAttemptAt,
+      reconnects: this.reconnects,
+      lastError: this.lastError
+    };
+  }
+}
+
+const consumerSupervisor = new ConsumerSupervisor();
+
+module.exports = {
+  consumerSupervisor
+};
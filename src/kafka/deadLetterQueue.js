@@ -0,0 +1,195 @@
+const { pool } = require('../database/dbConnection');
+const { producer, ensureProducerConnected } = require('./conflictResolver');
+const config = require('../config/config');
+
+/**
+ * Dead-letter topic for a sync topic (e.g. 'sync.products' -> 'sync.products.dlq')
+ */
+function getDlqTopic(topic) {
+  return `${topic}${config.sync.dlqSuffix}`;
+}
+
+/**
+ * Convert Kafka headers (Buffer values) into plain strings
+ */
+function decodeHeaders(headers = {}) {
+  const decoded = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (value === undefined || value === null) continue;
+    decoded[name] = Buffer.isBuffer(value) ? value.toString() : String(value);
+  }
+  return decoded;
+}
+
+/**
+ * Publish a failed message to its dead-letter topic and record it for the admin API
+ */
+async function sendToDeadLetter({ topic, partition, message, error, attempts }) {
+  const dlqTopic = getDlqTopic(topic);
+  const originalHeaders = decodeHeaders(message.headers);
+  const messageKey = message.key ? message.key.toString() : null;
+  const messageValue = message.value ? message.value.toString() : null;
+  const failedAt = new Date().toISOString();
+
+  const result = await pool.query(
+    `INSERT INTO sync_dead_letters
+       (topic, dlq_topic, kafka_partition, kafka_offset, message_key, message_value, headers, error, error_stack, attempts)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      topic,
+      dlqTopic,
+      partition,
+      message.offset,
+      messageKey,
+      messageValue,
+      JSON.stringify(originalHeaders),
+      error.message,
+      error.stack,
+      attempts
+    ]
+  );
+  const deadLetterId = result.rows[0].id;
+
+  try {
+    await ensureProducerConnected();
+    await producer.send({
+      topic: dlqTopic,
+      messages: [{
+        key: messageKey,
+        value: messageValue,
+        headers: {
+          ...originalHeaders,
+          'x-dlq-id': String(deadLetterId),
+          'x-dlq-error': error.message,
+          'x-dlq-attempts': String(attempts),
+          'x-dlq-original-topic': topic,
+          'x-dlq-original-partition': String(partition),
+          'x-dlq-original-offset': String(message.offset),
+          'x-dlq-failed-at': failedAt
+        }
+      }]
+    });
+    console.log(`☠️  Message sent to ${dlqTopic} after ${attempts} attempt(s) (DLQ #${deadLetterId})`);
+  } catch (publishError) {
+    // The DB record is enough to replay it later, so don't fail the consumer
+    console.error(`⚠️  Failed to publish to ${dlqTopic}:`, publishError.message);
+  }
+
+  return deadLetterId;
+}
+
+/**
+ * List dead-letter entries
+ */
+async function listDeadLetters({ status, topic, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (topic) {
+    params.push(topic);
+    conditions.push(`topic = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM sync_dead_letters ${where}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT id, topic, dlq_topic, kafka_partition, kafka_offset, message_key, error, attempts,
+            status, resolved_by, resolved_at, created_at
+     FROM sync_dead_letters
+     ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count),
+    entries: result.rows
+  };
+}
+
+/**
+ * Get a single dead-letter entry including its payload
+ */
+async function getDeadLetter(id) {
+  const result = await pool.query(
+    'SELECT * FROM sync_dead_letters WHERE id = $1',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim a pending dead-letter entry for replay (status 'replaying').
+ * Returns null when it doesn't exist or isn't pending, so two replays never both run.
+ */
+async function claimDeadLetter(id) {
+  const result = await pool.query(
+    `UPDATE sync_dead_letters
+     SET status = 'replaying'
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Hand a claimed entry back (status 'pending') after a failed replay
+ */
+async function releaseDeadLetter(id) {
+  await pool.query(
+    `UPDATE sync_dead_letters SET status = 'pending' WHERE id = $1 AND status = 'replaying'`,
+    [id]
+  );
+}
+
+/**
+ * Mark a dead-letter entry as resolved (replayed or discarded) if it is
+ * still in the expected status; null otherwise
+ */
+async function markDeadLetter(id, status, resolvedBy, expectedStatus) {
+  const result = await pool.query(
+    `UPDATE sync_dead_letters
+     SET status = $1, resolved_by = $2, resolved_at = NOW()
+     WHERE id = $3 AND status = $4
+     RETURNING id, status, resolved_by, resolved_at`,
+    [status, resolvedBy, id, expectedStatus]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Rebuild a Kafka-like message from a dead-letter entry so it can be reprocessed
+ */
+function toKafkaMessage(entry) {
+  return {
+    key: entry.message_key !== null ? Buffer.from(entry.message_key) : null,
+    value: entry.message_value !== null ? Buffer.from(entry.message_value) : null,
+    headers: entry.headers || {},
+    offset: entry.kafka_offset
+  };
+}
+
+module.exports = {
+  getDlqTopic,
+  decodeHeaders,
+  sendToDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  claimDeadLetter,
+  releaseDeadLetter,
+  markDeadLetter,
+  toKafkaMessage
+};
@@ -0,0 +1,94 @@
+const { pool } = require('../database/dbConnection');
+
+/**
+ * Whether a Debezium event was read by a snapshot (source.snapshot is
+ * true/first/last/incremental, or "false" outside snapshots)
+ */
+function isSnapshotEvent(payload) {
+  const snapshot = payload.source && payload.source.snapshot;
+  return payload.op === 'r' || (snapshot !== undefined && snapshot !== null && String(snapshot) !== 'false');
+}
+
+/**
+ * Identify a change so redeliveries can be recognised:
+ * event-id header > outbox _event_id > Debezium LSN/txId > Kafka coordinates.
+ * Snapshot rows all share one LSN and txId, so they are identified by their
+ * Kafka coordinates instead.
+ */
+function getEventId({ topic, partition, message, value }) {
+  const header = message.headers && message.headers['event-id'];
+  if (header) {
+    return `event:${header.toString()}`;
+  }
+
+  const payload = value.payload || value;
+  if (payload._event_id) {
+    return `event:${payload._event_id}`;
+  }
+
+  const source = payload.source;
+  if (source && (source.lsn !== undefined || source.txId !== undefined) && !isSnapshotEvent(payload)) {
+    return `lsn:${source.db || ''}.${source.table || topic}:${source.lsn ?? ''}:${source.txId ?? ''}`;
+  }
+
+  return `kafka:${topic}:${partition}:${message.offset}`;
+}
+
+/**
+ * Claim an event inside the transaction that applies it.
+ * Returns false if it was already processed (the change must be skipped).
+ */
+async function claimEvent(client, event) {
+  const claimed = await claimEvents(client, [event]);
+  return claimed.has(event.eventId);
+}
+
+/**
+ * Claim a batch of events with one statement. Returns the set of event ids
+ * that were newly claimed; ids repeated within the batch are claimed once.
+ */
+async function claimEvents(client, events) {
+  const claimed = new Set();
+  const unique = [...new Map(events.map(event => [event.eventId, event])).values()];
+
+  for (let start = 0; start < unique.length; start += 1000) {
+    const params = [];
+    const rows = unique.slice(start, start + 1000).map(({ eventId, topic, partition, offset, tableName, recordId }) => {
+      params.push(eventId, topic, partition ?? null, offset ?? null, tableName, recordId !== null ? String(recordId) : null);
+      const first = params.length - 5;
+      return `($${first}, $${first + 1}, $${first + 2}, $${first + 3}, $${first + 4}, $${first + 5})`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO sync_processed_events (event_id, topic, kafka_partition, kafka_offset, table_name, record_id)
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (event_id) DO NOTHING
+       RETURNING event_id`,
+      params
+    );
+    result.rows.forEach(row => claimed.add(row.event_id));
+  }
+
+  return claimed;
+}
+
+/**
+ * Forget events older than the retention period
+ */
+async function pruneProcessedEvents(retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM sync_processed_events WHERE processed_at < NOW() - ($1 || ' days')::interval`,
+    [String(retentionDays)]
+  );
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} processed event(s) older than ${retentionDays} days`);
+  }
+  return result.rowCount;
+}
+
+module.exports = {
+  getEventId,
+  claimEvent,
+  claimEvents,
+  pruneProcessedEvents
+};
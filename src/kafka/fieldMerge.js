@@ -0,0 +1,88 @@
+/**
+ * Columns whose value differs between the Debezium before and after images.
+ * Returns null when there's no before image (every column counts as changed).
+ */
+function getChangedColumns(before, after) {
+  if (!before || !after) {
+    return null;
+  }
+
+  return Object.keys(after).filter(col =>
+    !col.startsWith('_') && JSON.stringify(before[col]) !== JSON.stringify(after[col])
+  );
+}
+
+/**
+ * Last writer and write time of each tracked column of a record
+ */
+async function getColumnWriters(db, tableName, recordId) {
+  const writers = await getColumnWritersForRecords(db, tableName, [recordId]);
+  return writers.get(String(recordId)) || {};
+}
+
+/**
+ * Column writers of several records at once: Map of String(recordId) -> writers
+ */
+async function getColumnWritersForRecords(db, tableName, recordIds) {
+  const result = await db.query(
+    `SELECT record_id, column_name, last_writer, written_at
+     FROM sync_column_writers
+     WHERE table_name = $1 AND record_id = ANY($2)`,
+    [tableName, recordIds.map(String)]
+  );
+
+  const writers = new Map();
+  for (const row of result.rows) {
+    if (!writers.has(row.record_id)) {
+      writers.set(row.record_id, {});
+    }
+    writers.get(row.record_id)[row.column_name] = {
+      lastWriter: row.last_writer,
+      written_at: row.written_at
+    };
+  }
+  return writers;
+}
+
+/**
+ * Record which region last wrote the given columns (call inside the write's transaction)
+ */
+async function recordColumnWriters(db, tableName, recordId, columns, writer, writtenAt = new Date()) {
+  if (!columns || columns.length === 0) return;
+
+  await writeColumnWriters(db, tableName, columns.map(column => ({ recordId, column, writer, writtenAt })));
+}
+
+/**
+ * Upsert column writers for any number of records ({ recordId, column, writer, writtenAt })
+ */
+async function writeColumnWriters(db, tableName, entries) {
+  // One row per (record, column) per statement; the last entry wins
+  const latest = [...new Map(entries.map(entry => [`${entry.recordId}\u0000${entry.column}`, entry])).values()];
+
+  for (let start = 0; start < latest.length; start += 1000) {
+    const params = [tableName];
+    const rows = latest.slice(start, start + 1000).map(({ recordId, column, writer, writtenAt }) => {
+      params.push(String(recordId), column, writer, writtenAt);
+      const first = params.length - 3;
+      return `($1, $${first}, $${first + 1}, $${first + 2}, $${first + 3})`;
+    });
+
+    await db.query(
+      `INSERT INTO sync_column_writers (table_name, record_id, column_name, last_writer, written_at)
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (table_name, record_id, column_name) DO UPDATE SET
+         last_writer = EXCLUDED.last_writer,
+         written_at = EXCLUDED.written_at`,
+      params
+    );
+  }
+}
+
+module.exports = {
+  getChangedColumns,
+  getColumnWriters,
+  getColumnWritersForRecords,
+  recordColumnWriters,
+  writeColumnWriters
+};
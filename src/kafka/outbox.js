@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { pool } = require('../database/dbConnection');
+const { producer, ensureProducerConnected } = require('./conflictResolver');
+const { getTopicForTable } = require('./routing');
+const { applyOutboundPolicy, getPolicyInfo } = require('./privacyPolicy');
+const { getDestinations } = require('../utils/topology');
+const config = require('../config/config');
+
+/**
+ * Build the Debezium-style envelope resolveConflict understands
+ */
+function buildEnvelope({ eventId, tableName, operation, before, after, privacyActions = {} }) {
+  const now = Date.now();
+  const { version, checksum } = getPolicyInfo();
+  return {
+    payload: {
+      before: before || null,
+      after: after || null,
+      op: operation,
+      ts_ms: now,
+      source: {
+        connector: 'outbox',
+        db: config.db.database,
+        table: tableName,
+        ts_ms: now
+      },
+      _sync_origin: config.region,
+      _event_id: eventId,
+      // What the outbound policy already did, so receivers don't hash twice
+      _privacy: { policy: version, checksum, actions: privacyActions }
+    }
+  };
+}
+
+/**
+ * Queue a local change for publishing. Call with the client of the
+ * transaction that made the change so both commit (or roll back) together.
+ * Rows are filtered by the privacy policy of the regions they go to; a change
+ * no region accepts isn't queued (resolves with null instead of the event id).
+ */
+async function enqueueChange(client, { tableName, operation, before, after }) {
+  const destinations = getDestinations(config.region, tableName);
+  const outboundAfter = applyOutboundPolicy(tableName, config.region, destinations, operation, after);
+  if (!outboundAfter) {
+    console.log(`🔒 ${tableName} '${operation}' stays in ${config.region}: no region accepts it`);
+    return null;
+  }
+  const outboundBefore = applyOutboundPolicy(tableName, config.region, destinations, operation, before);
+
+  const eventId = crypto.randomUUID();
+  const recordId = (after || before).id;
+  const envelope = buildEnvelope({
+    eventId,
+    tableName,
+    operation,
+    before: outboundBefore.row,
+    after: outboundAfter.row,
+    privacyActions: { ...outboundBefore.actions, ...outboundAfter.actions }
+  });
+
+  await client.query(
+    `INSERT INTO outbox (event_id, topic, table_name, record_id, operation, payload)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [eventId, getTopicForTable(tableName), tableName, String(recordId), operation, JSON.stringify(envelope)]
+  );
+
+  return eventId;
+}
+
+/**
+ * Publish outbox rows to Kafka through the resolver's producer
+ */
+async function publishToKafka(topic, messages) {
+  await ensureProducerConnected();
+  await producer.send({ topic, messages });
+}
+
+class OutboxRelay {
+  constructor({ publish = publishToKafka } = {}) {
+    this.publish = publish;
+    this.timer = null;
+    this.running = false;
+    this.publishedCount = 0;
+    this.lastPublishedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (!config.outbox.enabled) {
+      console.log('⚠️  Outbox relay disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), config.outbox.pollIntervalMs);
+    this.timer.unref();
+    console.log('✅ Outbox relay started');
+  }
+
+  /**
+   * Stop polling and wait for the current batch to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    while (this.running) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  async tick() {
+    // Never overlap polls
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // Drain everything that's pending, one batch at a time
+      let published;
+      do {
+        published = await this.publishBatch();
+      } while (published === config.outbox.batchSize);
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Outbox relay error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Publish one batch of pending events in id order; returns how many were published
+   */
+  async publishBatch() {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // SKIP LOCKED lets several instances relay without double-publishing
+      const result = await client.query(
+        `SELECT id, event_id, topic, record_id, payload
+         FROM outbox
+         WHERE published_at IS NULL
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [config.outbox.batchSize]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('COMMIT');
+        return 0;
+      }
+
+      // Group by topic, keep insertion order within each topic
+      const byTopic = new Map();
+      for (const row of result.rows) {
+        if (!byTopic.has(row.topic)) {
+          byTopic.set(row.topic, []);
+        }
+        byTopic.get(row.topic).push({
+          key: JSON.stringify({ id: isNaN(row.record_id) ? row.record_id : Number(row.record_id) }),
+          value: JSON.stringify(row.payload),
+          headers: {
+            'event-id': row.event_id,
+            'sync-origin': config.region
+          }
+        });
+      }
+
+      const ids = result.rows.map(row => row.id);
+
+      try {
+        for (const [topic, messages] of byTopic) {
+          await this.publish(topic, messages);
+        }
+      } catch (error) {
+        await client.query(
+          'UPDATE outbox SET attempts = attempts + 1, last_error = $1 WHERE id = ANY($2)',
+          [error.message, ids]
+        );
+        await client.query('COMMIT');
+        throw error;
+      }
+
+      await client.query(
+        'UPDATE outbox SET published_at = NOW(), attempts = attempts + 1, last_error = NULL WHERE id = ANY($1)',
+        [ids]
+      );
+      await client.query('COMMIT');
+
+      this.publishedCount += ids.length;
+      this.lastPublishedAt = new Date();
+      this.lastError = null;
+      console.log(`📤 Outbox: published ${ids.length} event(s)`);
+
+      return ids.length;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Relay status for health and stats
+   */
+  async getStatus() {
+    const pending = await pool.query(
+      'SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM outbox WHERE published_at IS NULL'
+    );
+
+    return {
+      enabled: config.outbox.enabled,
+      running: this.timer !== null,
+      pending: parseInt(pending.rows[0].count),
+      oldestPendingAt: pending.rows[0].oldest,
+      publishedSinceStart: this.publishedCount,
+      lastPublishedAt: this.lastPublishedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Singleton instance
+const outboxRelay = new OutboxRelay();
+
+module.exports = {
+  buildEnvelope,
+  enqueueChange,
+  OutboxRelay,
+  outboxRelay
+};
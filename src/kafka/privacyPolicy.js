@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const config = require('../config/config');
+
+const OPERATIONS = ['c', 'u', 'r', 'd'];
+const ACTIONS = ['pass', 'drop', 'null', 'hash', 'generalize'];
+const GENERALIZE_METHODS = ['split', 'truncate-date', 'round'];
+
+/**
+ * Turn a column rule ("drop" or { action, ... }) into an action object
+ */
+function normalizeRule(rule, label) {
+  const entry = typeof rule === 'string' ? { action: rule } : rule;
+
+  if (!entry || !ACTIONS.includes(entry.action)) {
+    throw new Error(`Privacy policy ${label}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  if (entry.action === 'hash' && !config.privacy.hmacKey) {
+    throw new Error(`Privacy policy ${label}: hash requires PRIVACY_HMAC_KEY to be set`);
+  }
+
+  if (entry.action === 'generalize') {
+    if (!GENERALIZE_METHODS.includes(entry.method)) {
+      throw new Error(`Privacy policy ${label}: generalize method must be one of ${GENERALIZE_METHODS.join(', ')}`);
+    }
+    if (entry.method === 'split' && (!entry.separator || !Number.isInteger(entry.keep) || entry.keep === 0)) {
+      throw new Error(`Privacy policy ${label}: split requires a separator and a non-zero integer keep`);
+    }
+    if (entry.method === 'truncate-date' && !['month', 'year'].includes(entry.unit)) {
+      throw new Error(`Privacy policy ${label}: truncate-date unit must be month or year`);
+    }
+    if (entry.method === 'round' && !(typeof entry.step === 'number' && entry.step > 0)) {
+      throw new Error(`Privacy policy ${label}: round requires a positive step`);
+    }
+  }
+
+  return entry;
+}
+
+function normalizeColumns(columns, label) {
+  const normalized = {};
+  for (const [column, rule] of Object.entries(columns || {})) {
+    normalized[column] = normalizeRule(rule, `${label}.${column}`);
+  }
+  return normalized;
+}
+
+function normalizeOperations(operations, label) {
+  if (operations === undefined) return undefined;
+  if (!Array.isArray(operations) || operations.some(op => !OPERATIONS.includes(op))) {
+    throw new Error(`Privacy policy ${label}: operations must be a list of ${OPERATIONS.join(', ')}`);
+  }
+  return operations;
+}
+
+/**
+ * Read and validate the policy file; throws so a bad policy stops startup
+ */
+function loadPolicy(policyPath) {
+  const raw = fs.readFileSync(policyPath, 'utf8');
+  const policy = JSON.parse(raw);
+
+  if (!policy.version) {
+    throw new Error('Privacy policy: version is required');
+  }
+
+  const defaults = {
+    operations: normalizeOperations(policy.defaults?.operations, 'defaults') || OPERATIONS,
+    columns: normalizeColumns(policy.defaults?.columns, 'defaults')
+  };
+
+  const tables = {};
+  for (const [tableName, tableConfig] of Object.entries(policy.tables || {})) {
+    const directions = {};
+    for (const [direction, directionConfig] of Object.entries(tableConfig.directions || {})) {
+      if (!/^[a-z]+->[a-z]+$/.test(direction)) {
+        throw new Error(`Privacy policy ${tableName}: direction '${direction}' must look like source->destination`);
+      }
+      const label = `${tableName}[${direction}]`;
+      directions[direction] = {
+        operations: normalizeOperations(directionConfig.operations, label),
+        columns: normalizeColumns(directionConfig.columns, label)
+      };
+    }
+    tables[tableName] = {
+      operations: normalizeOperations(tableConfig.operations, tableName),
+      columns: normalizeColumns(tableConfig.columns, tableName),
+      directions
+    };
+  }
+
+  return {
+    version: String(policy.version),
+    checksum: crypto.createHash('sha256').update(raw).digest('hex'),
+    path: policyPath,
+    loadedAt: new Date().toISOString(),
+    document: policy,
+    defaults,
+    tables
+  };
+}
+
+const active = loadPolicy(path.resolve(config.privacy.policyPath));
+console.log(`🔒 Privacy policy ${active.version} loaded (${active.checksum.slice(0, 12)})`);
+
+/**
+ * Effective rules for one table and direction: defaults < table < direction
+ */
+function getRules(tableName, source, destination) {
+  const table = active.tables[tableName] || { columns: {}, directions: {} };
+  const direction = table.directions[`${source}->${destination}`] || { columns: {} };
+
+  return {
+    operations: direction.operations || table.operations || active.defaults.operations,
+    columns: { ...active.defaults.columns, ...table.columns, ...direction.columns }
+  };
+}
+
+/**
+ * Whether an operation (c/u/r/d) may flow from source to destination for a table
+ */
+function isOperationAllowed(tableName, source, destination, operation) {
+  return getRules(tableName, source, destination).operations.includes(operation);
+}
+
+/**
+ * Action applied to one column in a direction ({ action: 'pass' } when unlisted)
+ */
+function getColumnAction(tableName, source, destination, column) {
+  return getRules(tableName, source, destination).columns[column] || { action: 'pass' };
+}
+
+/**
+ * Keyed HMAC so pseudonyms stay stable across events without being reversible
+ */
+function pseudonymize(value) {
+  return crypto.createHmac('sha256', config.privacy.hmacKey).update(String(value)).digest('hex');
+}
+
+function generalize(value, rule) {
+  if (rule.method === 'split') {
+    const parts = String(value).split(rule.separator).map(part => part.trim());
+    const kept = rule.keep > 0 ? parts.slice(0, rule.keep) : parts.slice(rule.keep);
+    return kept.join(`${rule.separator} `);
+  }
+
+  if (rule.method === 'truncate-date') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    const month = rule.unit === 'year' ? '01' : String(date.getUTCMonth() + 1).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${month}-01`;
+  }
+
+  // round
+  const number = Number(value);
+  return isNaN(number) ? null : Math.round(number / rule.step) * rule.step;
+}
+
+/**
+ * Apply the column actions for a direction to a decoded row. `actions` maps
+ * each column that was changed to the action taken (drop, null, hash, ...).
+ * `upstream` is what the sending region's outbox already applied
+ * ({ checksum, actions }); under the same policy those columns aren't
+ * hashed or generalized a second time.
+ */
+function applyPolicy(tableName, source, destination, row, upstream = null) {
+  const { columns: rules } = getRules(tableName, source, destination);
+  const result = { row: {}, dropped: [], nulled: [], hashed: [], generalized: [], actions: {} };
+  const applied = upstream && upstream.checksum === active.checksum ? upstream.actions || {} : {};
+
+  for (const [column, value] of Object.entries(row)) {
+    const rule = rules[column] || { action: 'pass' };
+    const done = applied[column] === rule.action;
+
+    if (rule.action === 'drop') {
+      result.dropped.push(column);
+      result.actions[column] = 'drop';
+      continue;
+    }
+
+    if (rule.action === 'null') {
+      result.row[column] = null;
+      result.nulled.push(column);
+    } else if (value === null || value === undefined || rule.action === 'pass') {
+      result.row[column] = value;
+      continue;
+    } else if (rule.action === 'hash') {
+      result.row[column] = done ? value : pseudonymize(value);
+      result.hashed.push(column);
+    } else {
+      result.row[column] = done ? value : generalize(value, rule);
+      result.generalized.push(column);
+    }
+    result.actions[column] = rule.action;
+  }
+
+  return result;
+}
+
+/**
+ * Policy for a local change published once to every destination (one message
+ * on a shared topic). It goes out if any destination accepts the operation,
+ * and each column only with the value all accepting destinations would get;
+ * columns their rules treat differently are withheld. Returns null when no
+ * destination accepts the operation, else { destinations, row, actions }.
+ */
+function applyOutboundPolicy(tableName, source, destinations, operation, row) {
+  const accepting = destinations.filter(destination => isOperationAllowed(tableName, source, destination, operation));
+  if (accepting.length === 0) {
+    return null;
+  }
+  if (!row) {
+    return { destinations: accepting, row: null, actions: {} };
+  }
+
+  const [first, ...others] = accepting.map(destination => applyPolicy(tableName, source, destination, row));
+  const outbound = { destinations: accepting, row: {}, actions: {} };
+
+  for (const column of Object.keys(row)) {
+    const agreed = column in first.row && others.every(other =>
+      column in other.row &&
+      other.actions[column] === first.actions[column] &&
+      isDeepStrictEqual(other.row[column], first.row[column])
+    );
+
+    if (!agreed) {
+      outbound.actions[column] = 'drop';
+      continue;
+    }
+    outbound.row[column] = first.row[column];
+    if (first.actions[column]) {
+      outbound.actions[column] = first.actions[column];
+    }
+  }
+
+  return outbound;
+}
+
+/**
+ * Active policy version and document (for the admin endpoint)
+ */
+function getPolicyInfo() {
+  return {
+    version: active.version,
+    checksum: active.checksum,
+    path: active.path,
+    loadedAt: active.loadedAt,
+    policy: active.document
+  };
+}
+
+module.exports = {
+  loadPolicy,
+  getRules,
+  isOperationAllowed,
+  getColumnAction,
+  applyPolicy,
+  applyOutboundPolicy,
+  getPolicyInfo
+};
@@ -0,0 +1,458 @@
+const { pool } = require('../database/dbConnection');
+const { prepareRow } = require('./conflictResolver');
+const { getColumnAction } = require('./privacyPolicy');
+const { recordColumnWriters } = require('./fieldMerge');
+const { recordAudit } = require('./syncAudit');
+const { enqueueChange } = require('./outbox');
+const { getPeerRegion } = require('../utils/topology');
+const config = require('../config/config');
+
+// Cap on ids listed per category in a stored report
+const MAX_REPORTED_IDS = 1000;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Columns hashed for a table: the configured synced columns, minus any column
+ * the privacy policy transforms in either direction (those can never match)
+ */
+function getHashColumns(tableName) {
+  const tableConfig = config.reconciliation.tables[tableName];
+  if (!tableConfig) {
+    throw httpError(400, `Table not configured for reconciliation: ${tableName}`);
+  }
+  const peerRegion = getPeerRegion();
+  return tableConfig.columns.filter(col =>
+    getColumnAction(tableName, peerRegion, config.region, col).action === 'pass' &&
+    getColumnAction(tableName, config.region, peerRegion, col).action === 'pass'
+  );
+}
+
+/**
+ * SQL expression hashing one row over id + the synced columns
+ */
+function rowHashExpression(columns) {
+  const parts = ['id::text', ...columns.map(col => `COALESCE(${col}::text, '\\N')`)];
+  return `md5(concat_ws('|', ${parts.join(', ')}))`;
+}
+
+/**
+ * Hash of every id bucket (id / bucketSize) of a table
+ */
+async function computeBucketHashes(tableName, bucketSize) {
+  const columns = getHashColumns(tableName);
+  const result = await pool.query(
+    `SELECT (id / $1) AS bucket, COUNT(*) AS count,
+            md5(string_agg(${rowHashExpression(columns)}, '' ORDER BY id)) AS hash
+     FROM ${tableName}
+     GROUP BY 1
+     ORDER BY 1`,
+    [bucketSize]
+  );
+  return result.rows.map(row => ({
+    bucket: parseInt(row.bucket),
+    count: parseInt(row.count),
+    hash: row.hash
+  }));
+}
+
+/**
+ * Per-row hashes inside one bucket
+ */
+async function computeRowHashes(tableName, bucket, bucketSize) {
+  const columns = getHashColumns(tableName);
+  const result = await pool.query(
+    `SELECT id, ${rowHashExpression(columns)} AS hash
+     FROM ${tableName}
+     WHERE id / $1 = $2
+     ORDER BY id`,
+    [bucketSize, bucket]
+  );
+  return result.rows.map(row => ({ id: row.id, hash: row.hash }));
+}
+
+/**
+ * Synced columns of the given rows (what the peer may see)
+ */
+async function fetchRows(tableName, ids) {
+  const columns = getHashColumns(tableName);
+  const result = await pool.query(
+    `SELECT id, ${columns.join(', ')} FROM ${tableName} WHERE id = ANY($1) ORDER BY id`,
+    [ids]
+  );
+  return result.rows;
+}
+
+/**
+ * Call the peer region's reconciliation API
+ */
+async function peerRequest(path, options = {}) {
+  const response = await fetch(`${config.peer.url}/api/reconcile${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.peer.apiKey,
+      ...options.headers
+    },
+    signal: AbortSignal.timeout(config.peer.timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Peer ${getPeerRegion()} responded ${response.status} for ${path}`);
+  }
+  return response.json();
+}
+
+/**
+ * Compare two hash lists keyed by keyField
+ */
+function diffHashes(local, peer, keyField) {
+  const localMap = new Map(local.map(entry => [String(entry[keyField]), entry.hash]));
+  const peerMap = new Map(peer.map(entry => [String(entry[keyField]), entry.hash]));
+
+  const missingLocal = [...peerMap.keys()].filter(key => !localMap.has(key));
+  const missingPeer = [...localMap.keys()].filter(key => !peerMap.has(key));
+  const different = [...localMap.keys()].filter(key => peerMap.has(key) && peerMap.get(key) !== localMap.get(key));
+
+  return { missingLocal, missingPeer, different };
+}
+
+/**
+ * Which region is authoritative for each synced column of a table
+ */
+function getAuthority(tableName) {
+  const authority = config.reconciliation.tables[tableName].authority;
+  const columns = getHashColumns(tableName);
+  const byColumn = {};
+  for (const col of columns) {
+    byColumn[col] = (authority.columns && authority.columns[col]) || authority.default;
+  }
+  return { owner: authority.default, byColumn };
+}
+
+class Reconciler {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the scheduled job (if an interval is configured)
+   */
+  start() {
+    const minutes = config.reconciliation.intervalMinutes;
+    if (!minutes) {
+      console.log('⚠️  Scheduled reconciliation disabled');
+      return;
+    }
+    // Refuse a multi-peer topology at startup rather than on every run
+    getPeerRegion();
+
+    this.timer = setInterval(() => {
+      this.run({ repair: config.reconciliation.repair, triggeredBy: 'scheduler' })
+        .catch(error => console.error('❌ Scheduled reconciliation failed:', error.message));
+    }, minutes * 60 * 1000);
+    this.timer.unref();
+    console.log(`✅ Reconciliation scheduled every ${minutes} minute(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create a report and reconcile in the background; resolves with the report row
+   */
+  async trigger(options) {
+    const report = await this.createReport(options);
+    this.execute(report.id, options).catch(error =>
+      console.error(`❌ Reconciliation #${report.id} failed:`, error.message)
+    );
+    return report;
+  }
+
+  /**
+   * Reconcile and wait for the finished report (used by the CLI and scheduler)
+   */
+  async run(options) {
+    const report = await this.createReport(options);
+    await this.execute(report.id, options);
+    return this.getReport(report.id);
+  }
+
+  async createReport({ tables, repair = false, triggeredBy = 'system' } = {}) {
+    if (this.running) {
+      throw httpError(409, 'Reconciliation is already running');
+    }
+    getPeerRegion();
+    for (const tableName of tables || []) {
+      getHashColumns(tableName);
+    }
+
+    // Claimed before the first await so two triggers can't both pass the check;
+    // execute() clears it when the run ends
+    this.running = true;
+    try {
+      const result = await pool.query(
+        `INSERT INTO sync_reconciliation_reports (repair, triggered_by)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [repair, triggeredBy]
+      );
+      return result.rows[0];
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+  }
+
+  async execute(reportId, { tables, repair = false } = {}) {
+    const summary = {};
+
+    try {
+      const tableNames = tables && tables.length > 0 ? tables : Object.keys(config.reconciliation.tables);
+      console.log(`🔎 Reconciliation #${reportId} started (${tableNames.join(', ')}${repair ? ', repair' : ''})`);
+
+      for (const tableName of tableNames) {
+        summary[tableName] = await this.reconcileTable(tableName, repair);
+      }
+
+      await pool.query(
+        `UPDATE sync_reconciliation_reports
+         SET status = 'completed', tables = $1, finished_at = NOW()
+         WHERE id = $2`,
+        [JSON.stringify(summary), reportId]
+      );
+      console.log(`🔎 Reconciliation #${reportId} completed`);
+    } catch (error) {
+      await pool.query(
+        `UPDATE sync_reconciliation_reports
+         SET status = 'failed', tables = $1, error = $2, finished_at = NOW()
+         WHERE id = $3`,
+        [JSON.stringify(summary), error.message, reportId]
+      );
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Find drifted ids of one table (bucket hashes first, then row hashes)
+   */
+  async reconcileTable(tableName, repair) {
+    const bucketSize = config.reconciliation.bucketSize;
+
+    const localBuckets = await computeBucketHashes(tableName, bucketSize);
+    const peerBuckets = (await peerRequest(`/${tableName}/buckets?bucketSize=${bucketSize}`)).buckets;
+    const bucketDiff = diffHashes(localBuckets, peerBuckets, 'bucket');
+    const mismatchedBuckets = [...bucketDiff.missingLocal, ...bucketDiff.missingPeer, ...bucketDiff.different]
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    const ids = { missingLocal: [], missingPeer: [], different: [] };
+
+    for (const bucket of mismatchedBuckets) {
+      const localRows = await computeRowHashes(tableName, bucket, bucketSize);
+      const peerRows = (await peerRequest(`/${tableName}/buckets/${bucket}?bucketSize=${bucketSize}`)).rows;
+      const rowDiff = diffHashes(localRows, peerRows, 'id');
+
+      ids.missingLocal.push(...rowDiff.missingLocal);
+      ids.missingPeer.push(...rowDiff.missingPeer);
+      ids.different.push(...rowDiff.different);
+    }
+
+    const mismatchCount = ids.missingLocal.length + ids.missingPeer.length + ids.different.length;
+    console.log(`🔎 ${tableName}: ${mismatchedBuckets.length}/${localBuckets.length} bucket(s) and ${mismatchCount} row(s) drifted`);
+
+    const result = {
+      buckets: { local: localBuckets.length, peer: peerBuckets.length, mismatched: mismatchedBuckets.length },
+      rows: {
+        local: localBuckets.reduce((a, b) => a + b.count, 0),
+        peer: peerBuckets.reduce((a, b) => a + b.count, 0)
+      },
+      mismatches: mismatchCount,
+      missingLocal: ids.missingLocal.slice(0, MAX_REPORTED_IDS),
+      missingPeer: ids.missingPeer.slice(0, MAX_REPORTED_IDS),
+      different: ids.different.slice(0, MAX_REPORTED_IDS),
+      repaired: null
+    };
+
+    if (repair && mismatchCount > 0) {
+      result.repaired = await this.repairTable(tableName, ids);
+    }
+
+    return result;
+  }
+
+  /**
+   * Repair drifted ids following the directional rules:
+   * columns owned by the peer are re-fetched from it and written here,
+   * columns owned by this region are re-published through the outbox.
+   */
+  async repairTable(tableName, ids) {
+    const { owner, byColumn } = getAuthority(tableName);
+    const peerRegion = getPeerRegion();
+    const peerColumns = Object.keys(byColumn).filter(col => byColumn[col] === peerRegion);
+    const localColumns = Object.keys(byColumn).filter(col => byColumn[col] === config.region);
+    const repaired = { pulled: 0, republished: 0, unresolved: [] };
+
+    // Rows we need from the peer: missing here, or differing in peer-owned columns
+    const pullIds = [
+      ...(owner === peerRegion ? ids.missingLocal : []),
+      ...(peerColumns.length > 0 ? ids.different : [])
+    ];
+
+    for (let i = 0; i < pullIds.length; i += 500) {
+      const chunk = pullIds.slice(i, i + 500);
+      const { rows } = await peerRequest(`/${tableName}/rows`, {
+        method: 'POST',
+        body: JSON.stringify({ ids: chunk })
+      });
+
+      for (const peerRow of rows) {
+        const inserted = ids.missingLocal.includes(String(peerRow.id));
+        await this.applyPeerRow(tableName, peerRow, inserted ? Object.keys(byColumn) : peerColumns, inserted);
+        repaired.pulled++;
+      }
+    }
+
+    // Rows the peer is missing or holds stale values for in columns we own
+    const republishIds = [
+      ...(owner === config.region ? ids.missingPeer : []),
+      ...(localColumns.length > 0 ? ids.different : [])
+    ];
+
+    if (republishIds.length > 0) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await client.query(`SELECT * FROM ${tableName} WHERE id = ANY($1)`, [republishIds]);
+        for (const row of result.rows) {
+          await enqueueChange(client, {
+            tableName,
+            operation: ids.missingPeer.includes(String(row.id)) ? 'c' : 'u',
+            after: row
+          });
+        }
+        await client.query('COMMIT');
+        repaired.republished = result.rows.length;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    // Rows only this region has although the peer owns them are left for a human
+    if (owner === peerRegion) {
+      repaired.unresolved = ids.missingPeer.slice(0, MAX_REPORTED_IDS);
+    }
+
+    console.log(`🛠️  ${tableName}: pulled ${repaired.pulled}, republished ${repaired.republished}, unresolved ${repaired.unresolved.length}`);
+    return repaired;
+  }
+
+  /**
+   * Write the authoritative peer values locally and audit the repair
+   */
+  async applyPeerRow(tableName, peerRow, columns, insert) {
+    const peerRegion = getPeerRegion();
+    const { row, removedFields, privacyActions } = prepareRow(peerRow, {
+      tableName,
+      source: peerRegion,
+      destination: config.region
+    });
+    const writeColumns = columns.filter(col => col in row);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      // A repair isn't a local edit: keep the row's origin write time
+      await client.query("SELECT set_config('sync.applying', 'on', true)");
+
+      const before = await client.query(`SELECT * FROM ${tableName} WHERE id = $1 FOR UPDATE`, [peerRow.id]);
+      const values = writeColumns.map(col => row[col]);
+
+      if (insert && before.rows.length === 0) {
+        const insertColumns = ['id', ...writeColumns, 'sync_source'];
+        const placeholders = insertColumns.map((_, i) => `$${i + 1}`);
+        await client.query(
+          `INSERT INTO ${tableName} (${insertColumns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+          [peerRow.id, ...values, peerRegion]
+        );
+      } else if (writeColumns.length > 0) {
+        const setClause = writeColumns.map((col, i) => `${col} = $${i + 1}`).join(', ');
+        await client.query(
+          `UPDATE ${tableName} SET ${setClause}, updated_at = NOW() WHERE id = $${writeColumns.length + 1}`,
+          [...values, peerRow.id]
+        );
+      }
+
+      await recordColumnWriters(client, tableName, peerRow.id, writeColumns, peerRegion);
+      await recordAudit(client, {
+        topic: `reconcile.${tableName}`,
+        result: {
+          table: tableName,
+          recordId: peerRow.id,
+          operation: insert ? 'c' : 'u',
+          source: peerRegion,
+          destination: config.region,
+          applied: true,
+          strategy: 'reconciliation',
+          reason: 'drift_repair',
+          columns: {},
+          changedColumns: writeColumns,
+          appliedColumns: writeColumns,
+          blockedColumns: []
+        },
+        strippedFields: removedFields,
+        privacyActions,
+        before: before.rows[0] || null,
+        after: row
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listReports(limit = 20) {
+    const result = await pool.query(
+      `SELECT id, status, repair, triggered_by, error, started_at, finished_at
+       FROM sync_reconciliation_reports
+       ORDER BY id DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  async getReport(id) {
+    const result = await pool.query('SELECT * FROM sync_reconciliation_reports WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+}
+
+// Singleton instance
+const reconciler = new Reconciler();
+
+module.exports = {
+  getHashColumns,
+  computeBucketHashes,
+  computeRowHashes,
+  fetchRows,
+  reconciler
+};
@@ -0,0 +1,124 @@
+const syncRoutes = require('../config/syncRoutes');
+const { getSources } = require('../utils/topology');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a route entry and precompile its topic pattern
+ */
+function compileRoute(entry, index) {
+  const label = `Sync route #${index + 1}`;
+
+  if (!entry.topic || typeof entry.topic !== 'string') {
+    throw new Error(`${label}: topic is required`);
+  }
+
+  const wildcards = entry.topic.split('*').length - 1;
+  if (wildcards > 1) {
+    throw new Error(`${label}: topic '${entry.topic}' may contain at most one *`);
+  }
+  if (wildcards === 1 && entry.table) {
+    throw new Error(`${label}: pattern '${entry.topic}' routes to the table named by *, remove table`);
+  }
+
+  const table = wildcards === 1 ? null : entry.table || entry.topic.slice(entry.topic.lastIndexOf('.') + 1);
+  if (table !== null && !IDENTIFIER.test(table)) {
+    throw new Error(`${label}: invalid table name '${table}'`);
+  }
+
+  if (entry.primaryKey !== undefined &&
+      (!Array.isArray(entry.primaryKey) || entry.primaryKey.length === 0 || !entry.primaryKey.every(col => IDENTIFIER.test(col)))) {
+    throw new Error(`${label}: primaryKey must be a non-empty list of column names`);
+  }
+
+  return {
+    config: entry,
+    topic: entry.topic,
+    table,
+    pattern: wildcards === 1 ? new RegExp(`^${escapeRegExp(entry.topic).replace('*', '([a-z_][a-z0-9_]*)')}$`) : null,
+    primaryKey: entry.primaryKey || null,
+    conflict: entry.conflict || null
+  };
+}
+
+// Validate every route once at startup
+const routes = (syncRoutes.routes || []).map(compileRoute);
+
+/**
+ * Route for a topic: { topic, table, primaryKey, conflict, config }, or null
+ */
+function resolveRoute(topic) {
+  const exact = routes.find(route => !route.pattern && route.topic === topic);
+  if (exact) {
+    return { ...exact };
+  }
+
+  for (const route of routes.filter(r => r.pattern)) {
+    const match = route.pattern.exec(topic);
+    if (match) {
+      return { ...route, topic, table: match[1] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Route that writes to a table (exact routes first, then patterns)
+ */
+function getRouteForTable(tableName) {
+  const exact = routes.find(route => !route.pattern && route.table === tableName);
+  if (exact) {
+    return { ...exact };
+  }
+
+  for (const route of routes.filter(r => r.pattern)) {
+    const topic = route.topic.replace('*', tableName);
+    if (route.pattern.test(topic)) {
+      return { ...route, topic, table: tableName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Topic carrying a table's changes (used when publishing local changes)
+ */
+function getTopicForTable(tableName) {
+  const route = getRouteForTable(tableName);
+  if (!route) {
+    throw new Error(`No sync route for table ${tableName}`);
+  }
+  return route.topic;
+}
+
+/**
+ * Topics and patterns the consumer subscribes to
+ */
+function getSubscriptions() {
+  return routes.map(route => route.pattern || route.topic);
+}
+
+/**
+ * Topics of the exact routes whose table this region receives changes for
+ * (in topology.js): what a Kafka bootstrap replays. Pattern routes have no
+ * fixed topic and are left out.
+ */
+function getInboundTopics() {
+  return routes
+    .filter(route => !route.pattern && getSources(undefined, route.table).length > 0)
+    .map(route => route.topic);
+}
+
+module.exports = {
+  resolveRoute,
+  getRouteForTable,
+  getTopicForTable,
+  getSubscriptions,
+  getInboundTopics
+};
@@ -0,0 +1,242 @@
+const registry = require('../config/schemaRegistry');
+const { nonRetryable } = require('../utils/retry');
+
+// Envelopes produced by our own outbox / file imports already carry JSON-native values
+const NATIVE_CONNECTORS = ['outbox', 'import'];
+
+const INTEGER_TYPES = ['int8', 'int16', 'int32', 'int64'];
+const PRIMITIVE_TYPES = [...INTEGER_TYPES, 'float32', 'float64', 'boolean', 'string', 'bytes', 'array', 'map', 'struct'];
+
+function schemaError(code, message) {
+  const error = nonRetryable(`Schema error: ${message}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Two's complement big-endian bytes (Kafka Connect Decimal) to a BigInt
+ */
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  if (bytes.length > 0 && bytes[0] & 0x80) {
+    value -= 1n << BigInt(bytes.length * 8);
+  }
+  return value;
+}
+
+/**
+ * Unscaled integer + scale to an exact decimal string (e.g. 1999n, 2 -> "19.99")
+ */
+function formatDecimal(unscaled, scale) {
+  const negative = unscaled < 0n;
+  const digits = (negative ? -unscaled : unscaled).toString();
+  if (scale <= 0) {
+    return (negative ? '-' : '') + digits + '0'.repeat(-scale);
+  }
+  const padded = digits.padStart(scale + 1, '0');
+  return `${negative ? '-' : ''}${padded.slice(0, -scale)}.${padded.slice(-scale)}`;
+}
+
+/**
+ * ISO timestamp in UTC (trailing Z), keeping sub-millisecond digits.
+ * Debezium counts from the epoch in UTC; without the Z Postgres would read
+ * the value in the session time zone.
+ */
+function formatTimestamp(ms, extraDigits = '') {
+  return `${new Date(ms).toISOString().slice(0, 23)}${extraDigits}Z`;
+}
+
+/**
+ * Time of day (HH:MM:SS.ffffff) from microseconds past midnight
+ */
+function formatTime(micros) {
+  const totalSeconds = Math.floor(micros / 1000000);
+  const fraction = String(micros % 1000000).padStart(6, '0');
+  const hh = String(Math.floor(totalSeconds / 3600)).padStart(2, '0');
+  const mm = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+  const ss = String(totalSeconds % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}.${fraction}`;
+}
+
+function decodeDecimalBytes(base64, scale) {
+  return formatDecimal(bytesToBigInt(Buffer.from(base64, 'base64')), scale);
+}
+
+// Logical types: the primitive type they are carried in and how to decode them
+const LOGICAL_TYPES = {
+  'io.debezium.time.Date': { type: 'int32', decode: days => new Date(days * 86400000).toISOString().slice(0, 10) },
+  'org.apache.kafka.connect.data.Date': { type: 'int32', decode: days => new Date(days * 86400000).toISOString().slice(0, 10) },
+  'io.debezium.time.Timestamp': { type: 'int64', decode: ms => formatTimestamp(ms) },
+  'org.apache.kafka.connect.data.Timestamp': { type: 'int64', decode: ms => formatTimestamp(ms) },
+  'io.debezium.time.MicroTimestamp': {
+    type: 'int64',
+    decode: micros => formatTimestamp(Math.floor(micros / 1000), String(((micros % 1000) + 1000) % 1000).padStart(3, '0'))
+  },
+  'io.debezium.time.NanoTimestamp': { type: 'int64', decode: nanos => formatTimestamp(Math.floor(nanos / 1000000)) },
+  'io.debezium.time.ZonedTimestamp': { type: 'string', decode: value => value },
+  'io.debezium.time.Time': { type: 'int32', decode: ms => formatTime(ms * 1000) },
+  'io.debezium.time.MicroTime': { type: 'int64', decode: micros => formatTime(micros) },
+  'io.debezium.time.NanoTime': { type: 'int64', decode: nanos => formatTime(Math.floor(nanos / 1000)) },
+  'io.debezium.time.ZonedTime': { type: 'string', decode: value => value },
+  'org.apache.kafka.connect.data.Decimal': {
+    type: 'bytes',
+    decode: (value, field) => decodeDecimalBytes(value, parseInt(field.parameters?.scale) || 0)
+  },
+  'io.debezium.data.VariableScaleDecimal': {
+    type: 'struct',
+    decode: value => decodeDecimalBytes(value.value, value.scale)
+  },
+  'io.debezium.data.Json': { type: 'string', decode: value => value },
+  'io.debezium.data.Uuid': { type: 'string', decode: value => value },
+  'io.debezium.data.Xml': { type: 'string', decode: value => value },
+  'io.debezium.data.Enum': { type: 'string', decode: value => value }
+};
+
+/**
+ * Check a value against its primitive Connect type
+ */
+function matchesType(value, type) {
+  if (INTEGER_TYPES.includes(type)) return Number.isInteger(value);
+  if (type === 'float32' || type === 'float64') return typeof value === 'number';
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (type === 'string' || type === 'bytes') return typeof value === 'string';
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'struct' || type === 'map') return typeof value === 'object' && !Array.isArray(value);
+  return false;
+}
+
+/**
+ * Decode one column by its declared schema; throws on unknown or mismatched types
+ */
+function decodeValue(column, value, field) {
+  if (value === null || value === undefined) {
+    if (field.optional === false) {
+      throw schemaError('schema_mismatch', `${column} is required but was null`);
+    }
+    return null;
+  }
+
+  const logical = field.name ? LOGICAL_TYPES[field.name] : null;
+  if (field.name && !logical) {
+    throw schemaError('unknown_schema', `${column} has unsupported logical type ${field.name}`);
+  }
+  if (logical && logical.type !== field.type) {
+    throw schemaError('schema_mismatch', `${column} declares ${field.name} as ${field.type}, expected ${logical.type}`);
+  }
+  if (!matchesType(value, field.type)) {
+    throw schemaError('schema_mismatch', `${column} is ${typeof value}, schema says ${field.type}`);
+  }
+
+  if (logical) {
+    return logical.decode(value, field);
+  }
+  if (field.type === 'bytes') {
+    return Buffer.from(value, 'base64');
+  }
+  if (field.type === 'struct') {
+    throw schemaError('unknown_schema', `${column} is a struct without a supported logical type`);
+  }
+  return value;
+}
+
+/**
+ * Decode every column of a row. Columns missing from the schema are left
+ * undecoded and collected in `undeclared` (the caller decides whether the
+ * destination can do without them).
+ */
+function decodeRow(row, fields, undeclared = []) {
+  if (!row) return row;
+
+  const decoded = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column.startsWith('_')) {
+      decoded[column] = value;
+      continue;
+    }
+    if (!fields[column]) {
+      if (!undeclared.includes(column)) undeclared.push(column);
+      decoded[column] = value;
+      continue;
+    }
+    decoded[column] = decodeValue(column, value, fields[column]);
+  }
+  return decoded;
+}
+
+/**
+ * Field schemas from a Debezium JSON message that includes its schema section
+ */
+function getEmbeddedFields(schema) {
+  const envelopeFields = schema.fields || [];
+  const rowSchema = envelopeFields.find(f => (f.field === 'after' || f.field === 'before') && f.fields);
+  const columns = rowSchema ? rowSchema.fields : envelopeFields;
+
+  const fields = {};
+  for (const field of columns) {
+    fields[field.field] = field;
+  }
+  return fields;
+}
+
+/**
+ * Decode the before/after images of a sync message by their declared types:
+ * the message's own schema section, else the local registry. Native envelopes
+ * (outbox, file imports) are passed through as is. Returns
+ * { before, after, schemaSource, undeclared }.
+ */
+function decodeEnvelope(tableName, value) {
+  const payload = value.payload || value;
+  const isEnvelope = 'after' in payload || 'op' in payload;
+  const before = isEnvelope ? payload.before || null : null;
+  const after = isEnvelope ? payload.after || null : payload;
+
+  if (NATIVE_CONNECTORS.includes(payload.source?.connector)) {
+    return { before, after, schemaSource: 'native', undeclared: [] };
+  }
+
+  let fields;
+  let schemaSource;
+  if (value.schema) {
+    fields = getEmbeddedFields(value.schema);
+    schemaSource = 'embedded';
+  } else {
+    fields = registry.tables[tableName];
+    schemaSource = 'registry';
+    if (!fields) {
+      throw schemaError('unknown_schema', `no schema for table ${tableName}`);
+    }
+  }
+
+  const undeclared = [];
+  return {
+    before: decodeRow(before, fields, undeclared),
+    after: decodeRow(after, fields, undeclared),
+    schemaSource,
+    undeclared
+  };
+}
+
+// Validate the registry once at startup
+for (const [tableName, fields] of Object.entries(registry.tables)) {
+  for (const [column, field] of Object.entries(fields)) {
+    const logical = field.name ? LOGICAL_TYPES[field.name] : null;
+    if (field.name && !logical) {
+      throw new Error(`Schema registry ${tableName}.${column}: unsupported logical type ${field.name}`);
+    }
+    if (!PRIMITIVE_TYPES.includes(field.type) || (logical && logical.type !== field.type)) {
+      throw new Error(`Schema registry ${tableName}.${column}: invalid type ${field.type}`);
+    }
+  }
+}
+
+module.exports = {
+  schemaError,
+  decodeEnvelope,
+  decodeRow,
+  decodeValue,
+  formatDecimal,
+  LOGICAL_TYPES
+};
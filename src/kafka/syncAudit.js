@@ -0,0 +1,112 @@
+const { pool } = require('../database/dbConnection');
+
+// Rows per multi-row audit insert (19 parameters each, well under Postgres' limit)
+const AUDIT_CHUNK_SIZE = 500;
+
+/**
+ * Persist one resolveConflict decision (pass the transaction client when there is one).
+ * strippedFields lists the dropped columns, privacyActions the action taken on
+ * every column the privacy policy changed ({ email: 'drop', phone: 'hash' }).
+ */
+async function recordAudit(db, entry) {
+  await recordAudits(db, [entry]);
+}
+
+/**
+ * Persist a batch of decisions with multi-row inserts
+ */
+async function recordAudits(db, entries) {
+  for (let start = 0; start < entries.length; start += AUDIT_CHUNK_SIZE) {
+    const params = [];
+    const rows = entries.slice(start, start + AUDIT_CHUNK_SIZE).map(({ topic, partition, offset, result, strippedFields, privacyActions, before, after }) => {
+      params.push(
+        topic,
+        partition ?? null,
+        offset ?? null,
+        result.table,
+        result.recordId !== null ? String(result.recordId) : null,
+        result.operation,
+        result.source,
+        result.destination,
+        result.decision || (result.applied ? 'applied' : 'skipped'),
+        result.strategy,
+        result.reason,
+        result.changedColumns,
+        result.appliedColumns,
+        result.blockedColumns,
+        strippedFields || [],
+        JSON.stringify(privacyActions || {}),
+        JSON.stringify(result.columns || {}),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      );
+      const first = params.length - 18;
+      return `(${Array.from({ length: 19 }, (_, i) => `$${first + i}`).join(', ')})`;
+    });
+
+    await db.query(
+      `INSERT INTO sync_audit
+         (topic, kafka_partition, kafka_offset, table_name, record_id, operation, source, destination,
+          decision, strategy, reason, columns_changed, columns_applied, columns_blocked, stripped_fields,
+          privacy_actions, column_decisions, before_snapshot, after_snapshot)
+       VALUES ${rows.join(', ')}`,
+      params
+    );
+  }
+}
+
+/**
+ * Query the audit log with filters and pagination
+ */
+async function queryAudit({ table, recordId, decision, from, to, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (table) {
+    params.push(table);
+    conditions.push(`table_name = $${params.length}`);
+  }
+  if (recordId) {
+    params.push(String(recordId));
+    conditions.push(`record_id = $${params.length}`);
+  }
+  if (decision) {
+    params.push(decision);
+    conditions.push(`decision = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM sync_audit ${where}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT * FROM sync_audit
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count),
+    entries: result.rows
+  };
+}
+
+module.exports = {
+  recordAudit,
+  recordAudits,
+  queryAudit
+};
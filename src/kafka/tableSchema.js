@@ -0,0 +1,205 @@
+const { pool } = require('../database/dbConnection');
+const { nonRetryable } = require('../utils/retry');
+const { syncMetrics } = require('../utils/syncMetrics');
+const config = require('../config/config');
+
+const INTEGER_TYPES = ['smallint', 'integer', 'bigint'];
+const NUMERIC_TYPES = ['numeric', 'real', 'double precision'];
+const TEMPORAL_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone', 'time without time zone', 'time with time zone'];
+
+// tableName -> { schema, loadedAt }
+const cache = new Map();
+
+/**
+ * Columns and primary key of a destination table from information_schema (cached).
+ * Returns null when the table doesn't exist.
+ */
+async function getTableSchema(tableName, { refresh = false } = {}) {
+  const cached = cache.get(tableName);
+  if (!refresh && cached && Date.now() - cached.loadedAt < config.sync.schemaCacheTtlMs) {
+    return cached.schema;
+  }
+
+  const result = await pool.query(
+    `SELECT column_name, data_type, is_nullable, column_default, character_maximum_length
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+    [tableName]
+  );
+
+  let schema = null;
+  if (result.rows.length > 0) {
+    const primaryKey = await pool.query(
+      `SELECT kcu.column_name
+       FROM information_schema.table_constraints tc
+       JOIN information_schema.key_column_usage kcu
+         ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+       WHERE tc.table_schema = current_schema() AND tc.table_name = $1 AND tc.constraint_type = 'PRIMARY KEY'
+       ORDER BY kcu.ordinal_position`,
+      [tableName]
+    );
+
+    schema = { table: tableName, columns: {}, primaryKey: primaryKey.rows.map(row => row.column_name) };
+    for (const row of result.rows) {
+      schema.columns[row.column_name] = {
+        dataType: row.data_type,
+        nullable: row.is_nullable === 'YES',
+        hasDefault: row.column_default !== null,
+        maxLength: row.character_maximum_length
+      };
+    }
+  }
+
+  cache.set(tableName, { schema, loadedAt: Date.now() });
+  return schema;
+}
+
+/**
+ * Introspected schema of a sync target; unknown tables are rejected (non-retryable)
+ * so names from topics are never interpolated into SQL unchecked
+ */
+async function requireTableSchema(tableName) {
+  const schema = await getTableSchema(tableName);
+  if (!schema) {
+    const error = nonRetryable(`Schema error: destination table ${tableName} does not exist`);
+    error.code = 'unknown_table';
+    throw error;
+  }
+  return schema;
+}
+
+/**
+ * Whether a value can be stored in a column of the given type
+ */
+function fitsColumn(value, column) {
+  if (value === null || value === undefined) return true;
+
+  const type = column.dataType;
+  if (INTEGER_TYPES.includes(type)) {
+    return Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value));
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean' || ['true', 'false', 't', 'f'].includes(String(value));
+  }
+  if (TEMPORAL_TYPES.includes(type) && type.startsWith('time ')) {
+    return typeof value === 'string';
+  }
+  if (TEMPORAL_TYPES.includes(type)) {
+    return value instanceof Date || (typeof value === 'string' && !isNaN(new Date(value).getTime()));
+  }
+  if (column.maxLength && typeof value === 'string') {
+    return value.length <= column.maxLength;
+  }
+  return true;
+}
+
+/**
+ * Fit an incoming row to the destination table:
+ * - columns the table doesn't have are set aside (unknownColumns)
+ * - values the column type can't hold are set aside (mismatchedColumns)
+ * - on insert, NOT NULL columns without a default that the row lacks are
+ *   reported (missingColumns); columns with a default are left to Postgres
+ */
+function fitRow(schema, row, { insert }) {
+  const fitted = {};
+  const unknownColumns = [];
+  const mismatchedColumns = [];
+  const missingColumns = [];
+
+  for (const [col, value] of Object.entries(row)) {
+    const column = schema.columns[col];
+    if (!column) {
+      unknownColumns.push(col);
+    } else if (!fitsColumn(value, column)) {
+      mismatchedColumns.push(col);
+    } else {
+      fitted[col] = value;
+    }
+  }
+
+  if (insert) {
+    for (const [col, column] of Object.entries(schema.columns)) {
+      if (!(col in fitted) && !column.nullable && !column.hasDefault) {
+        missingColumns.push(col);
+      }
+    }
+  }
+
+  return { row: fitted, unknownColumns, mismatchedColumns, missingColumns };
+}
+
+/**
+ * Record drift found by fitRow (counter, drift table, parked values).
+ * Call with the client of the write's transaction.
+ */
+async function recordSchemaDrift(db, { tableName, recordId, row, fit }) {
+  const drift = [
+    ...fit.unknownColumns.map(col => ({ col, kind: 'unknown_column', detail: `not in ${tableName}` })),
+    ...fit.mismatchedColumns.map(col => ({ col, kind: 'type_mismatch', detail: `value ${JSON.stringify(row[col])} does not fit` }))
+  ];
+
+  for (const { col, kind, detail } of drift) {
+    console.warn(`🧬 SCHEMA DRIFT: ${tableName}.${col} ${kind} (${detail})`);
+    syncMetrics.recordSchemaDrift(tableName, col, kind);
+
+    await db.query(
+      `INSERT INTO sync_schema_drift (table_name, column_name, kind, detail)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (table_name, column_name, kind) DO UPDATE SET
+         detail = EXCLUDED.detail,
+         occurrences = sync_schema_drift.occurrences + 1,
+         last_seen = NOW()`,
+      [tableName, col, kind, detail]
+    );
+  }
+
+  // Keep values we couldn't write so they can be backfilled once the schema catches up
+  if (config.sync.unknownColumns === 'park') {
+    for (const col of [...fit.unknownColumns, ...fit.mismatchedColumns]) {
+      await db.query(
+        `INSERT INTO sync_parked_columns (table_name, record_id, column_name, value)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (table_name, record_id, column_name) DO UPDATE SET
+           value = EXCLUDED.value,
+           parked_at = NOW()`,
+        [tableName, String(recordId), col, JSON.stringify(row[col] ?? null)]
+      );
+    }
+  }
+}
+
+/**
+ * Drift report for the admin endpoint (optionally for one table)
+ */
+async function getSchemaDriftReport(tableName) {
+  const params = tableName ? [tableName] : [];
+  const where = tableName ? 'WHERE table_name = $1' : '';
+
+  const drift = await pool.query(
+    `SELECT table_name, column_name, kind, detail, occurrences, first_seen, last_seen
+     FROM sync_schema_drift ${where}
+     ORDER BY last_seen DESC`,
+    params
+  );
+  const parked = await pool.query(
+    `SELECT table_name, column_name, COUNT(*)::int AS records, MAX(parked_at) AS last_parked
+     FROM sync_parked_columns ${where}
+     GROUP BY table_name, column_name
+     ORDER BY table_name, column_name`,
+    params
+  );
+
+  return { drift: drift.rows, parked: parked.rows };
+}
+
+module.exports = {
+  getTableSchema,
+  requireTableSchema,
+  fitRow,
+  recordSchemaDrift,
+  getSchemaDriftReport
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { ConsoleTransport, FileTransport } = require('./transports');
+const { SmtpTransport } = require('./smtpTransport');
+const config = require('../config/config');
+
+/**
+ * Transport for MAIL_TRANSPORT (console, file or smtp)
+ */
+function createTransport(mailConfig = config.mail) {
+  switch (mailConfig.transport) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport({ dir: mailConfig.fileDir });
+    case 'smtp':
+      return new SmtpTransport(mailConfig.smtp);
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${mailConfig.transport}' (use console, file or smtp)`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Header value, RFC 2047-encoded when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(text).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Complete RFC 5322 message: text and (optional) HTML alternatives
+ */
+function buildMessage({ from, to, subject, text, html }) {
+  const domain = (/@([^>\s]+)/.exec(from) || [null, 'localhost'])[1];
+  const headers = [
+    `From: ${encodeHeader(from)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Body(text)
+    ].join('\r\n');
+  }
+
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Send one message from MAIL_FROM: { to, subject, text, html? }
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (/[\r\n]/.test(to) || /[\r\n]/.test(subject)) {
+    throw new Error('Mail recipient and subject must be single lines');
+  }
+  const message = { from: config.mail.from, to, subject, text, html };
+  message.raw = buildMessage(message);
+
+  const mailTransport = getTransport();
+  await mailTransport.send(message);
+  console.log(`📧 Sent "${subject}" to ${to} (${mailTransport.name})`);
+}
+
+module.exports = {
+  createTransport,
+  buildMessage,
+  sendMail
+};
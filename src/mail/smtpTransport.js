@@ -0,0 +1,147 @@
+// Minimal SMTP client (RFC 5321): one connection per message, STARTTLS when the
+// server offers it, AUTH PLAIN when credentials are configured
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Bare address of "Name <user@host>" or "user@host"
+ */
+function envelopeAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return (match ? match[1] : address).trim();
+}
+
+/**
+ * Reads SMTP replies (multi-line "250-..." up to "250 ...") off a socket
+ */
+class ReplyReader {
+  constructor(socket) {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    socket.on('data', chunk => {
+      this.buffer += chunk.toString('utf8');
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    const last = this.lines.findIndex(line => /^\d{3}( |$)/.test(line));
+    if (last === -1) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: parseInt(lines[last].slice(0, 3)), lines: lines.map(line => line.slice(4)) });
+  }
+
+  next() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+}
+
+class SmtpTransport {
+  constructor({ host, port, secure, user, password, timeoutMs }) {
+    this.name = 'smtp';
+    this.options = { host, port, secure, user, password, timeoutMs };
+  }
+
+  connect() {
+    const { host, port, secure, timeoutMs } = this.options;
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+        : net.connect({ host, port }, () => resolve(socket));
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+      socket.once('error', reject);
+    });
+  }
+
+  upgrade(socket) {
+    const { host, timeoutMs } = this.options;
+    return new Promise((resolve, reject) => {
+      const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+      secured.setTimeout(timeoutMs, () => secured.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+      secured.once('error', reject);
+    });
+  }
+
+  async send(message) {
+    let socket = await this.connect();
+    let reader = new ReplyReader(socket);
+
+    const command = async (line, expected, label = line.split(' ')[0]) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220], 'greeting');
+      const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!this.options.secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        socket = await this.upgrade(socket);
+        reader = new ReplyReader(socket);
+        await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (this.options.user) {
+        const credentials = Buffer.from(`\0${this.options.user}\0${this.options.password}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250], 'MAIL FROM');
+      await command(`RCPT TO:<${envelopeAddress(message.to)}>`, [250, 251], 'RCPT TO');
+      await command('DATA', [354]);
+
+      // Dot-stuffing: lines starting with "." get a second one
+      const body = message.raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await command(`${body}${body.endsWith('\r\n') ? '' : '\r\n'}.`, [250], 'message');
+
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      socket.end();
+    }
+  }
+}
+
+module.exports = {
+  SmtpTransport
+};
@@ -0,0 +1,44 @@
+// Local mail transports for development: every transport implements
+// send(message), where message is { from, to, subject, text, html, raw }
+// and raw is the complete RFC 5322 message
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Print mail to the console instead of sending it
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 [console mail] To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+  }
+}
+
+/**
+ * Write each message as an .eml file (opens in any mail client)
+ */
+class FileTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const recipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(this.dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+    await fs.promises.writeFile(file, message.raw);
+    console.log(`📧 [file mail] ${message.subject} → ${file}`);
+  }
+}
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport
+};
@@ -1,15 +1,90 @@
 const express = require('express');
 const { pool } = require('../database/dbConnection');
 const { hashPassword, comparePassword, validatePasswordStrength } = require('../auth/passwordUtils');
-const { generateAccessToken, generateRefreshToken, verifyToken } = require('../auth/jwtUtils');
 const { authenticateJWT } = require('../auth/authMiddleware');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  denyAccessToken,
+  pruneAuthData
+} = require('../auth/sessionStore');
+const { checkLoginAllowed, recordLoginFailure } = require('../auth/loginGuard');
+const { generateChallengeToken } = require('../auth/jwtUtils');
+const { twoFactorStatus } = require('../auth/twoFactor');
+const { getRolePermissions } = require('../auth/permissions');
+const {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  issueAccountToken,
+  consumeAccountToken,
+  hasRecentAccountToken
+} = require('../auth/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../auth/accountEmails');
+const { recordAuthEvent } = require('../auth/authEvents');
+const { sleep } = require('../utils/retry');
+const { getRegion } = require('../utils/topology');
 const config = require('../config/config');
 
 const router = express.Router();
 
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Device metadata stored with a session
+ */
+function clientInfo(req) {
+  return { userAgent: req.get('User-Agent'), ip: req.ip };
+}
+
+/**
+ * Mail a fresh verification link (failures are logged, not surfaced)
+ */
+async function startEmailVerification(user, ip) {
+  try {
+    const token = await issueAccountToken(pool, {
+      userId: user.id,
+      purpose: EMAIL_VERIFICATION,
+      email: user.email,
+      ip,
+      ttlMs: config.accounts.verificationTokenHours * 60 * 60 * 1000
+    });
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to user ${user.id}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Active user by email (case-insensitive)
+ */
+async function findUserByEmail(email) {
+  if (typeof email !== 'string' || !email.trim()) return null;
+  const result = await pool.query(
+    'SELECT * FROM users WHERE LOWER(email) = LOWER($1) AND is_active = true',
+    [email.trim()]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Count a failed login and answer it after the progressive delay
+ */
+async function rejectLogin(req, res, user, username) {
+  const delay = await recordLoginFailure({ user, username, ip: req.ip });
+  await sleep(delay);
+  return res.status(401).json({ error: 'Invalid credentials' });
+}
+
 /**
  * POST /api/auth/login
- * Login user and return JWT token
+ * Login user and return JWT token. Repeated failures are slowed down and lock
+ * the account / IP for a while (429 with Retry-After). Users with 2FA get a
+ * challenge token instead, to exchange at POST /api/auth/2fa/verify.
  */
 router.post('/login', async (req, res) => {
   try {
@@ -25,16 +100,27 @@ router.post('/login', async (req, res) => {
       [username]
     );
     
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const user = result.rows[0] || null;
+
+    // 🔐 Locked account or blocked IP: refuse before checking the password
+    const guard = await checkLoginAllowed({ user, ip: req.ip });
+    if (!guard.allowed) {
+      console.log(`🔐 Login refused for ${username} from ${req.ip}: ${guard.reason}`);
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Try again later.',
+        retryAfter: guard.retryAfter
+      });
     }
     
-    const user = result.rows[0];
+    if (!user) {
+      return rejectLogin(req, res, null, username);
+    }
     
     // Check if password hash exists
     if (!user.password_hash) {
       return res.status(401).json({ 
-        error: 'Account not setup. Please contact administrator to set password.' 
+        error: 'Account not set up yet. Use "Forgot password" to choose a password.' 
       });
     }
     
@@ -42,25 +128,48 @@ router.post('/login', async (req, res) => {
     const validPassword = await comparePassword(password, user.password_hash);
     
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, user, username);
+    }
+
+    // Registration isn't complete until the email address is confirmed
+    if (config.accounts.requireEmailVerification && !user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'email_not_verified'
+      });
+    }
+
+    // 🔐 Second factor: no session until a code is verified
+    const twoFactor = twoFactorStatus(user);
+    if (twoFactor.enabled) {
+      console.log(`🔐 Password accepted for ${username}, waiting for 2FA code`);
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        challengeToken: generateChallengeToken(user, config.region)
+      });
     }
     
-    // Generate tokens
-    const accessToken = generateAccessToken(user, config.region);
-    const refreshToken = generateRefreshToken(user, config.region);
+    // Start a server-side session (refresh token stored hashed)
+    const { accessToken, refreshToken } = await createSession(user, config.region, clientInfo(req));
     
-    // Update last login
+    // Update last login and clear failed attempts
     await pool.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      'UPDATE users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
       [user.id]
     );
     
     console.log(`✅ User logged in: ${username} (region: ${config.region})`);
+
+    // Housekeeping of expired denylist entries and old sessions
+    pruneAuthData().catch(error => console.error('Failed to prune sessions:', error.message));
     
     res.json({
       success: true,
       accessToken,
       refreshToken,
+      // required = role-protected routes refuse this session until 2FA is set up
+      twoFactor,
       user: {
         id: user.id,
         username: user.username,
@@ -78,7 +187,8 @@ router.post('/login', async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh access token using refresh token
+ * Exchange a refresh token for a new access + refresh token pair. Each refresh
+ * token works once; replaying a used one revokes its session.
  */
 router.post('/refresh', async (req, res) => {
   try {
@@ -88,41 +198,22 @@ router.post('/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Refresh token required' });
     }
     
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(403).json({ error: 'Invalid refresh token' });
-    }
-    
-    // Get user from database
-    const result = await pool.query(
-      'SELECT * FROM users WHERE id = $1 AND is_active = true',
-      [decoded.user_id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'User not found or inactive' });
-    }
-    
-    const user = result.rows[0];
-    
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user, config.region);
+    const tokens = await rotateRefreshToken(refreshToken, config.region, clientInfo(req));
     
     res.json({
       success: true,
-      accessToken: newAccessToken
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
-    console.error('Refresh token error:', error);
-    res.status(403).json({ error: 'Invalid or expired refresh token' });
+    console.error('Refresh token error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to refresh token' });
   }
 });
 
 /**
  * GET /api/auth/me
- * Get current user info
+ * Get current user info and the permissions of their role
  */
 router.get('/me', authenticateJWT, async (req, res) => {
   try {
@@ -137,7 +228,8 @@ router.get('/me', authenticateJWT, async (req, res) => {
     
     res.json({
       success: true,
-      user: result.rows[0]
+      user: result.rows[0],
+      permissions: [...await getRolePermissions(result.rows[0].role)].sort()
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -147,17 +239,67 @@ router.get('/me', authenticateJWT, async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (client-side token removal)
+ * Logout: revoke this session (its refresh token) and deny the access token
  */
 router.post('/logout', authenticateJWT, async (req, res) => {
-  // In a more advanced implementation, you could blacklist the token
-  // For now, client just removes the token
-  console.log(`✅ User logged out: ${req.user.username}`);
-  
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.user_id, req.user.sid, 'logout');
+    }
+    await denyAccessToken(req.user, 'logout');
+
+    console.log(`✅ User logged out: ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * The current user's active sessions (devices)
+ */
+router.get('/sessions', authenticateJWT, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.user_id);
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the current user's sessions (e.g. another device)
+ */
+router.delete('/sessions/:id', authenticateJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!SESSION_ID.test(id) || !(await revokeSession(req.user.user_id, id, 'signed_out'))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    console.log(`✅ Session ${id} revoked by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
 });
 
 /**
@@ -190,8 +332,8 @@ router.post('/change-password', authenticateJWT, async (req, res) => {
     
     const user = result.rows[0];
     
-    // Verify current password
-    const validPassword = await comparePassword(currentPassword, user.password_hash);
+    // Verify current password (accounts without one set it through "Forgot password")
+    const validPassword = Boolean(user.password_hash) && await comparePassword(currentPassword, user.password_hash);
     
     if (!validPassword) {
       return res.status(401).json({ error: 'Current password incorrect' });
@@ -200,17 +342,33 @@ router.post('/change-password', authenticateJWT, async (req, res) => {
     // Hash new password
     const newHash = await hashPassword(newPassword);
     
-    // Update password
-    await pool.query(
-      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-      [newHash, user.id]
-    );
+    // Update password, sign out every session and start a fresh one for this device
+    const client = await pool.connect();
+    let tokens;
+    let revoked;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [newHash, user.id]
+      );
+      revoked = await revokeUserSessions(user.id, 'password_change', client);
+      tokens = await createSession(user, config.region, clientInfo(req), client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     
-    console.log(`✅ Password changed for user: ${user.username}`);
+    console.log(`✅ Password changed for user: ${user.username} (${revoked} session(s) signed out)`);
     
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -218,6 +376,173 @@ router.post('/change-password', authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification link
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const token = await consumeAccountToken(client, req.body.token, EMAIL_VERIFICATION);
+      // The link only verifies the address it was sent to
+      const result = token && await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1 AND email = $2
+         RETURNING id, username`,
+        [token.user_id, token.email]
+      );
+      user = result && result.rows[0];
+      if (user) {
+        await recordAuthEvent(client, { eventType: 'email_verified', userId: user.id, username: user.username, ip: req.ip });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+    
+    console.log(`✅ Email verified for user: ${user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Email verified. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Mail a new verification link (same answer whether or not the email is known)
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const user = await findUserByEmail(req.body.email);
+    
+    if (user && !user.email_verified_at && !(await hasRecentAccountToken(user.id, EMAIL_VERIFICATION))) {
+      await startEmailVerification(user, req.ip);
+    }
+    
+    res.json({
+      success: true,
+      message: 'If that address belongs to an unverified account, a new verification link is on its way.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Mail a password reset link (same answer whether or not the email is known)
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const user = await findUserByEmail(req.body.email);
+    
+    if (user && !(await hasRecentAccountToken(user.id, PASSWORD_RESET))) {
+      const token = await issueAccountToken(pool, {
+        userId: user.id,
+        purpose: PASSWORD_RESET,
+        email: user.email,
+        ip: req.ip,
+        ttlMs: config.accounts.resetTokenMinutes * 60 * 1000
+      });
+      await recordAuthEvent(pool, { eventType: 'password_reset_requested', userId: user.id, username: user.username, ip: req.ip });
+      
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error(`❌ Failed to send password reset email to user ${user.id}:`, error.message);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'If that address belongs to an account, a password reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset link; signs out every session
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password required' });
+    }
+    
+    const validation = validatePasswordStrength(newPassword);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    const newHash = await hashPassword(newPassword);
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const resetToken = await consumeAccountToken(client, token, PASSWORD_RESET);
+      // Proving access to the address also verifies it (if it hasn't changed),
+      // and clears any lockout
+      const result = resetToken && await client.query(
+        `UPDATE users SET
+           password_hash = $2,
+           failed_login_attempts = 0,
+           locked_until = NULL,
+           email_verified_at = CASE WHEN email = $3 THEN COALESCE(email_verified_at, NOW()) ELSE email_verified_at END
+         WHERE id = $1 AND is_active = true
+         RETURNING id, username`,
+        [resetToken.user_id, newHash, resetToken.email]
+      );
+      user = result && result.rows[0];
+      if (user) {
+        await revokeUserSessions(user.id, 'password_reset', client);
+        await recordAuthEvent(client, { eventType: 'password_reset', userId: user.id, username: user.username, ip: req.ip });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    console.log(`✅ Password reset for user: ${user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Password updated. You can now log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -225,6 +550,7 @@ router.post('/change-password', authenticateJWT, async (req, res) => {
 router.post('/register', async (req, res) => {
   try {
     const { username, password, full_name, email, phone, role } = req.body;
+    const userRole = config.permissions.defaultRole;
     
     // Validation
     if (!username || !password || !full_name || !email) {
@@ -234,6 +560,11 @@ router.post('/register', async (req, res) => {
     if (password.length < 6) {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
+
+    // Other roles are assigned by an admin (PUT /api/users/:id/role)
+    if (role && role !== userRole) {
+      return res.status(403).json({ error: `New accounts start as ${userRole}; an admin can assign other roles` });
+    }
     
     // Check if username or email already exists
     const existingUser = await pool.query(
@@ -248,28 +579,44 @@ router.post('/register', async (req, res) => {
     // Hash password
     const password_hash = await hashPassword(password);
     
-    // Set default role if not provided (manufacturer for China)
-    const userRole = role || 'manufacturer';
-    
-    // Insert new user
+    // Insert new user (email unverified until the emailed link is opened)
     const result = await pool.query(
       `INSERT INTO users (username, password_hash, full_name, email, phone, role, country, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6, 'China', true)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, true)
        RETURNING id, username, full_name, email, phone, role, country, created_at`,
-      [username, password_hash, full_name, email, phone, userRole]
+      [username, password_hash, full_name, email, phone, userRole, getRegion().country]
     );
     
     const user = result.rows[0];
+    const emailSent = await startEmailVerification(user, req.ip);
     
-    // Generate JWT tokens
-    const accessToken = generateAccessToken(user, config.region);
-    const refreshToken = generateRefreshToken(user, config.region);
+    console.log(`✅ New user registered: ${username} (${userRole}) in ${getRegion().name}`);
+
+    if (config.accounts.requireEmailVerification) {
+      // No session until the email is verified
+      return res.status(201).json({
+        success: true,
+        verificationRequired: true,
+        message: emailSent
+          ? `Registration successful! We sent a verification link to ${user.email}.`
+          : 'Registration successful, but the verification email could not be sent. Request a new link from the verify email page.',
+        user: {
+          id: user.id,
+          username: user.username,
+          full_name: user.full_name,
+          email: user.email,
+          role: user.role,
+          region: config.region
+        }
+      });
+    }
     
-    console.log(`✅ New user registered: ${username} (${userRole}) in China`);
+    // Start a session for the new user
+    const { accessToken, refreshToken } = await createSession(user, config.region, clientInfo(req));
     
     res.status(201).json({
       success: true,
-      message: 'Registration successful! Welcome to China Store.',
+      message: `Registration successful! Welcome to ${getRegion().name} Store.`,
       accessToken,
       refreshToken,
       user: {
@@ -279,7 +626,7 @@ router.post('/register', async (req, res) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
-        region: 'china'
+        region: config.region
       }
     });
   } catch (error) {
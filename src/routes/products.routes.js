@@ -1,19 +1,48 @@
 const express = require('express');
 const { pool } = require('../database/dbConnection');
-const { authenticateJWT, requireRole } = require('../auth/authMiddleware');
+const { authenticateJWT, requirePermission } = require('../auth/authMiddleware');
+const { PERMISSIONS, hasPermission } = require('../auth/permissions');
 const { validateApiKey } = require('../auth/apiKeyMiddleware');
+const { recordColumnWriters } = require('../kafka/fieldMerge');
+const { enqueueChange } = require('../kafka/outbox');
+const { getRegion } = require('../utils/topology');
+const config = require('../config/config');
 
 const router = express.Router();
 
+/**
+ * ETag of a product: its row version
+ */
+function versionTag(product) {
+  return `"${product.version}"`;
+}
+
+/**
+ * Version the client last saw, from If-Match ("3", W/"3") or the body's
+ * version. null = no check (no precondition, or If-Match: *); NaN = malformed.
+ */
+function expectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch !== undefined) {
+    if (ifMatch.trim() === '*') return null;
+    const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(ifMatch);
+    return match ? parseInt(match[1]) : NaN;
+  }
+  if (req.body.version !== undefined && req.body.version !== null) {
+    return /^\d+$/.test(String(req.body.version)) ? parseInt(req.body.version) : NaN;
+  }
+  return null;
+}
+
 /**
  * GET /api/products
- * Get all products (created in China)
+ * Get all products (local and synced)
  */
-router.get('/', authenticateJWT, async (req, res) => {
+router.get('/', authenticateJWT, requirePermission(PERMISSIONS.PRODUCTS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT p.id, p.product_name, p.description, p.price, p.stock_quantity, p.category, 
-              p.manufacturer_country, p.created_by_user_id, p.sync_source, p.updated_at,
+              p.manufacturer_country, p.created_by_user_id, p.sync_source, p.version, p.updated_at,
               u.username as creator_username, u.full_name as creator_name
        FROM products p
        LEFT JOIN users u ON p.created_by_user_id = u.id
@@ -22,7 +51,7 @@ router.get('/', authenticateJWT, async (req, res) => {
     
     res.json({ 
       success: true,
-      region: 'china',
+      region: config.region,
       products: result.rows 
     });
   } catch (error) {
@@ -33,73 +62,149 @@ router.get('/', authenticateJWT, async (req, res) => {
 
 /**
  * POST /api/products
- * Create a new product (China only)
+ * Create a new product in this region. The creator is the caller unless they
+ * may edit any product (products:write:any) and pass created_by_user_id.
  */
-router.post('/', authenticateJWT, requireRole('manufacturer', 'manager', 'admin'), async (req, res) => {
+router.post('/', authenticateJWT, requirePermission(PERMISSIONS.PRODUCTS_WRITE), async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { product_name, description, price, stock_quantity, category, created_by_user_id } = req.body;
+    const { product_name, description, price, stock_quantity, category } = req.body;
+    const canWriteAny = await hasPermission(req.user, PERMISSIONS.PRODUCTS_WRITE_ANY);
+    const created_by_user_id = canWriteAny && req.body.created_by_user_id
+      ? req.body.created_by_user_id
+      : req.user.user_id;
     
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const result = await client.query(
       `INSERT INTO products (product_name, description, price, stock_quantity, category, manufacturer_country, created_by_user_id, sync_source) 
-       VALUES ($1, $2, $3, $4, $5, 'China', $6, 'china') 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
        RETURNING *`,
-      [product_name, description, price, stock_quantity, category, created_by_user_id]
+      [product_name, description, price, stock_quantity, category, getRegion().country, created_by_user_id, config.region]
     );
     
+    // Publish to the other regions through the outbox (same transaction as the insert)
+    await enqueueChange(client, {
+      tableName: 'products',
+      operation: 'c',
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
     console.log(`✅ Product created: ${product_name} (ID: ${result.rows[0].id})`);
     
+    res.set('ETag', versionTag(result.rows[0]));
     res.json({ 
       success: true, 
       product: result.rows[0] 
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error creating product:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * PUT /api/products/:id
- * Update product (China only)
+ * Update a product in this region. Send the version you edited (If-Match: "<version>"
+ * or body.version) to get 409 instead of overwriting a newer change.
+ * Without products:write:any only products you created can be edited.
  */
-router.put('/:id', authenticateJWT, requireRole('manufacturer', 'manager', 'admin'), async (req, res) => {
+router.put('/:id', authenticateJWT, requirePermission(PERMISSIONS.PRODUCTS_WRITE), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
     const { product_name, description, price, stock_quantity, category } = req.body;
+    const expected = expectedVersion(req);
+    if (Number.isNaN(expected)) {
+      return res.status(400).json({ error: 'If-Match / version must be a product version number' });
+    }
     
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const before = await client.query(
+      'SELECT * FROM products WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const current = before.rows[0];
+    if (current.created_by_user_id !== req.user.user_id && !(await hasPermission(req.user, PERMISSIONS.PRODUCTS_WRITE_ANY))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You can only edit products you created', code: 'permission_denied' });
+    }
+
+    // Optimistic concurrency: refuse edits made against an older version
+    if (expected !== null && Number(current.version) !== expected) {
+      await client.query('ROLLBACK');
+      console.log(`⚠️  Stale product update rejected: ID ${id} is at version ${current.version}, client sent ${expected}`);
+      res.set('ETag', versionTag(current));
+      return res.status(409).json({
+        error: 'Product was changed since you loaded it',
+        currentVersion: current.version,
+        product: current
+      });
+    }
+
+    // version, updated_at and source_updated_at are maintained by the row version trigger
+    const result = await client.query(
       `UPDATE products 
        SET product_name = COALESCE($1, product_name),
            description = COALESCE($2, description),
            price = COALESCE($3, price),
            stock_quantity = COALESCE($4, stock_quantity),
-           category = COALESCE($5, category),
-           updated_at = NOW()
+           category = COALESCE($5, category)
        WHERE id = $6
        RETURNING *`,
       [product_name, description, price, stock_quantity, category, id]
     );
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    
-    console.log(`✅ Product updated: ${result.rows[0].product_name} (ID: ${id})`);
+    // Track this region as last writer of the columns it changed (field-level merge)
+    const changedColumns = Object.entries({ product_name, description, price, stock_quantity, category })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([column]) => column);
+    await recordColumnWriters(client, 'products', id, changedColumns, config.region, result.rows[0].updated_at);
+
+    // Publish to the other regions through the outbox (same transaction as the update)
+    await enqueueChange(client, {
+      tableName: 'products',
+      operation: 'u',
+      before: before.rows[0],
+      after: result.rows[0]
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Product updated: ${result.rows[0].product_name} (ID: ${id}, version ${result.rows[0].version})`);
     
+    res.set('ETag', versionTag(result.rows[0]));
     res.json({ 
       success: true, 
       product: result.rows[0] 
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error updating product:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
 /**
  * GET /api/admin/products (Admin access)
  */
-router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
+router.get('/admin', validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.PRODUCTS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT * FROM products ORDER BY id DESC LIMIT 200`
@@ -107,7 +212,7 @@ router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
     
     res.json({ 
       success: true,
-      region: 'china',
+      region: config.region,
       products: result.rows 
     });
   } catch (error) {
@@ -0,0 +1,122 @@
+const express = require('express');
+const { validateApiKey } = require('../auth/apiKeyMiddleware');
+const {
+  getHashColumns,
+  computeBucketHashes,
+  computeRowHashes,
+  fetchRows
+} = require('../kafka/reconciler');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// Peer API: backend-to-backend only
+router.use(validateApiKey);
+
+// Only configured tables can be hashed or read
+router.param('table', (req, res, next, table) => {
+  try {
+    getHashColumns(table);
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Bucket size from the query (the configured one when absent); NaN unless a positive integer
+ */
+function getBucketSize(req) {
+  if (req.query.bucketSize === undefined) {
+    return config.reconciliation.bucketSize;
+  }
+  return /^\d+$/.test(String(req.query.bucketSize)) && parseInt(req.query.bucketSize) > 0
+    ? parseInt(req.query.bucketSize)
+    : NaN;
+}
+
+router.param('bucket', (req, res, next, bucket) => {
+  if (!/^\d+$/.test(bucket)) {
+    return res.status(400).json({ error: 'bucket must be a non-negative integer' });
+  }
+  next();
+});
+
+/**
+ * GET /api/reconcile/:table/buckets
+ * Row hashes aggregated per id bucket (synced columns only, no private fields)
+ */
+router.get('/:table/buckets', async (req, res) => {
+  try {
+    const bucketSize = getBucketSize(req);
+    if (Number.isNaN(bucketSize)) {
+      return res.status(400).json({ error: 'bucketSize must be a positive integer' });
+    }
+    const buckets = await computeBucketHashes(req.params.table, bucketSize);
+
+    res.json({
+      success: true,
+      region: config.region,
+      table: req.params.table,
+      bucketSize,
+      buckets
+    });
+  } catch (error) {
+    console.error('Error computing bucket hashes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/reconcile/:table/buckets/:bucket
+ * Per-row hashes inside one bucket
+ */
+router.get('/:table/buckets/:bucket', async (req, res) => {
+  try {
+    const bucketSize = getBucketSize(req);
+    if (Number.isNaN(bucketSize)) {
+      return res.status(400).json({ error: 'bucketSize must be a positive integer' });
+    }
+    const rows = await computeRowHashes(req.params.table, parseInt(req.params.bucket), bucketSize);
+
+    res.json({
+      success: true,
+      region: config.region,
+      table: req.params.table,
+      bucket: parseInt(req.params.bucket),
+      rows
+    });
+  } catch (error) {
+    console.error('Error computing row hashes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/reconcile/:table/rows
+ * Synced columns of the requested ids (used to repair drift)
+ * Body: { ids: [...] }
+ */
+router.post('/:table/rows', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500) {
+      return res.status(400).json({ error: 'ids must be an array of 1-500 ids' });
+    }
+
+    const rows = await fetchRows(req.params.table, ids);
+
+    res.json({
+      success: true,
+      region: config.region,
+      table: req.params.table,
+      rows
+    });
+  } catch (error) {
+    console.error('Error fetching rows for reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
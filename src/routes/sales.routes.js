@@ -1,15 +1,17 @@
 const express = require('express');
 const { pool } = require('../database/dbConnection');
-const { authenticateJWT } = require('../auth/authMiddleware');
+const { authenticateJWT, requirePermission } = require('../auth/authMiddleware');
 const { validateApiKey } = require('../auth/apiKeyMiddleware');
+const { PERMISSIONS } = require('../auth/permissions');
+const config = require('../config/config');
 
 const router = express.Router();
 
 /**
  * GET /api/sales
- * Get all sales (synced from India)
+ * Get all sales (local and synced)
  */
-router.get('/', authenticateJWT, async (req, res) => {
+router.get('/', authenticateJWT, requirePermission(PERMISSIONS.SALES_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT s.id, s.sale_date, s.product_id, s.product_name, s.quantity, s.unit_price,
@@ -20,7 +22,7 @@ router.get('/', authenticateJWT, async (req, res) => {
     
     res.json({ 
       success: true,
-      region: 'china',
+      region: config.region,
       sales: result.rows 
     });
   } catch (error) {
@@ -32,7 +34,7 @@ router.get('/', authenticateJWT, async (req, res) => {
 /**
  * GET /api/admin/sales (Admin access)
  */
-router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
+router.get('/admin', validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.SALES_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT * FROM sales ORDER BY id DESC LIMIT 200`
@@ -40,7 +42,7 @@ router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
     
     res.json({ 
       success: true,
-      region: 'china',
+      region: config.region,
       sales: result.rows 
     });
   } catch (error) {
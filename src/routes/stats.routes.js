@@ -1,15 +1,32 @@
 const express = require('express');
 const { pool } = require('../database/dbConnection');
-const { authenticateJWT } = require('../auth/authMiddleware');
+const { authenticateJWT, requirePermission } = require('../auth/authMiddleware');
+const { PERMISSIONS } = require('../auth/permissions');
 const { syncMetrics } = require('../utils/syncMetrics');
+const { queryAudit } = require('../kafka/syncAudit');
+const { metricsRollup } = require('../utils/metricsRollup');
+const { getSources } = require('../utils/topology');
+const { getConsumerStatus } = require('../kafka/consumer');
+const { consumerSupervisor } = require('../kafka/consumerSupervisor');
+const config = require('../config/config');
 
 const router = express.Router();
 
+const WINDOW_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a window like '30m', '6h' or '7d' into milliseconds
+ */
+function parseWindow(window) {
+  const match = /^(\d+)([mhd])$/.exec(window || '');
+  return match ? parseInt(match[1]) * WINDOW_UNITS[match[2]] : null;
+}
+
 /**
  * GET /api/stats
- * Get statistics for China region
+ * Get statistics for this region
  */
-router.get('/', authenticateJWT, async (req, res) => {
+router.get('/', authenticateJWT, requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
   try {
     const usersCount = await pool.query('SELECT COUNT(*) FROM users WHERE is_active = true');
     const productsCount = await pool.query('SELECT COUNT(*) FROM products');
@@ -18,7 +35,7 @@ router.get('/', authenticateJWT, async (req, res) => {
     
     res.json({
       success: true,
-      region: 'china',
+      region: config.region,
       users: {
         count: parseInt(usersCount.rows[0].count)
       },
@@ -38,16 +55,51 @@ router.get('/', authenticateJWT, async (req, res) => {
 
 /**
  * GET /api/sync-stats
- * Get sync metrics for China (receives from India)
+ * Get sync metrics for everything this region receives, overall and per source
+ * Query: window (e.g. 1h, 24h, 7d) for percentiles over persisted rollups,
+ *        source (e.g. india) to narrow the history to one source region
  */
-router.get('/sync', authenticateJWT, async (req, res) => {
+router.get('/sync', authenticateJWT, requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
   try {
-    const stats = syncMetrics.getChinaStats();
+    const stats = syncMetrics.getInboundStats(config.region, getSources());
+    let history = null;
+
+    if (req.query.window) {
+      const windowMs = parseWindow(req.query.window);
+      if (!windowMs) {
+        return res.status(400).json({ error: 'Invalid window. Use e.g. 30m, 24h or 7d' });
+      }
+      if (!metricsRollup.enabled) {
+        return res.status(400).json({ error: 'Metrics rollup persistence is disabled' });
+      }
+
+      await metricsRollup.flush();
+      history = {
+        window: req.query.window,
+        ...(await metricsRollup.getSummary({
+          since: new Date(Date.now() - windowMs),
+          source: req.query.source,
+          destination: config.region,
+          table: req.query.table
+        }))
+      };
+    }
+
+    const consumer = getConsumerStatus();
+
     res.json({
       success: true,
-      region: 'china',
-      receives_from: 'india',
-      ...stats
+      region: config.region,
+      ...stats,
+      history,
+      // Whether sync is actually running, and when it reconnects if not
+      consumer: {
+        running: consumer.running,
+        connected: consumer.connected,
+        lastBatchAt: consumer.lastBatchAt,
+        lastError: consumer.lastError,
+        supervisor: consumerSupervisor.getStatus()
+      }
     });
   } catch (error) {
     console.error('Error getting sync stats:', error);
@@ -55,5 +107,50 @@ router.get('/sync', authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/sync/audit
+ * Sync decision audit log
+ * Query: table, record_id, decision (applied|skipped|rejected), from, to, limit, offset
+ */
+router.get('/sync/audit', authenticateJWT, requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+  try {
+    const { table, record_id, decision, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (decision && !['applied', 'skipped', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be applied, skipped or rejected' });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} timestamp` });
+      }
+    }
+
+    const { total, entries } = await queryAudit({
+      table,
+      recordId: record_id,
+      decision,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      region: config.region,
+      total,
+      limit,
+      offset,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching sync audit:', error);
+    res.status(500).json({ error: 'Failed to get sync audit' });
+  }
+});
+
 module.exports = router;
 
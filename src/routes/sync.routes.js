@@ -0,0 +1,499 @@
+const express = require('express');
+const { authenticateJWT, requirePermission } = require('../auth/authMiddleware');
+const { PERMISSIONS } = require('../auth/permissions');
+const { validateApiKey } = require('../auth/apiKeyMiddleware');
+const { listDeadLetters, getDeadLetter, markDeadLetter } = require('../kafka/deadLetterQueue');
+const {
+  replayDeadLetter,
+  pauseConsumption,
+  resumeConsumption,
+  getConsumerOffsets,
+  resetOffsets,
+  getConsumerStatus
+} = require('../kafka/consumer');
+const { outboxRelay } = require('../kafka/outbox');
+const { bootstrapRunner } = require('../kafka/bootstrap');
+const { reconciler } = require('../kafka/reconciler');
+const { getPolicyInfo } = require('../kafka/privacyPolicy');
+const { getTableSchema, getSchemaDriftReport } = require('../kafka/tableSchema');
+const config = require('../config/config');
+
+const router = express.Router();
+
+// All sync administration endpoints require API key + JWT and sync:admin
+router.use(validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.SYNC_ADMIN));
+
+/**
+ * Non-negative integer from a query string: the fallback when absent, NaN when malformed
+ */
+function integerQuery(value, fallback) {
+  if (value === undefined) return fallback;
+  return /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+}
+
+// Dead letter, bootstrap run and reconciliation report ids are integers
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'id must be a non-negative integer' });
+  }
+  next();
+});
+
+/**
+ * GET /api/sync/outbox
+ * Outbox relay status (pending events, last publish, last error)
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    const status = await outboxRelay.getStatus();
+
+    res.json({
+      success: true,
+      region: config.region,
+      outbox: status
+    });
+  } catch (error) {
+    console.error('Error getting outbox status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/consumer
+ * Consumer lifecycle state and paused topics
+ */
+router.get('/consumer', (req, res) => {
+  res.json({
+    success: true,
+    region: config.region,
+    consumer: getConsumerStatus()
+  });
+});
+
+/**
+ * GET /api/sync/consumer/offsets
+ * Committed offset, end offset and lag per partition
+ */
+router.get('/consumer/offsets', async (req, res) => {
+  try {
+    const partitions = await getConsumerOffsets();
+
+    res.json({
+      success: true,
+      region: config.region,
+      groupId: config.kafka.groupId,
+      totalLag: partitions.reduce((sum, p) => sum + (p.lag || 0), 0),
+      partitions
+    });
+  } catch (error) {
+    console.error('Error getting consumer offsets:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/consumer/pause
+ * Pause consumption of topics until resumed (survives restarts)
+ * Body: { topics: ['sync.products'] }
+ */
+router.post('/consumer/pause', async (req, res) => {
+  try {
+    const { topics } = req.body || {};
+
+    if (!Array.isArray(topics) || topics.length === 0) {
+      return res.status(400).json({ error: 'topics must be a non-empty array' });
+    }
+
+    const consumer = await pauseConsumption(topics, req.user.username);
+    console.log(`⏸️  Consumption of ${topics.join(', ')} paused by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Consumption paused',
+      consumer
+    });
+  } catch (error) {
+    console.error('Error pausing consumption:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/consumer/resume
+ * Resume topics paused through the API
+ * Body: { topics: ['sync.products'] }
+ */
+router.post('/consumer/resume', async (req, res) => {
+  try {
+    const { topics } = req.body || {};
+
+    if (!Array.isArray(topics) || topics.length === 0) {
+      return res.status(400).json({ error: 'topics must be a non-empty array' });
+    }
+
+    const consumer = await resumeConsumption(topics);
+    console.log(`▶️  Consumption of ${topics.join(', ')} resumed by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Consumption resumed',
+      consumer
+    });
+  } catch (error) {
+    console.error('Error resuming consumption:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/consumer/offsets/reset
+ * Move the group's offsets to replay (or skip) messages
+ * Body: { topic, partition?, offset } or { topic, partition?, timestamp }
+ */
+router.post('/consumer/offsets/reset', async (req, res) => {
+  try {
+    const { topic, partition, offset, timestamp } = req.body || {};
+
+    if (!topic) {
+      return res.status(400).json({ error: 'topic is required' });
+    }
+
+    const offsets = await resetOffsets({ topic, partition, offset, timestamp });
+    console.log(`⏪ Offsets of ${topic} reset by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Offsets reset',
+      offsets
+    });
+  } catch (error) {
+    console.error('Error resetting offsets:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/privacy-policy
+ * Active privacy policy (version, checksum and rules)
+ */
+router.get('/privacy-policy', (req, res) => {
+  res.json({
+    success: true,
+    region: config.region,
+    privacyPolicy: getPolicyInfo()
+  });
+});
+
+/**
+ * GET /api/sync/schema-drift
+ * Columns that didn't fit the destination tables, parked values and the
+ * freshly introspected schema of the given table (?table=products)
+ */
+router.get('/schema-drift', async (req, res) => {
+  try {
+    const table = req.query.table;
+    const report = await getSchemaDriftReport(table);
+    const response = {
+      success: true,
+      region: config.region,
+      ...report
+    };
+
+    if (table) {
+      const schema = await getTableSchema(table, { refresh: true });
+      if (!schema) {
+        return res.status(404).json({ error: `Table not found: ${table}` });
+      }
+      response.schema = schema.columns;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error getting schema drift:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/dlq
+ * List dead-lettered sync messages
+ */
+router.get('/dlq', async (req, res) => {
+  try {
+    let limit = integerQuery(req.query.limit, 50);
+    const offset = integerQuery(req.query.offset, 0);
+    if (Number.isNaN(limit) || Number.isNaN(offset)) {
+      return res.status(400).json({ error: 'limit and offset must be non-negative integers' });
+    }
+    limit = Math.min(limit, 200);
+
+    const { total, entries } = await listDeadLetters({
+      status: req.query.status,
+      topic: req.query.topic,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      region: config.region,
+      total,
+      limit,
+      offset,
+      entries
+    });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/dlq/:id
+ * Inspect a dead-lettered message (payload, headers, error)
+ */
+router.get('/dlq/:id', async (req, res) => {
+  try {
+    const entry = await getDeadLetter(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('Error fetching dead letter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/dlq/:id/replay
+ * Reprocess a dead-lettered message
+ */
+router.post('/dlq/:id/replay', async (req, res) => {
+  try {
+    const entry = await replayDeadLetter(req.params.id, req.user.username);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dead letter replayed successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sync/dlq/:id
+ * Discard a dead-lettered message
+ */
+router.delete('/dlq/:id', async (req, res) => {
+  try {
+    // Only a pending entry is discarded, so a replay claiming it meanwhile wins
+    const updated = await markDeadLetter(req.params.id, 'discarded', req.user.username, 'pending');
+
+    if (!updated) {
+      const entry = await getDeadLetter(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      return res.status(409).json({ error: `Dead letter is already ${entry.status}` });
+    }
+
+    console.log(`🗑️  Dead letter #${req.params.id} discarded by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Dead letter discarded',
+      entry: updated
+    });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/bootstrap
+ * Start a snapshot bootstrap
+ * Body: { source: 'kafka', topics? } or { source: 'file', file, table, format? }
+ */
+router.post('/bootstrap', async (req, res) => {
+  try {
+    const run = await bootstrapRunner.start(req.body || {}, req.user.username);
+
+    res.status(202).json({
+      success: true,
+      message: 'Bootstrap started',
+      run
+    });
+  } catch (error) {
+    console.error('Error starting bootstrap:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/bootstrap
+ * Recent bootstrap runs with progress
+ */
+router.get('/bootstrap', async (req, res) => {
+  try {
+    const runs = await bootstrapRunner.listRuns();
+
+    res.json({
+      success: true,
+      region: config.region,
+      running: bootstrapRunner.isRunning(),
+      runs
+    });
+  } catch (error) {
+    console.error('Error listing bootstrap runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/bootstrap/cancel
+ * Stop the running bootstrap at its next record (it can be resumed later)
+ */
+router.post('/bootstrap/cancel', async (req, res) => {
+  if (!bootstrapRunner.isRunning()) {
+    return res.status(409).json({ error: 'No bootstrap is running' });
+  }
+
+  bootstrapRunner.cancel();
+  res.json({
+    success: true,
+    message: 'Bootstrap cancellation requested'
+  });
+});
+
+/**
+ * GET /api/sync/bootstrap/:id
+ * Progress of one bootstrap run
+ */
+router.get('/bootstrap/:id', async (req, res) => {
+  try {
+    const run = await bootstrapRunner.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Bootstrap run not found' });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Error fetching bootstrap run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/bootstrap/:id/resume
+ * Resume a failed, cancelled or interrupted run from its checkpoint
+ */
+router.post('/bootstrap/:id/resume', async (req, res) => {
+  try {
+    const run = await bootstrapRunner.resume(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Bootstrap run not found' });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Bootstrap resumed',
+      run
+    });
+  } catch (error) {
+    console.error('Error resuming bootstrap:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sync/reconcile
+ * Compare this region with the peer and optionally repair drift
+ * Body: { tables?: ['products', 'sales'], repair?: boolean }
+ */
+router.post('/reconcile', async (req, res) => {
+  try {
+    const { tables, repair } = req.body || {};
+
+    if (tables !== undefined && !Array.isArray(tables)) {
+      return res.status(400).json({ error: 'tables must be an array' });
+    }
+
+    const report = await reconciler.trigger({
+      tables,
+      repair: repair === true,
+      triggeredBy: req.user.username
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      report
+    });
+  } catch (error) {
+    console.error('Error starting reconciliation:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/reconcile/reports
+ * Recent reconciliation runs
+ */
+router.get('/reconcile/reports', async (req, res) => {
+  try {
+    const reports = await reconciler.listReports();
+
+    res.json({
+      success: true,
+      region: config.region,
+      running: reconciler.running,
+      reports
+    });
+  } catch (error) {
+    console.error('Error listing reconciliation reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/reconcile/reports/:id
+ * Full report: drifted ids per table and what was repaired
+ */
+router.get('/reconcile/reports/:id', async (req, res) => {
+  try {
+    const report = await reconciler.getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Reconciliation report not found' });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
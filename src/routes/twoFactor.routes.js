@@ -0,0 +1,308 @@
+const express = require('express');
+const { pool } = require('../database/dbConnection');
+const { comparePassword } = require('../auth/passwordUtils');
+const { authenticateJWT } = require('../auth/authMiddleware');
+const { verifyToken } = require('../auth/jwtUtils');
+const {
+  createSession,
+  revokeUserSessions,
+  denyAccessToken,
+  isAccessTokenRevoked
+} = require('../auth/sessionStore');
+const { checkLoginAllowed, recordLoginFailure } = require('../auth/loginGuard');
+const {
+  twoFactorStatus,
+  remainingRecoveryCodes,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../auth/twoFactor');
+const { recordAuthEvent } = require('../auth/authEvents');
+const { sleep } = require('../utils/retry');
+const config = require('../config/config');
+
+const router = express.Router();
+
+function clientInfo(req) {
+  return { userAgent: req.get('User-Agent'), ip: req.ip };
+}
+
+/**
+ * The signed-in user's full row (404 if it is gone or inactive)
+ */
+async function loadUser(userId) {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1 AND is_active = true', [userId]);
+  if (result.rows.length === 0) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+  return result.rows[0];
+}
+
+/**
+ * Run fn(client) in a transaction
+ */
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /api/auth/2fa
+ * 2FA status of the current user
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    const status = twoFactorStatus(user);
+
+    res.json({
+      success: true,
+      ...status,
+      enabledAt: user.totp_enabled_at,
+      recoveryCodesLeft: status.enabled ? await remainingRecoveryCodes(user.id) : 0,
+      currentSessionVerified: Boolean(req.user.mfa)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get 2FA status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll
+ * New authenticator secret and otpauth:// URI (add it to the app, then confirm)
+ */
+router.post('/enroll', authenticateJWT, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    const { secret, otpauthUri } = await startEnrollment(user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri,
+      message: 'Add this account to your authenticator app, then confirm with a code from it.'
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start 2FA enrollment' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll/confirm
+ * Turn 2FA on with a first code. Returns the recovery codes (shown once) and a
+ * new 2FA session; the user's other sessions are signed out.
+ */
+router.post('/enroll/confirm', authenticateJWT, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+
+    const user = await loadUser(req.user.user_id);
+    const result = await inTransaction(async client => {
+      const recoveryCodes = await confirmEnrollment(client, user, code, req.ip);
+      if (!recoveryCodes) return null;
+      await revokeUserSessions(user.id, 'two_factor_enabled', client);
+      const tokens = await createSession(user, config.region, { ...clientInfo(req), mfa: true }, client);
+      return { recoveryCodes, tokens };
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+    }
+
+    console.log(`🔐 2FA enabled for user: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      recoveryCodes: result.recoveryCodes,
+      accessToken: result.tokens.accessToken,
+      refreshToken: result.tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to enable 2FA' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second login step: the challenge token from /api/auth/login plus an
+ * authenticator code (or a recovery code). Wrong codes count as failed logins.
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and code required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Login expired, please sign in again', code: 'challenge_expired' });
+    }
+    if (challenge.type !== 'mfa_challenge' || challenge.region !== config.region || await isAccessTokenRevoked(challenge.jti)) {
+      return res.status(401).json({ error: 'Login expired, please sign in again', code: 'challenge_expired' });
+    }
+
+    const user = await loadUser(challenge.user_id);
+
+    const guard = await checkLoginAllowed({ user, ip: req.ip });
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Try again later.',
+        retryAfter: guard.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const delay = await recordLoginFailure({ user, username: user.username, ip: req.ip });
+      await sleep(delay);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    // The challenge works once
+    await denyAccessToken(challenge, 'mfa_challenge_used');
+
+    const { accessToken, refreshToken } = await createSession(user, config.region, { ...clientInfo(req), mfa: true });
+
+    await pool.query(
+      'UPDATE users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+
+    let recoveryCodesLeft;
+    if (method === 'recovery_code') {
+      recoveryCodesLeft = await remainingRecoveryCodes(user.id);
+      await recordAuthEvent(pool, {
+        eventType: 'recovery_code_used',
+        userId: user.id,
+        username: user.username,
+        ip: req.ip,
+        details: { remaining: recoveryCodesLeft }
+      });
+    }
+
+    console.log(`✅ User logged in with 2FA: ${user.username} (region: ${config.region})`);
+
+    res.json({
+      success: true,
+      accessToken,
+      refreshToken,
+      recoveryCodesLeft,
+      user: {
+        id: user.id,
+        username: user.username,
+        full_name: user.full_name,
+        email: user.email,
+        role: user.role,
+        region: config.region
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to verify code' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (needs a current authenticator code)
+ */
+router.post('/recovery-codes', authenticateJWT, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user, req.ip);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (password and a current code or recovery code). Not allowed for
+ * roles that require it. Other sessions are signed out.
+ */
+router.post('/disable', authenticateJWT, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and code required' });
+    }
+
+    const user = await loadUser(req.user.user_id);
+    const status = twoFactorStatus(user);
+
+    if (!status.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (status.required) {
+      return res.status(403).json({ error: `Two-factor authentication is required for the ${user.role} role` });
+    }
+    if (!user.password_hash || !(await comparePassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Password incorrect' });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const tokens = await inTransaction(async client => {
+      await disableTwoFactor(client, user, req.ip);
+      await revokeUserSessions(user.id, 'two_factor_disabled', client);
+      return createSession(user, config.region, clientInfo(req), client);
+    });
+
+    console.log(`🔓 2FA disabled for user: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled. Other sessions have been signed out.',
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to disable 2FA' });
+  }
+});
+
+module.exports = router;
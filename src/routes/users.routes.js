@@ -1,15 +1,28 @@
 const express = require('express');
 const { pool } = require('../database/dbConnection');
-const { authenticateJWT, requireRole } = require('../auth/authMiddleware');
+const { authenticateJWT, requirePermission } = require('../auth/authMiddleware');
 const { validateApiKey } = require('../auth/apiKeyMiddleware');
+const { unlockAccount } = require('../auth/loginGuard');
+const { queryAuthEvents, recordAuthEvent } = require('../auth/authEvents');
+const { revokeUserSessions } = require('../auth/sessionStore');
+const {
+  PERMISSIONS,
+  listRoles,
+  listPermissions,
+  setRolePermissions,
+  roleExists
+} = require('../auth/permissions');
+const config = require('../config/config');
 
 const router = express.Router();
 
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,49}$/;
+
 /**
  * GET /api/users
- * Get all users (India only)
+ * Get all users (this region only, users never sync)
  */
-router.get('/', authenticateJWT, async (req, res) => {
+router.get('/', authenticateJWT, requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT id, username, email, full_name, phone, country, role, created_at, last_login
@@ -20,7 +33,7 @@ router.get('/', authenticateJWT, async (req, res) => {
     
     res.json({ 
       success: true,
-      region: 'india',
+      region: config.region,
       users: result.rows 
     });
   } catch (error) {
@@ -31,16 +44,22 @@ router.get('/', authenticateJWT, async (req, res) => {
 
 /**
  * GET /api/admin/users (Admin access with API key)
+ * All users including inactive ones, with lockout and 2FA state (no secrets)
  */
-router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
+router.get('/admin', validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT * FROM users ORDER BY id DESC`
+      `SELECT id, username, email, full_name, phone, country, role, is_active,
+              created_at, updated_at, last_login, email_verified_at,
+              failed_login_attempts, last_failed_login, locked_until,
+              totp_enabled_at IS NOT NULL AS two_factor_enabled
+       FROM users
+       ORDER BY id DESC`
     );
     
     res.json({ 
       success: true,
-      region: 'india',
+      region: config.region,
       users: result.rows 
     });
   } catch (error) {
@@ -49,5 +68,182 @@ router.get('/admin', validateApiKey, authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/users/:id/unlock (Admin access with API key)
+ * Clear a locked account's failed login attempts
+ */
+router.post('/:id/unlock', validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'User id must be a number' });
+    }
+
+    const user = await unlockAccount(id, req.user.username, req.ip);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ 
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error unlocking user (admin):', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/users/admin/auth-events (Admin access with API key)
+ * Lockouts and other auth events, filter by user_id, type, from/to
+ */
+router.get('/admin/auth-events', validateApiKey, authenticateJWT, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { user_id, type, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { total, events } = await queryAuthEvents({ userId: user_id, eventType: type, from, to, limit, offset });
+    
+    res.json({ 
+      success: true,
+      region: config.region,
+      total,
+      limit,
+      offset,
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching auth events (admin):', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/users/roles
+ * Roles with their permissions, and every permission that can be granted
+ */
+router.get('/roles', authenticateJWT, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      region: config.region,
+      roles: await listRoles(),
+      permissions: await listPermissions()
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/users/roles/:role
+ * Create a role or replace its permissions: { permissions: [...], description? }
+ */
+router.put('/roles/:role', authenticateJWT, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions, description } = req.body;
+
+    if (!ROLE_NAME.test(role)) {
+      return res.status(400).json({ error: 'Role names are 2-50 lowercase letters, digits, _ or -' });
+    }
+    if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+      return res.status(400).json({ error: 'permissions must be an array of permission names' });
+    }
+    // Keep at least one way to manage roles
+    if (role === req.user.role && !permissions.includes(PERMISSIONS.ROLES_MANAGE)) {
+      return res.status(400).json({ error: `Your own role must keep ${PERMISSIONS.ROLES_MANAGE}` });
+    }
+
+    await setRolePermissions(role, permissions, description);
+    await recordAuthEvent(pool, {
+      eventType: 'role_permissions_changed',
+      userId: req.user.user_id,
+      username: req.user.username,
+      ip: req.ip,
+      details: { role, permissions }
+    });
+
+    console.log(`🛡️  Permissions of role ${role} set by ${req.user.username}: ${permissions.join(', ') || '(none)'}`);
+
+    res.json({
+      success: true,
+      role,
+      permissions
+    });
+  } catch (error) {
+    console.error('Error updating role:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Assign a role: { role }. The user's sessions are signed out (their tokens
+ * carry the old role).
+ */
+router.put('/:id/role', authenticateJWT, requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'User id must be a number' });
+    }
+    if (typeof role !== 'string' || !(await roleExists(role))) {
+      return res.status(400).json({ error: 'Unknown role' });
+    }
+    if (id === req.user.user_id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const before = await client.query('SELECT role FROM users WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE users SET role = $2 WHERE id = $1
+         RETURNING id, username, full_name, email, role`,
+        [id, role]
+      );
+      user = result.rows[0];
+      if (user && before.rows[0].role !== role) {
+        await revokeUserSessions(id, 'role_changed', client);
+        await recordAuthEvent(client, {
+          eventType: 'role_changed',
+          userId: id,
+          username: user.username,
+          ip: req.ip,
+          details: { from: before.rows[0].role, to: role, changedBy: req.user.username }
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🛡️  ${user.username} is now ${role} (set by ${req.user.username})`);
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
 
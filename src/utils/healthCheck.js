@@ -0,0 +1,132 @@
+// Liveness and readiness checks (GET /health/live, GET /health/ready)
+
+const { pool } = require('../database/dbConnection');
+const { getConsumerStatus, getPartitionLag } = require('../kafka/consumer');
+const { getProducerStatus } = require('../kafka/conflictResolver');
+const { consumerSupervisor } = require('../kafka/consumerSupervisor');
+const config = require('../config/config');
+
+const startedAt = new Date();
+
+/**
+ * The process is up and its event loop responds
+ */
+function getLiveness() {
+  return {
+    status: 'alive',
+    region: config.region,
+    uptimeSeconds: Math.round(process.uptime()),
+    startedAt: startedAt.toISOString(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  const poolStats = {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max: config.db.max
+  };
+
+  try {
+    await pool.query('SELECT 1');
+    return { status: 'up', latencyMs: Date.now() - started, pool: poolStats };
+  } catch (error) {
+    return { status: 'down', error: error.message, latencyMs: Date.now() - started, pool: poolStats };
+  }
+}
+
+function checkConsumer() {
+  const consumer = getConsumerStatus();
+  const supervisor = consumerSupervisor.getStatus();
+  const problems = [];
+
+  if (!consumer.running) {
+    const reason = consumer.lastError ? `: ${consumer.lastError.message}` : '';
+    const retry = supervisor.nextAttemptAt ? ` (reconnecting at ${supervisor.nextAttemptAt.toISOString()})` : '';
+    problems.push(`consumer not running${reason}${retry}`);
+  } else if (!consumer.connected) {
+    problems.push('consumer disconnected from Kafka');
+  } else if (!consumer.membership) {
+    problems.push('consumer not in its group (rebalancing)');
+  }
+
+  const now = Date.now();
+  const lastBatchAt = consumer.lastBatchAt ? consumer.lastBatchAt.getTime() : null;
+  const partitions = getPartitionLag().map(partition => {
+    const overThreshold = partition.lag > config.health.maxLag;
+    // Lag that isn't being worked off: nothing processed for stallAfterMs
+    const stalled = partition.lag > 0 && (lastBatchAt === null || now - lastBatchAt > config.health.stallAfterMs);
+    if (overThreshold) {
+      problems.push(`${partition.topic}[${partition.partition}] lag ${partition.lag} > ${config.health.maxLag}`);
+    }
+    if (stalled) {
+      problems.push(`${partition.topic}[${partition.partition}] stalled with lag ${partition.lag}`);
+    }
+    return { ...partition, overThreshold, stalled };
+  });
+
+  return {
+    status: problems.length === 0 ? 'up' : 'degraded',
+    problems,
+    groupId: consumer.groupId,
+    running: consumer.running,
+    connected: consumer.connected,
+    membership: consumer.membership,
+    lastMessageProcessedAt: consumer.lastBatchAt,
+    lastError: consumer.lastError,
+    supervisor,
+    paused: consumer.paused,
+    lag: {
+      threshold: config.health.maxLag,
+      total: partitions.reduce((sum, partition) => sum + partition.lag, 0),
+      partitions
+    }
+  };
+}
+
+function checkProducer() {
+  const producer = getProducerStatus();
+  // An error after the last successful connect means publishing is failing now
+  const failing = producer.lastError &&
+    (!producer.connectedAt || producer.lastError.at > producer.connectedAt) &&
+    !producer.connected;
+
+  return {
+    status: failing ? 'degraded' : producer.connected ? 'up' : 'idle',
+    ...producer
+  };
+}
+
+/**
+ * Readiness: the database must be up to serve traffic (503 otherwise); sync
+ * problems leave the API usable and are reported as degraded (still 200)
+ */
+async function getReadiness() {
+  const database = await checkDatabase();
+  const consumer = checkConsumer();
+  const producer = checkProducer();
+
+  let status = 'ready';
+  if (database.status !== 'up') {
+    status = 'unavailable';
+  } else if (consumer.status !== 'up' || producer.status === 'degraded') {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    httpStatus: status === 'unavailable' ? 503 : 200,
+    region: config.region,
+    sync: status === 'ready' ? 'running' : consumer.running ? 'impaired' : 'disabled',
+    checks: { database, kafkaConsumer: consumer, resolverProducer: producer },
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
@@ -0,0 +1,266 @@
+// Metrics Rollup - per-minute sync metric aggregates persisted to Postgres
+// so latency percentiles can be reported over hours or days
+
+const { pool } = require('../database/dbConnection');
+const config = require('../config/config');
+
+// Upper bounds (ms) of the latency buckets; a final overflow bucket catches the rest
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000];
+
+function emptyRollup() {
+  return {
+    latencyCount: 0,
+    latencySumMs: 0,
+    latencyMinMs: null,
+    latencyMaxMs: null,
+    latencyBuckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0),
+    applied: 0,
+    skipped: 0,
+    failed: 0
+  };
+}
+
+function mergeRollup(target, source) {
+  target.latencyCount += source.latencyCount;
+  target.latencySumMs += source.latencySumMs;
+  for (const [field, pick] of [['latencyMinMs', Math.min], ['latencyMaxMs', Math.max]]) {
+    if (source[field] !== null) {
+      target[field] = target[field] === null ? source[field] : pick(target[field], source[field]);
+    }
+  }
+  source.latencyBuckets.forEach((count, i) => { target.latencyBuckets[i] += count; });
+  target.applied += source.applied;
+  target.skipped += source.skipped;
+  target.failed += source.failed;
+}
+
+function bucketIndex(latencyMs) {
+  const index = LATENCY_BUCKETS_MS.findIndex(bound => latencyMs <= bound);
+  return index === -1 ? LATENCY_BUCKETS_MS.length : index;
+}
+
+/**
+ * Estimate a percentile from bucket counts (linear interpolation inside the bucket)
+ */
+function percentileFromBuckets(buckets, p, minMs, maxMs) {
+  const total = buckets.reduce((a, b) => a + b, 0);
+  if (total === 0) return 0;
+
+  const target = p * total;
+  let cumulative = 0;
+
+  for (let i = 0; i < buckets.length; i++) {
+    if (buckets[i] === 0) continue;
+    if (cumulative + buckets[i] >= target) {
+      const lower = i === 0 ? 0 : LATENCY_BUCKETS_MS[i - 1];
+      const upper = i < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[i] : maxMs;
+      const estimate = lower + (upper - lower) * ((target - cumulative) / buckets[i]);
+      return Math.round(Math.min(Math.max(estimate, minMs || 0), maxMs || estimate));
+    }
+    cumulative += buckets[i];
+  }
+
+  return maxMs || 0;
+}
+
+class MetricsRollup {
+  constructor() {
+    this.enabled = config.metrics.persistRollups;
+    this.pending = new Map(); // "minute|source|destination|table" -> rollup
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic flush (the rollup table comes from the migrations)
+   */
+  async start() {
+    if (!this.enabled) {
+      console.log('⚠️  Metrics rollup persistence disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('❌ Metrics rollup flush failed:', error.message));
+    }, config.metrics.rollupFlushIntervalMs);
+    this.timer.unref();
+
+    console.log('✅ Metrics rollup persistence enabled');
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.enabled) {
+      await this.flush();
+    }
+  }
+
+  getRollup(source, destination, tableName) {
+    const minute = new Date();
+    minute.setSeconds(0, 0);
+    const key = `${minute.toISOString()}|${source}|${destination}|${tableName}`;
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, emptyRollup());
+    }
+    return this.pending.get(key);
+  }
+
+  recordLatency(source, destination, tableName, latencyMs) {
+    if (!this.enabled) return;
+
+    const rollup = this.getRollup(source, destination, tableName);
+    const ms = Math.max(0, Math.round(latencyMs));
+    rollup.latencyCount++;
+    rollup.latencySumMs += ms;
+    rollup.latencyMinMs = rollup.latencyMinMs === null ? ms : Math.min(rollup.latencyMinMs, ms);
+    rollup.latencyMaxMs = rollup.latencyMaxMs === null ? ms : Math.max(rollup.latencyMaxMs, ms);
+    rollup.latencyBuckets[bucketIndex(ms)]++;
+  }
+
+  recordOutcome(source, destination, tableName, outcome) {
+    if (!this.enabled) return;
+
+    const rollup = this.getRollup(source, destination, tableName);
+    rollup[outcome]++;
+  }
+
+  /**
+   * Add pending rollups to the persisted ones
+   */
+  async flush() {
+    if (this.pending.size === 0) return;
+
+    const entries = [...this.pending.entries()];
+    this.pending.clear();
+
+    for (let index = 0; index < entries.length; index++) {
+      const [key, rollup] = entries[index];
+      const [bucketStart, source, destination, tableName] = key.split('|');
+
+      try {
+        await this.persist(bucketStart, source, destination, tableName, rollup);
+      } catch (error) {
+        // Keep whatever wasn't persisted for the next flush
+        for (const [pendingKey, pendingRollup] of entries.slice(index)) {
+          if (!this.pending.has(pendingKey)) {
+            this.pending.set(pendingKey, emptyRollup());
+          }
+          mergeRollup(this.pending.get(pendingKey), pendingRollup);
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Add one rollup to its persisted row
+   */
+  async persist(bucketStart, source, destination, tableName, rollup) {
+    await pool.query(
+      `INSERT INTO sync_metric_rollups AS r
+         (bucket_start, source, destination, table_name, latency_count, latency_sum_ms,
+          latency_min_ms, latency_max_ms, latency_buckets, applied_count, skipped_count, failed_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (bucket_start, source, destination, table_name) DO UPDATE SET
+         latency_count = r.latency_count + EXCLUDED.latency_count,
+         latency_sum_ms = r.latency_sum_ms + EXCLUDED.latency_sum_ms,
+         latency_min_ms = LEAST(r.latency_min_ms, EXCLUDED.latency_min_ms),
+         latency_max_ms = GREATEST(r.latency_max_ms, EXCLUDED.latency_max_ms),
+         latency_buckets = (
+           SELECT array_agg(a + b ORDER BY i)
+           FROM unnest(r.latency_buckets, EXCLUDED.latency_buckets) WITH ORDINALITY AS t(a, b, i)
+         ),
+         applied_count = r.applied_count + EXCLUDED.applied_count,
+         skipped_count = r.skipped_count + EXCLUDED.skipped_count,
+         failed_count = r.failed_count + EXCLUDED.failed_count`,
+      [
+        bucketStart,
+        source,
+        destination,
+        tableName,
+        rollup.latencyCount,
+        rollup.latencySumMs,
+        rollup.latencyMinMs,
+        rollup.latencyMaxMs,
+        rollup.latencyBuckets,
+        rollup.applied,
+        rollup.skipped,
+        rollup.failed
+      ]
+    );
+  }
+
+  /**
+   * Percentiles and counts over the persisted rollups since a given time
+   */
+  async getSummary({ since, source, destination, table }) {
+    const conditions = ['bucket_start >= $1'];
+    const params = [since];
+
+    for (const [column, value] of [['source', source], ['destination', destination], ['table_name', table]]) {
+      if (value) {
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = conditions.join(' AND ');
+
+    const totals = await pool.query(
+      `SELECT COALESCE(SUM(latency_count), 0) AS latency_count,
+              COALESCE(SUM(latency_sum_ms), 0) AS latency_sum_ms,
+              MIN(latency_min_ms) AS latency_min_ms,
+              MAX(latency_max_ms) AS latency_max_ms,
+              COALESCE(SUM(applied_count), 0) AS applied,
+              COALESCE(SUM(skipped_count), 0) AS skipped,
+              COALESCE(SUM(failed_count), 0) AS failed
+       FROM sync_metric_rollups
+       WHERE ${where}`,
+      params
+    );
+
+    const bucketRows = await pool.query(
+      `SELECT t.i AS bucket, SUM(t.b) AS count
+       FROM sync_metric_rollups, unnest(latency_buckets) WITH ORDINALITY AS t(b, i)
+       WHERE ${where}
+       GROUP BY t.i
+       ORDER BY t.i`,
+      params
+    );
+
+    const buckets = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+    for (const row of bucketRows.rows) {
+      buckets[parseInt(row.bucket) - 1] = parseInt(row.count);
+    }
+
+    const row = totals.rows[0];
+    const count = parseInt(row.latency_count);
+    const minMs = row.latency_min_ms;
+    const maxMs = row.latency_max_ms;
+
+    return {
+      since,
+      syncs: count,
+      applied: parseInt(row.applied),
+      skipped: parseInt(row.skipped),
+      failed: parseInt(row.failed),
+      avgLatencyMs: count > 0 ? Math.round(parseInt(row.latency_sum_ms) / count) : 0,
+      minLatencyMs: minMs || 0,
+      maxLatencyMs: maxMs || 0,
+      p50LatencyMs: percentileFromBuckets(buckets, 0.5, minMs, maxMs),
+      p95LatencyMs: percentileFromBuckets(buckets, 0.95, minMs, maxMs),
+      p99LatencyMs: percentileFromBuckets(buckets, 0.99, minMs, maxMs)
+    };
+  }
+}
+
+// Singleton instance
+const metricsRollup = new MetricsRollup();
+
+module.exports = {
+  metricsRollup,
+  LATENCY_BUCKETS_MS,
+  percentileFromBuckets
+};
@@ -0,0 +1,74 @@
+// Retry helper - exponential backoff for transient failures
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an error that should never be retried (e.g. malformed payloads)
+ */
+function nonRetryable(message, cause) {
+  const error = new Error(message);
+  error.retryable = false;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * Check whether an error is worth retrying
+ */
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.retryable === false) return false;
+  // JSON.parse failures will fail the same way every time
+  if (error instanceof SyntaxError) return false;
+  return true;
+}
+
+/**
+ * Delay before the next attempt (attempt is 1-based)
+ */
+function backoffDelay(attempt, { initialDelayMs, maxDelayMs, multiplier }) {
+  const delay = initialDelayMs * Math.pow(multiplier, attempt - 1);
+  return Math.min(delay, maxDelayMs);
+}
+
+/**
+ * Run fn until it succeeds, a non-retryable error is thrown or attempts run out.
+ * Resolves with { result, attempts } or rejects with the last error,
+ * annotated with error.attempts.
+ */
+async function withRetry(fn, options) {
+  const { maxAttempts, onRetry } = options;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+
+      if (!isRetryable(error) || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options);
+      if (onRetry) {
+        await onRetry(error, attempt, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  nonRetryable,
+  isRetryable,
+  backoffDelay,
+  withRetry
+};
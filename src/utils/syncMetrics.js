@@ -1,12 +1,52 @@
 // Sync Metrics Tracker - Track sync latency and statistics
 
+const client = require('prom-client');
+const { metricsRollup, LATENCY_BUCKETS_MS } = require('./metricsRollup');
+
+// Prometheus registry exposed on GET /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const syncLatency = new client.Histogram({
+  name: 'sync_latency_seconds',
+  help: 'Time from the source write to the change being applied locally',
+  labelNames: ['source', 'destination', 'table'],
+  buckets: LATENCY_BUCKETS_MS.map(ms => ms / 1000),
+  registers: [register]
+});
+
+const syncChanges = new client.Counter({
+  name: 'sync_changes_total',
+  help: 'Sync changes processed by outcome (applied, skipped, rejected, failed) and reason',
+  labelNames: ['source', 'destination', 'table', 'outcome', 'reason'],
+  registers: [register]
+});
+
+const consumerLag = new client.Gauge({
+  name: 'sync_consumer_lag',
+  help: 'Messages behind the high watermark per topic partition',
+  labelNames: ['topic', 'partition'],
+  registers: [register]
+});
+
+const schemaDrift = new client.Counter({
+  name: 'sync_schema_drift_total',
+  help: 'Incoming columns that did not fit the destination table (unknown_column, missing_column, type_mismatch)',
+  labelNames: ['table', 'column', 'kind'],
+  registers: [register]
+});
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil(p * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
 class SyncMetrics {
   constructor() {
-    // Store last 100 sync events per direction
-    this.metrics = {
-      'china-to-india': [],
-      'india-to-china': []
-    };
+    // Store last 100 sync events per direction ("source-to-destination")
+    this.metrics = {};
     this.maxEvents = 100;
     
     // Store per-product/record sync times
@@ -56,9 +96,50 @@ class SyncMetrics {
       this.recordSyncTimes.delete(firstKey);
     }
 
+    syncLatency.observe({ source, destination, table: tableName }, latencyMs / 1000);
+    metricsRollup.recordLatency(source, destination, tableName, latencyMs);
+
     console.log(`⏱️  Sync Latency: ${source} → ${destination} | ${tableName}#${recordId} | ${latencyMs}ms`);
   }
 
+  // Count a resolveConflict decision (applied or skipped)
+  recordDecision({ source, destination, table, applied, reason }) {
+    const outcome = applied ? 'applied' : 'skipped';
+    syncChanges.inc({ source, destination, table, outcome, reason: reason || 'unknown' });
+    metricsRollup.recordOutcome(source, destination, table, outcome);
+  }
+
+  // Count a message rejected before conflict resolution (e.g. no sync origin)
+  recordRejection({ destination, table, reason }) {
+    syncChanges.inc({ source: 'unknown', destination, table, outcome: 'rejected', reason });
+  }
+
+  // Count a change that failed after all retries
+  recordFailure({ source, destination, table, reason }) {
+    const labels = { source: source || 'unknown', destination: destination || 'unknown', table };
+    syncChanges.inc({ ...labels, outcome: 'failed', reason: reason || 'error' });
+    metricsRollup.recordOutcome(labels.source, labels.destination, table, 'failed');
+  }
+
+  // Count a column that didn't match the destination table schema
+  recordSchemaDrift(table, column, kind) {
+    schemaDrift.inc({ table, column, kind });
+  }
+
+  // Update consumer lag for a topic partition
+  setConsumerLag(topic, partition, lag) {
+    consumerLag.set({ topic, partition: String(partition) }, Number(lag) || 0);
+  }
+
+  // Prometheus text exposition
+  async getPrometheusMetrics() {
+    return register.metrics();
+  }
+
+  getPrometheusContentType() {
+    return register.contentType;
+  }
+
   // Get per-record sync time
   getRecordSyncTime(tableName, recordId) {
     const key = `${tableName}:${recordId}`;
@@ -80,16 +161,22 @@ class SyncMetrics {
     };
   }
 
-  // Get statistics for a direction
+  // Get statistics for a direction ("source-to-destination")
   getStats(direction) {
-    const events = this.metrics[direction] || [];
-    
+    return this.summarize(this.metrics[direction] || []);
+  }
+
+  // Latency statistics over a list of sync events
+  summarize(events) {
     if (events.length === 0) {
       return {
         totalSyncs: 0,
         avgLatencyMs: 0,
         minLatencyMs: 0,
         maxLatencyMs: 0,
+        p50LatencyMs: 0,
+        p95LatencyMs: 0,
+        p99LatencyMs: 0,
         lastSyncTime: null,
         lastSyncLatencyMs: 0,
         syncsLastMinute: 0,
@@ -103,6 +190,7 @@ class SyncMetrics {
     const avgLatency = latencies.reduce((a, b) => a + b, 0) / latencies.length;
     const minLatency = Math.min(...latencies);
     const maxLatency = Math.max(...latencies);
+    const sorted = [...latencies].sort((a, b) => a - b);
 
     // Recent syncs (last minute)
     const now = Date.now();
@@ -124,6 +212,9 @@ class SyncMetrics {
       avgLatencyMs: Math.round(avgLatency),
       minLatencyMs: minLatency,
       maxLatencyMs: maxLatency,
+      p50LatencyMs: percentile(sorted, 0.5),
+      p95LatencyMs: percentile(sorted, 0.95),
+      p99LatencyMs: percentile(sorted, 0.99),
       lastSyncTime: lastSync.timestamp,
       lastSyncLatencyMs: lastSync.latencyMs,
       syncsLastMinute,
@@ -138,29 +229,38 @@ class SyncMetrics {
     };
   }
 
-  // Get stats for India (receives from China)
-  getIndiaStats() {
-    return {
-      direction: 'china-to-india',
-      receives_from: 'china',
-      ...this.getStats('china-to-india')
-    };
-  }
+  // Get stats for everything a region receives, overall and per source
+  // (configured sources are listed even before their first sync)
+  getInboundStats(destination, sources = []) {
+    const suffix = `-to-${destination}`;
+    const directions = [...new Set([
+      ...sources.map(source => `${source}${suffix}`),
+      ...Object.keys(this.metrics).filter(direction => direction.endsWith(suffix))
+    ])];
+    const events = directions
+      .flatMap(direction => this.metrics[direction] || [])
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const byDirection = {};
+    for (const direction of directions) {
+      byDirection[direction] = this.getStats(direction);
+    }
 
-  // Get stats for China (receives from India)
-  getChinaStats() {
     return {
-      direction: 'india-to-china',
-      receives_from: 'india',
-      ...this.getStats('india-to-china')
+      receives_from: directions.map(direction => direction.slice(0, -suffix.length)),
+      ...this.summarize(events),
+      directions: byDirection
     };
   }
 
   // Get all stats
   getAllStats() {
+    const stats = {};
+    for (const direction of Object.keys(this.metrics)) {
+      stats[direction] = this.getStats(direction);
+    }
     return {
-      'china-to-india': this.getStats('china-to-india'),
-      'india-to-china': this.getStats('india-to-china'),
+      ...stats,
       timestamp: new Date().toISOString()
     };
   }
@@ -170,5 +270,6 @@ class SyncMetrics {
 const syncMetrics = new SyncMetrics();
 
 module.exports = {
-  syncMetrics
+  syncMetrics,
+  register
 };
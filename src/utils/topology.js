@@ -0,0 +1,123 @@
+// Region topology - which regions exist and which flows between them are allowed
+
+const topology = require('../config/topology');
+const config = require('../config/config');
+
+const FLOW = /^([a-z_]+)->([a-z_]+)$/;
+
+// Validate the topology once at startup
+if (!topology.regions[config.region]) {
+  throw new Error(`Topology: REGION '${config.region}' is not one of ${Object.keys(topology.regions).join(', ')}`);
+}
+
+for (const [tableName, flows] of Object.entries(topology.flows || {})) {
+  if (!Array.isArray(flows)) {
+    throw new Error(`Topology flows for ${tableName} must be a list`);
+  }
+  for (const flow of flows) {
+    const match = FLOW.exec(flow);
+    if (!match || !topology.regions[match[1]] || !topology.regions[match[2]] || match[1] === match[2]) {
+      throw new Error(`Topology flows for ${tableName}: invalid flow '${flow}'`);
+    }
+  }
+}
+
+/**
+ * Region details ({ id, name, country }), the current region by default
+ */
+function getRegion(regionId = config.region) {
+  const region = topology.regions[regionId];
+  return region ? { id: regionId, ...region } : null;
+}
+
+function isKnownRegion(regionId) {
+  return Boolean(topology.regions[regionId]);
+}
+
+function getFlows(tableName) {
+  return (topology.flows || {})[tableName] || (topology.flows || {}).default || [];
+}
+
+/**
+ * Whether changes to a table may flow from source to destination
+ */
+function isFlowAllowed(tableName, source, destination) {
+  return getFlows(tableName).includes(`${source}->${destination}`);
+}
+
+/**
+ * Regions a region receives changes from (for any table, or one table)
+ */
+function getSources(destination = config.region, tableName) {
+  const tables = tableName ? [tableName] : Object.keys(topology.flows || {});
+  const sources = new Set();
+
+  for (const table of tables) {
+    for (const flow of getFlows(table)) {
+      const [, source, to] = FLOW.exec(flow);
+      if (to === destination) {
+        sources.add(source);
+      }
+    }
+  }
+
+  return [...sources];
+}
+
+/**
+ * Regions a region sends changes to (for any table, or one table)
+ */
+function getDestinations(source = config.region, tableName) {
+  const tables = tableName ? [tableName] : Object.keys(topology.flows || {});
+  const destinations = new Set();
+
+  for (const table of tables) {
+    for (const flow of getFlows(table)) {
+      const [, from, destination] = FLOW.exec(flow);
+      if (from === source) {
+        destinations.add(destination);
+      }
+    }
+  }
+
+  return [...destinations];
+}
+
+/**
+ * The single region this region exchanges changes with. Reconciliation and
+ * the bootstrap default compare against one peer, so a topology linking this
+ * region to several regions is refused rather than silently picking one.
+ */
+function getPeerRegion(regionId = config.region) {
+  const partners = [...new Set([...getSources(regionId), ...getDestinations(regionId)])];
+  if (partners.length !== 1) {
+    throw new Error(
+      `Topology: ${regionId} must exchange changes with exactly one peer region, not ` +
+      (partners.length > 0 ? partners.join(', ') : 'none')
+    );
+  }
+  return partners[0];
+}
+
+/**
+ * Topology as seen from this region (for API responses)
+ */
+function describeTopology() {
+  return {
+    region: getRegion(),
+    regions: Object.keys(topology.regions).map(getRegion),
+    flows: topology.flows,
+    receivesFrom: getSources(),
+    sendsTo: getDestinations()
+  };
+}
+
+module.exports = {
+  getRegion,
+  isKnownRegion,
+  isFlowAllowed,
+  getSources,
+  getDestinations,
+  getPeerRegion,
+  describeTopology
+};
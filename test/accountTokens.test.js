@@ -0,0 +1,84 @@
+// Emailed single-use tokens (password reset, email verification) against an
+// in-memory auth_account_tokens table.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { PASSWORD_RESET, EMAIL_VERIFICATION, issueAccountToken, consumeAccountToken } = require('../src/auth/accountTokens');
+
+let rows;
+let queries;
+
+const db = {
+  async query(sql, params = []) {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    queries.push(sql);
+    const now = new Date();
+
+    if (sql.startsWith('INSERT INTO auth_account_tokens')) {
+      const [token_hash, user_id, purpose, email, , expires_at] = params;
+      rows.push({ token_hash, user_id, purpose, email, expires_at, used_at: null });
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL')) {
+      rows.filter(row => row.user_id === params[0] && row.purpose === params[1] && !row.used_at)
+        .forEach(row => { row.used_at = now; });
+      return { rows: [] };
+    }
+    if (sql.includes('WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()')) {
+      const row = rows.find(r => r.token_hash === params[0] && r.purpose === params[1] && !r.used_at && r.expires_at > now);
+      if (!row) return { rows: [] };
+      row.used_at = now;
+      return { rows: [{ user_id: row.user_id, email: row.email }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+function issue(userId, purpose = PASSWORD_RESET, ttlMs = 60 * 60 * 1000) {
+  return issueAccountToken(db, { userId, purpose, email: `user${userId}@example.com`, ip: '10.0.0.1', ttlMs });
+}
+
+beforeEach(() => {
+  rows = [];
+  queries = [];
+});
+
+test('a reset token works once', async () => {
+  const token = await issue(1);
+
+  assert.deepStrictEqual(await consumeAccountToken(db, token, PASSWORD_RESET), { user_id: 1, email: 'user1@example.com' });
+  assert.strictEqual(await consumeAccountToken(db, token, PASSWORD_RESET), null);
+});
+
+test('an expired reset token is refused', async () => {
+  const token = await issue(1);
+  rows[0].expires_at = new Date(Date.now() - 1000);
+
+  assert.strictEqual(await consumeAccountToken(db, token, PASSWORD_RESET), null);
+});
+
+test('only the newest link of a kind is valid', async () => {
+  const first = await issue(1);
+  const second = await issue(1);
+  const verification = await issue(1, EMAIL_VERIFICATION);
+
+  assert.strictEqual(await consumeAccountToken(db, first, PASSWORD_RESET), null);
+  assert.ok(await consumeAccountToken(db, second, PASSWORD_RESET));
+  // Tokens of another purpose (or user) are left alone, and only count for their purpose
+  assert.strictEqual(await consumeAccountToken(db, verification, PASSWORD_RESET), null);
+  assert.ok(await consumeAccountToken(db, verification, EMAIL_VERIFICATION));
+});
+
+test('only the token hash is stored and malformed tokens are refused without a lookup', async () => {
+  const token = await issue(2);
+  assert.strictEqual(rows[0].token_hash, crypto.createHash('sha256').update(token).digest('hex'));
+  assert.ok(!JSON.stringify(rows).includes(token));
+
+  const before = queries.length;
+  for (const malformed of [undefined, '', 42, { token }]) {
+    assert.strictEqual(await consumeAccountToken(db, malformed, PASSWORD_RESET), null);
+  }
+  assert.strictEqual(queries.length, before);
+});
@@ -0,0 +1,227 @@
+// Snapshot bootstrap against fake Kafka clients: checkpoint resume for file and
+// Kafka runs, and how the live consumer is paused and resumed around them.
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Kafka } = require('kafkajs');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+
+const importDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootstrap-imports-'));
+process.env.BOOTSTRAP_IMPORT_DIR = importDir;
+
+// The live consumer behaves like kafkajs: pause/resume throw until run() was called
+const live = { ran: false, calls: [], failResume: false };
+const createConsumer = Kafka.prototype.consumer;
+Kafka.prototype.consumer = function (options) {
+  const consumer = createConsumer.call(this, options);
+  Object.assign(consumer, {
+    connect: async () => {},
+    subscribe: async () => {},
+    run: async () => {
+      live.ran = true;
+    },
+    disconnect: async () => {
+      live.ran = false;
+    },
+    seek: seek => live.calls.push(['seek', seek.topic, seek.partition, seek.offset]),
+    commitOffsets: async () => {},
+    paused: () => [],
+    pause: topics => {
+      if (!live.ran) throw new Error('Consumer group was not initialized, consumer#run must be called first');
+      live.calls.push(['pause', ...topics.map(t => t.topic)]);
+    },
+    resume: topics => {
+      if (!live.ran) throw new Error('Consumer group was not initialized, consumer#run must be called first');
+      if (live.failResume) throw new Error('broker went away');
+      live.calls.push(['resume', ...topics.map(t => t.topic)]);
+    }
+  });
+  return consumer;
+};
+
+const { pool } = require('../src/database/dbConnection');
+let progress;
+pool.query = async (sql, params) => {
+  if (sql.includes('UPDATE sync_bootstrap_runs')) {
+    progress.push({ processed: params[0], checkpoint: JSON.parse(params[4]) });
+  }
+  return { rows: [] };
+};
+
+const consumerModule = require('../src/kafka/consumer');
+let handled;
+let onHandle;
+consumerModule.handleMessage = async (topic, partition, message) => {
+  handled.push({ topic, partition, offset: message.offset, eventId: message.headers && message.headers['event-id'] });
+  if (onHandle) await onHandle();
+  return { applied: true };
+};
+
+const { kafka, initKafkaConsumers, stopKafkaConsumers, getConsumerStatus } = consumerModule;
+const { bootstrapRunner } = require('../src/kafka/bootstrap');
+
+// Kafka side of a run: log end offsets, the bootstrap group's committed offsets
+// and the records the snapshot consumer delivers from there
+let cluster;
+kafka.admin = () => ({
+  connect: async () => {},
+  disconnect: async () => {},
+  fetchTopicOffsets: async topic => cluster.topicOffsets[topic],
+  fetchOffsets: async ({ topics }) => topics.map(topic => ({
+    topic,
+    partitions: Object.entries(cluster.committed[topic] || {}).map(([partition, offset]) => ({ partition: Number(partition), offset }))
+  })),
+  setOffsets: async request => cluster.setOffsets.push(request)
+});
+kafka.consumer = () => ({
+  events: { CRASH: 'consumer.crash' },
+  on: () => {},
+  connect: async () => {},
+  subscribe: async () => {},
+  disconnect: async () => {},
+  run: async ({ eachMessage }) => {
+    for (const [partition, offsets] of Object.entries(cluster.deliver)) {
+      for (const offset of offsets) {
+        await eachMessage({
+          topic: 'sync.products',
+          partition: Number(partition),
+          message: { offset: String(offset), key: null, value: null, headers: {} },
+          heartbeat: async () => {}
+        });
+      }
+    }
+  }
+});
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return fn().finally(() => {
+    console.log = log;
+  });
+}
+
+function run(fields) {
+  bootstrapRunner.current = { id: fields.id, cancelled: false };
+  const method = fields.source_type === 'file' ? 'runFile' : 'runKafka';
+  return quietly(() => bootstrapRunner[method](fields)).finally(() => {
+    bootstrapRunner.current = null;
+  });
+}
+
+beforeEach(async () => {
+  await quietly(() => stopKafkaConsumers());
+  progress = [];
+  handled = [];
+  onHandle = null;
+  live.calls = [];
+  live.failResume = false;
+  cluster = {
+    topicOffsets: { 'sync.products': [{ partition: 0, low: '0', high: '9' }] },
+    committed: {},
+    deliver: {},
+    setOffsets: []
+  };
+});
+
+after(async () => {
+  await quietly(() => stopKafkaConsumers());
+  fs.rmSync(importDir, { recursive: true, force: true });
+});
+
+test('a resumed file run continues after its checkpointed line', async () => {
+  const rows = [1, 2, 3, 4, 5].map(id => JSON.stringify({ id, product_name: `P${id}` }));
+  fs.writeFileSync(path.join(importDir, 'products.jsonl'), rows.join('\n') + '\n');
+
+  const status = await run({
+    id: 7,
+    source_type: 'file',
+    options: { source: 'file', file: 'products.jsonl', format: 'jsonl', table: 'products', sourceRegion: 'india' },
+    checkpoint: { line: 3 },
+    processed: '3', applied: '3', skipped: '0', failed: '0'
+  });
+
+  assert.strictEqual(status, 'completed');
+  assert.deepStrictEqual(handled.map(h => h.eventId), ['bootstrap-7-4', 'bootstrap-7-5']);
+  assert.deepStrictEqual(progress[progress.length - 1], { processed: 5, checkpoint: { line: 5 } });
+});
+
+test('a resumed Kafka run stops at the end offsets captured when it started', async () => {
+  // The topic grew to 9 since the run started at 4; the group had read up to 2
+  cluster.committed = { 'sync.products': { 0: '2' } };
+  cluster.deliver = { 0: [2, 3, 4, 5] };
+
+  const status = await run({
+    id: 8,
+    source_type: 'kafka',
+    options: { source: 'kafka', topics: ['sync.products'], sourceRegion: 'india' },
+    checkpoint: { endOffsets: { 'sync.products': { 0: '4' } } },
+    processed: '2', applied: '2', skipped: '0', failed: '0'
+  });
+
+  assert.strictEqual(status, 'completed');
+  assert.deepStrictEqual(handled.map(h => h.offset), ['2', '3']);
+  assert.deepStrictEqual(progress[progress.length - 1].checkpoint, { endOffsets: { 'sync.products': { 0: '4' } } });
+  // The live consumer isn't running, so its group offsets are set through the admin client
+  assert.deepStrictEqual(cluster.setOffsets, [{
+    groupId: 'china-sync-consumer', topic: 'sync.products', partitions: [{ partition: 0, offset: '4' }]
+  }]);
+});
+
+test('a bootstrap works while the live consumer is stopped', async () => {
+  cluster.deliver = { 0: [0, 1] };
+  cluster.topicOffsets['sync.products'] = [{ partition: 0, low: '0', high: '2' }];
+  onHandle = async () => {
+    assert.deepStrictEqual(getConsumerStatus().bootstrapPaused, ['sync.products']);
+  };
+
+  const status = await run({ id: 9, source_type: 'kafka', options: { source: 'kafka', topics: ['sync.products'] } });
+
+  assert.strictEqual(status, 'completed');
+  assert.deepStrictEqual(live.calls, []);
+  assert.deepStrictEqual(getConsumerStatus().bootstrapPaused, []);
+});
+
+test('a consumer reconnecting during a bootstrap pauses its topics again', async () => {
+  await quietly(() => initKafkaConsumers());
+  cluster.deliver = { 0: [0, 1] };
+  cluster.topicOffsets['sync.products'] = [{ partition: 0, low: '0', high: '2' }];
+
+  let reconnected = false;
+  onHandle = async () => {
+    if (reconnected) return;
+    reconnected = true;
+    await stopKafkaConsumers();
+    await initKafkaConsumers();
+  };
+
+  const status = await run({ id: 10, source_type: 'kafka', options: { source: 'kafka', topics: ['sync.products'] } });
+
+  assert.strictEqual(status, 'completed');
+  assert.deepStrictEqual(live.calls, [
+    ['pause', 'sync.products'],
+    ['pause', 'sync.products'],
+    ['seek', 'sync.products', 0, '2'],
+    ['resume', 'sync.products']
+  ]);
+});
+
+test('a failing resume does not replace the outcome of the run', async () => {
+  await quietly(() => initKafkaConsumers());
+  live.failResume = true;
+  cluster.topicOffsets['sync.products'] = [{ partition: 0, low: '0', high: '0' }];
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const status = await run({ id: 11, source_type: 'kafka', options: { source: 'kafka', topics: ['sync.products'] } });
+    assert.strictEqual(status, 'completed');
+  } finally {
+    console.error = error;
+  }
+  assert.deepStrictEqual(getConsumerStatus().bootstrapPaused, []);
+});
@@ -0,0 +1,196 @@
+// resolveBatch against an in-memory stand-in for Postgres: checks the SQL the
+// resolver writes for new records, updates to existing records and replays.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+
+const { pool } = require('../src/database/dbConnection');
+
+const PRODUCT_COLUMNS = [
+  ['id', 'integer', 'NO', "nextval('products_id_seq'::regclass)"],
+  ['product_name', 'character varying', 'NO', null],
+  ['description', 'text', 'YES', null],
+  ['price', 'numeric', 'NO', null],
+  ['stock_quantity', 'integer', 'YES', '0'],
+  ['category', 'character varying', 'YES', null],
+  ['manufacturer_country', 'character varying', 'YES', null],
+  ['created_by_user_id', 'integer', 'YES', null],
+  ['sync_source', 'character varying', 'YES', null],
+  ['version', 'integer', 'NO', '1'],
+  ['created_at', 'timestamp without time zone', 'YES', 'now()'],
+  ['updated_at', 'timestamp without time zone', 'YES', 'now()'],
+  ['source_updated_at', 'timestamp without time zone', 'YES', null]
+];
+
+// Rows returned by SELECT ... FOR UPDATE, by id
+let existingRows;
+let queries;
+
+const fakeClient = {
+  async query(sql, params = []) {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+
+    if (sql.includes('information_schema.columns')) {
+      return {
+        rows: PRODUCT_COLUMNS.map(([column_name, data_type, is_nullable, column_default]) => ({
+          column_name, data_type, is_nullable, column_default, character_maximum_length: null
+        }))
+      };
+    }
+    if (sql.includes('information_schema.table_constraints')) {
+      return { rows: [{ column_name: 'id' }] };
+    }
+    if (sql.includes('RETURNING event_id')) {
+      // Every event is new: six parameters per claimed row, the event id first
+      return { rows: params.filter((_, i) => i % 6 === 0).map(event_id => ({ event_id })) };
+    }
+    if (sql.includes('FOR UPDATE')) {
+      return { rows: params.flat().map(id => existingRows[id]).filter(Boolean) };
+    }
+    return { rows: [], rowCount: 0 };
+  },
+  release() {}
+};
+
+pool.connect = async () => fakeClient;
+pool.query = (sql, params) => fakeClient.query(sql, params);
+
+const { resolveBatch } = require('../src/kafka/conflictResolver');
+
+// Debezium encodings of the registry types (src/config/schemaRegistry.js)
+function money(value) {
+  return Buffer.from(Math.round(value * 100).toString(16).padStart(4, '0'), 'hex').toString('base64');
+}
+
+function micros(date) {
+  return date.getTime() * 1000;
+}
+
+function productChange({ offset, op, before = null, after }) {
+  return {
+    topic: 'sync.products',
+    route: { topic: 'sync.products', table: 'products' },
+    partition: 0,
+    offset: String(offset),
+    eventId: `test:${offset}`,
+    key: { id: after.id },
+    value: { payload: { op, before, after, source: { connector: 'postgresql', ts_ms: Date.now() } } },
+    source: 'india',
+    destination: 'china'
+  };
+}
+
+function writesTo(table) {
+  return queries.filter(({ sql }) => /^(INSERT|UPDATE|DELETE)/.test(sql) && sql.includes(` ${table} `));
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return fn().finally(() => {
+    console.log = log;
+  });
+}
+
+beforeEach(() => {
+  existingRows = {};
+  queries = [];
+});
+
+test('an accepted column of an existing product is written with UPDATE, not INSERT', async () => {
+  const past = new Date(Date.now() - 60 * 60 * 1000);
+  existingRows[2] = {
+    id: 2, product_name: 'Green tea', description: null, price: '19.99', stock_quantity: 10,
+    category: 'Tea', manufacturer_country: 'China', created_by_user_id: 1, sync_source: 'china',
+    version: 3, created_at: past, updated_at: past, source_updated_at: past
+  };
+
+  const now = new Date();
+  const [decision] = await quietly(() => resolveBatch([productChange({
+    offset: 1,
+    op: 'u',
+    before: { id: 2, stock_quantity: 10 },
+    after: {
+      id: 2, product_name: 'Green tea', price: money(19.99), stock_quantity: 7, category: 'Tea',
+      version: 4, updated_at: micros(now), source_updated_at: micros(now)
+    }
+  })]));
+
+  assert.strictEqual(decision.applied, true);
+  assert.deepStrictEqual(decision.appliedColumns, ['stock_quantity']);
+
+  const writes = writesTo('products');
+  assert.strictEqual(writes.length, 1);
+  assert.match(writes[0].sql, /^UPDATE products SET stock_quantity = \$1, .*WHERE id = \$\d+$/);
+  assert.doesNotMatch(writes[0].sql, /product_name/);
+  assert.deepStrictEqual([writes[0].params[0], writes[0].params[writes[0].params.length - 1]], [7, 2]);
+});
+
+test('a product the destination does not have yet is inserted', async () => {
+  const now = new Date();
+  const [decision] = await quietly(() => resolveBatch([productChange({
+    offset: 2,
+    op: 'c',
+    after: {
+      id: 5, product_name: 'Oolong', price: money(12.5), stock_quantity: 3, category: 'Tea',
+      version: 1, updated_at: micros(now), source_updated_at: micros(now)
+    }
+  })]));
+
+  assert.strictEqual(decision.operation, 'c');
+
+  const writes = writesTo('products');
+  assert.strictEqual(writes.length, 1);
+  assert.match(writes[0].sql, /^INSERT INTO products \(/);
+  assert.match(writes[0].sql, /ON CONFLICT \(id\)/);
+});
+
+test('a failing write rolls back the whole batch', async () => {
+  const query = fakeClient.query;
+  fakeClient.query = async (sql, params) => {
+    if (/^\s*(INSERT INTO products|UPDATE products)/.test(sql)) {
+      throw new Error('null value in column "product_name" violates not-null constraint');
+    }
+    return query(sql, params);
+  };
+
+  try {
+    const now = new Date();
+    await assert.rejects(quietly(() => resolveBatch([productChange({
+      offset: 3,
+      op: 'c',
+      after: { id: 6, product_name: 'Puer', price: money(30), version: 1, updated_at: micros(now) }
+    })])), /not-null/);
+  } finally {
+    fakeClient.query = query;
+  }
+
+  assert.ok(queries.some(({ sql }) => sql === 'ROLLBACK'));
+  assert.ok(!queries.some(({ sql }) => sql === 'COMMIT'));
+});
+
+test('a new product without a NOT NULL column that has no default is dead-lettered unwritten', async () => {
+  const now = new Date();
+  await assert.rejects(quietly(() => resolveBatch([productChange({
+    offset: 4,
+    op: 'c',
+    after: { id: 8, product_name: 'Tieguanyin', version: 1, updated_at: micros(now) }
+  })])), error => error.retryable === false && error.code === 'missing_column' && /products\.price/.test(error.message));
+
+  assert.strictEqual(writesTo('products').length, 0);
+  assert.ok(queries.some(({ sql }) => sql === 'ROLLBACK'));
+});
+
+test('columns with a default that a new product lacks are left to Postgres', async () => {
+  const now = new Date();
+  await quietly(() => resolveBatch([productChange({
+    offset: 5,
+    op: 'c',
+    after: { id: 9, product_name: 'Longjing', price: money(42), updated_at: micros(now) }
+  })]));
+
+  const [insert] = writesTo('products');
+  assert.doesNotMatch(insert.sql, /stock_quantity|created_at/);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { decide, toMillis } = require('../src/kafka/conflictStrategies');
+
+const T0 = Date.parse('2026-10-01T12:00:00Z');
+
+function at(offsetMs, extra = {}) {
+  return { updated_at: new Date(T0 + offsetMs).toISOString(), version: 1, ...extra };
+}
+
+function decideSales(incoming, existing) {
+  return decide({
+    tableName: 'sales',
+    columns: ['quantity'],
+    incoming,
+    existing,
+    columnWriters: {},
+    source: 'india',
+    destination: 'china',
+    operation: 'u'
+  }).columns.quantity;
+}
+
+test('Debezium microsecond timestamps are converted to milliseconds', () => {
+  assert.strictEqual(toMillis(T0 * 1000), T0);
+  assert.strictEqual(toMillis(new Date(T0).toISOString()), T0);
+  assert.strictEqual(toMillis(null), null);
+  assert.strictEqual(toMillis('not a date'), null);
+});
+
+test('last write wins: the newer origin timestamp wins', () => {
+  assert.deepStrictEqual(decideSales(at(5000), at(0)),
+    { strategy: 'lww', winner: 'incoming', reason: 'newer_timestamp' });
+  assert.deepStrictEqual(decideSales(at(0), at(5000)),
+    { strategy: 'lww', winner: 'existing', reason: 'older_timestamp' });
+});
+
+test('last write wins prefers source_updated_at over the local updated_at', () => {
+  const existing = at(60000, { source_updated_at: new Date(T0).toISOString() });
+  assert.strictEqual(decideSales(at(5000), existing).winner, 'incoming');
+});
+
+test('last write wins falls back to the version when timestamps tie', () => {
+  assert.strictEqual(decideSales(at(50, { version: 4 }), at(0, { version: 3 })).reason, 'higher_version');
+  assert.strictEqual(decideSales(at(50, { version: 3 }), at(0, { version: 3 })).reason, 'same_or_older_version');
+});
+
+test('a change without a timestamp never overwrites', () => {
+  assert.deepStrictEqual(decideSales({ version: 9 }, at(0)),
+    { strategy: 'lww', winner: 'existing', reason: 'missing_incoming_timestamp' });
+});
+
+test('column overrides: each region wins the products columns it owns', () => {
+  const decision = decide({
+    tableName: 'products',
+    columns: ['price', 'stock_quantity', 'category'],
+    incoming: at(5000),
+    existing: at(0),
+    columnWriters: {},
+    source: 'india',
+    destination: 'china',
+    operation: 'u'
+  });
+
+  assert.deepStrictEqual(decision.columns.price, { strategy: 'source-region-wins', winner: 'existing', reason: 'owned_by_china' });
+  assert.deepStrictEqual(decision.columns.stock_quantity, { strategy: 'source-region-wins', winner: 'incoming', reason: 'owned_by_india' });
+  assert.deepStrictEqual(decision.columns.category, { strategy: 'lww', winner: 'incoming', reason: 'newer_timestamp' });
+});
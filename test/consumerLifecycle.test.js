@@ -0,0 +1,182 @@
+// Live consumer lifecycle against fake Kafka clients: admin pauses persisted
+// across restarts, offset resets and draining on shutdown.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Kafka } = require('kafkajs');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+
+// The live consumer behaves like kafkajs: pause/resume throw until run() was called
+const live = { ran: false, calls: [], disconnects: 0, disconnect: null };
+const createConsumer = Kafka.prototype.consumer;
+Kafka.prototype.consumer = function (options) {
+  const consumer = createConsumer.call(this, options);
+  Object.assign(consumer, {
+    connect: async () => {},
+    subscribe: async () => {},
+    run: async () => {
+      live.ran = true;
+    },
+    disconnect: async () => {
+      live.disconnects++;
+      if (live.disconnect) await live.disconnect;
+      live.ran = false;
+    },
+    seek: seek => live.calls.push(['seek', seek.topic, seek.partition, seek.offset]),
+    commitOffsets: async offsets => live.calls.push(['commit', ...offsets.map(o => `${o.topic}[${o.partition}]@${o.offset}`)]),
+    paused: () => [],
+    pause: topics => {
+      if (!live.ran) throw new Error('Consumer group was not initialized, consumer#run must be called first');
+      live.calls.push(['pause', ...topics.map(t => t.topic)]);
+    },
+    resume: topics => {
+      if (!live.ran) throw new Error('Consumer group was not initialized, consumer#run must be called first');
+      live.calls.push(['resume', ...topics.map(t => t.topic)]);
+    }
+  });
+  return consumer;
+};
+
+const { pool } = require('../src/database/dbConnection');
+
+// sync_consumer_pauses
+let pauses;
+pool.query = async (sql, params = []) => {
+  if (sql.includes('INSERT INTO sync_consumer_pauses')) {
+    pauses.set(params[0], params[1]);
+  } else if (sql.includes('DELETE FROM sync_consumer_pauses')) {
+    params[0].forEach(topic => pauses.delete(topic));
+  } else if (sql.includes('SELECT topic FROM sync_consumer_pauses')) {
+    return { rows: [...pauses.keys()].sort().map(topic => ({ topic })) };
+  }
+  return { rows: [] };
+};
+
+const {
+  kafka, initKafkaConsumers, stopKafkaConsumers, getConsumerStatus,
+  pauseConsumption, resumeConsumption, resetOffsets
+} = require('../src/kafka/consumer');
+
+// Two partitions of sync.products and sync.sales on the cluster
+let setOffsets;
+kafka.admin = () => ({
+  connect: async () => {},
+  disconnect: async () => {},
+  listTopics: async () => ['__consumer_offsets', 'sync.products', 'sync.sales', 'sync.users'],
+  fetchTopicOffsets: async () => [
+    { partition: 0, offset: '120', high: '120', low: '0' },
+    { partition: 1, offset: '80', high: '80', low: '0' }
+  ],
+  fetchTopicOffsetsByTimestamp: async (topic, ms) => [{ partition: 0, offset: String(ms % 100) }, { partition: 1, offset: '7' }],
+  setOffsets: async request => setOffsets.push(request)
+});
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+beforeEach(async () => {
+  await quietly(() => stopKafkaConsumers());
+  live.calls = [];
+  live.disconnects = 0;
+  live.disconnect = null;
+  pauses = new Map();
+  setOffsets = [];
+  // Drop the admin pauses earlier tests left in the consumer's state
+  await quietly(() => resumeConsumption(getConsumerStatus().adminPaused));
+});
+
+test('an admin pause is persisted and survives a restart until resumed', async () => {
+  await quietly(() => initKafkaConsumers());
+  const status = await quietly(() => pauseConsumption(['sync.sales'], 'admin'));
+
+  assert.deepStrictEqual(status.adminPaused, ['sync.sales']);
+  assert.deepStrictEqual([...pauses], [['sync.sales', 'admin']]);
+  assert.deepStrictEqual(live.calls, [['pause', 'sync.sales']]);
+
+  await quietly(() => stopKafkaConsumers());
+  live.calls = [];
+  await quietly(() => initKafkaConsumers());
+  assert.deepStrictEqual(live.calls, [['pause', 'sync.sales']]);
+
+  await quietly(() => resumeConsumption(['sync.sales']));
+  assert.strictEqual(pauses.size, 0);
+  assert.deepStrictEqual(live.calls.at(-1), ['resume', 'sync.sales']);
+  assert.deepStrictEqual(getConsumerStatus().adminPaused, []);
+});
+
+test('only consumed topics can be paused', async () => {
+  await assert.rejects(pauseConsumption(['sync.sales', 'orders'], 'admin'),
+    error => error.status === 404 && /Not a consumed topic: orders/.test(error.message));
+  assert.strictEqual(pauses.size, 0);
+});
+
+test('a pause while the consumer is down applies once it runs', async () => {
+  await quietly(() => pauseConsumption(['sync.products'], 'admin'));
+  assert.deepStrictEqual(live.calls, []);
+
+  await quietly(() => initKafkaConsumers());
+  assert.deepStrictEqual(live.calls, [['pause', 'sync.products']]);
+});
+
+test('offset resets need exactly one valid target', async () => {
+  for (const [request, message] of [
+    [{ topic: 'sync.sales' }, /either offset or timestamp/],
+    [{ topic: 'sync.sales', offset: 5, timestamp: '2026-10-01T00:00:00Z' }, /either offset or timestamp/],
+    [{ topic: 'sync.sales', offset: -1 }, /offset must be a non-negative integer/],
+    [{ topic: 'sync.sales', offset: '1e3' }, /offset must be a non-negative integer/],
+    [{ topic: 'sync.sales', timestamp: 'last tuesday' }, /timestamp must be an ISO date/]
+  ]) {
+    await assert.rejects(resetOffsets(request), error => error.status === 400 && message.test(error.message));
+  }
+  await assert.rejects(resetOffsets({ topic: 'orders', offset: 0 }), error => error.status === 404);
+  await assert.rejects(resetOffsets({ topic: 'sync.sales', partition: 9, offset: 0 }),
+    error => error.status === 404 && /Partition 9 not found/.test(error.message));
+  assert.deepStrictEqual(setOffsets, []);
+});
+
+test('a stopped consumer has its group offsets written through the admin client', async () => {
+  const offsets = await quietly(() => resetOffsets({ topic: 'sync.sales', partition: '1', offset: '40' }));
+
+  assert.deepStrictEqual(offsets, [{ topic: 'sync.sales', partition: 1, offset: '40' }]);
+  assert.deepStrictEqual(setOffsets.map(({ topic, partitions }) => [topic, partitions]), [
+    ['sync.sales', [{ partition: 1, offset: '40' }]]
+  ]);
+  assert.deepStrictEqual(live.calls, []);
+});
+
+test('a running consumer seeks in place and commits the new offsets', async () => {
+  await quietly(() => initKafkaConsumers());
+  const offsets = await quietly(() => resetOffsets({ topic: 'sync.products', timestamp: 1760000000042 }));
+
+  assert.deepStrictEqual(offsets.map(o => o.offset), ['42', '7']);
+  assert.deepStrictEqual(live.calls, [
+    ['seek', 'sync.products', 0, '42'],
+    ['seek', 'sync.products', 1, '7'],
+    ['commit', 'sync.products[0]@42', 'sync.products[1]@7']
+  ]);
+  assert.deepStrictEqual(setOffsets, []);
+});
+
+test('shutdown drains the consumer once, however often it is asked', async () => {
+  await quietly(() => initKafkaConsumers());
+  let finishDisconnect;
+  live.disconnect = new Promise(resolve => { finishDisconnect = resolve; });
+
+  const stopping = quietly(() => Promise.all([stopKafkaConsumers(), stopKafkaConsumers()]));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(getConsumerStatus().stopping, true);
+  finishDisconnect();
+  await stopping;
+
+  assert.strictEqual(live.disconnects, 1);
+  assert.deepStrictEqual([getConsumerStatus().running, getConsumerStatus().stopping], [false, false]);
+  await quietly(() => stopKafkaConsumers());
+  assert.strictEqual(live.disconnects, 1);
+});
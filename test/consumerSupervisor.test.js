@@ -0,0 +1,136 @@
+// The consumer supervisor against a stubbed live consumer: background retries
+// with backoff after a failed start, reconnects after crashes and shutdown.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.KAFKA_RECONNECT_INITIAL_DELAY_MS = '5';
+process.env.KAFKA_RECONNECT_MAX_DELAY_MS = '20';
+
+const consumerModule = require('../src/kafka/consumer');
+const retry = require('../src/utils/retry');
+const { bootstrapRunner } = require('../src/kafka/bootstrap');
+
+// What the live consumer does on each initKafkaConsumers call, in order
+let outcomes = [];
+let calls = [];
+let crash;
+consumerModule.initKafkaConsumers = async () => {
+  calls.push('init');
+  const outcome = outcomes.shift();
+  if (outcome instanceof Error) throw outcome;
+  if (outcome) await outcome;
+};
+consumerModule.stopKafkaConsumers = async () => {
+  calls.push('stop');
+};
+consumerModule.onConsumerCrash = listener => {
+  crash = listener;
+};
+
+let delays = [];
+const backoffDelay = retry.backoffDelay;
+retry.backoffDelay = (attempt, options) => {
+  const delay = backoffDelay(attempt, options);
+  delays.push(delay);
+  return delay;
+};
+
+let resumed;
+bootstrapRunner.isRunning = () => false;
+bootstrapRunner.resumeInterrupted = async () => {
+  resumed++;
+};
+
+const { consumerSupervisor } = require('../src/kafka/consumerSupervisor');
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+/**
+ * Wait (quietly) until the supervisor reaches a state
+ */
+function reaches(state) {
+  return quietly(async () => {
+    const deadline = Date.now() + 2000;
+    while (consumerSupervisor.state !== state) {
+      if (Date.now() > deadline) throw new Error(`supervisor stuck in ${consumerSupervisor.state}, not ${state}`);
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+  });
+}
+
+beforeEach(async () => {
+  await quietly(() => consumerSupervisor.stop());
+  Object.assign(consumerSupervisor, { reconnects: 0, lastError: null, connectedAt: null });
+  outcomes = [];
+  calls = [];
+  delays = [];
+  resumed = 0;
+});
+
+test('a failed start keeps retrying in the background with growing delays', async () => {
+  outcomes = [new Error('Connection timeout'), new Error('Connection timeout'), new Error('Connection timeout')];
+
+  await quietly(() => consumerSupervisor.start());
+  // start() returns after the first attempt so the API can serve meanwhile
+  const status = consumerSupervisor.getStatus();
+  assert.deepStrictEqual([status.state, status.attempt, status.lastError.during], ['waiting', 1, 'connect']);
+  assert.ok(status.nextAttemptAt > new Date(Date.now() - 1000));
+
+  await reaches('connected');
+  assert.deepStrictEqual(delays, [5, 10, 20]);
+  // Every attempt starts from a clean consumer
+  assert.deepStrictEqual(calls, ['stop', 'init', 'stop', 'init', 'stop', 'init', 'stop', 'init']);
+  assert.deepStrictEqual([consumerSupervisor.attempt, consumerSupervisor.nextAttemptAt], [0, null]);
+  // An interrupted bootstrap is picked up once connected
+  assert.strictEqual(resumed, 1);
+});
+
+test('a crash kafkajs gives up on reattaches the consumer, backing off from the start', async () => {
+  await quietly(() => consumerSupervisor.start());
+  assert.strictEqual(consumerSupervisor.state, 'connected');
+
+  outcomes = [new Error('Connection refused')];
+  await quietly(async () => crash(new Error('The group is rebalancing')));
+  assert.deepStrictEqual([consumerSupervisor.state, consumerSupervisor.reconnects], ['waiting', 1]);
+  assert.strictEqual(consumerSupervisor.lastError.during, 'run');
+
+  await reaches('connected');
+  assert.deepStrictEqual(delays, [5, 5]);
+  assert.strictEqual(resumed, 2);
+});
+
+test('stopping cancels the pending retry and ignores later crashes', async () => {
+  outcomes = [new Error('Connection timeout')];
+  await quietly(() => consumerSupervisor.start());
+  await quietly(() => consumerSupervisor.stop());
+
+  calls = [];
+  crash(new Error('late crash'));
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  assert.deepStrictEqual([consumerSupervisor.state, consumerSupervisor.timer, consumerSupervisor.reconnects], ['stopped', null, 0]);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('stopping mid-connect waits for the attempt and then drains it', async () => {
+  let finishInit;
+  outcomes = [new Promise(resolve => { finishInit = resolve; })];
+
+  const starting = quietly(() => consumerSupervisor.start());
+  const stopping = quietly(() => consumerSupervisor.stop());
+  finishInit();
+  await Promise.all([starting, stopping]);
+
+  assert.strictEqual(consumerSupervisor.state, 'stopped');
+  assert.deepStrictEqual(calls, ['stop', 'init', 'stop', 'stop']);
+  assert.strictEqual(resumed, 0);
+});
@@ -0,0 +1,162 @@
+// The /api/sync/dlq routes against an in-memory sync_dead_letters table:
+// parameter validation and replays claiming their entry before processing.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.API_KEY = 'test-api-key';
+process.env.ADMIN_JWT_SECRET = 'test-admin-secret';
+
+const { pool } = require('../src/database/dbConnection');
+
+let deadLetters;
+pool.query = async (sql, params = []) => {
+  const find = id => deadLetters.find(entry => String(entry.id) === String(id));
+
+  if (sql.includes("SET status = 'replaying'")) {
+    const entry = find(params[0]);
+    if (!entry || entry.status !== 'pending') return { rows: [] };
+    entry.status = 'replaying';
+    return { rows: [{ ...entry }] };
+  }
+  if (sql.includes("SET status = 'pending'")) {
+    const entry = find(params[0]);
+    if (entry && entry.status === 'replaying') entry.status = 'pending';
+    return { rows: [] };
+  }
+  if (sql.includes('SET status = $1, resolved_by = $2')) {
+    const [status, resolvedBy, id, expectedStatus] = params;
+    const entry = find(id);
+    if (!entry || entry.status !== expectedStatus) return { rows: [] };
+    Object.assign(entry, { status, resolved_by: resolvedBy, resolved_at: new Date() });
+    return { rows: [{ id: entry.id, status, resolved_by: resolvedBy, resolved_at: entry.resolved_at }] };
+  }
+  if (sql.includes('SELECT * FROM sync_dead_letters WHERE id = $1')) {
+    const entry = find(params[0]);
+    return { rows: entry ? [{ ...entry }] : [] };
+  }
+  if (sql.includes('SELECT COUNT(*) FROM sync_dead_letters')) {
+    return { rows: [{ count: String(deadLetters.length) }] };
+  }
+  if (sql.includes('FROM sync_dead_letters')) {
+    const [limit, offset] = params.slice(-2);
+    return { rows: deadLetters.slice(offset, offset + limit) };
+  }
+  return { rows: [] };
+};
+
+// Replays go through the normal processing path up to conflict resolution
+let resolve;
+const conflictResolver = require('../src/kafka/conflictResolver');
+conflictResolver.resolveConflict = input => resolve(input);
+
+const syncRoutes = require('../src/routes/sync.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sync', syncRoutes);
+
+let server;
+let baseUrl;
+const token = jwt.sign({ username: 'ops', role: 'admin', region: 'admin' }, process.env.ADMIN_JWT_SECRET);
+
+function request(method, path) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'x-api-key': process.env.API_KEY, authorization: `Bearer ${token}` }
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+function deadLetter(id) {
+  return {
+    id,
+    topic: 'sync.products',
+    kafka_partition: 0,
+    kafka_offset: String(id),
+    message_key: JSON.stringify({ id }),
+    message_value: JSON.stringify({ payload: { op: 'u', _sync_origin: 'india', after: { id } } }),
+    headers: {},
+    status: 'pending'
+  };
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolveListen => server.once('listening', resolveListen));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/sync`;
+});
+
+after(() => new Promise(resolveClose => server.close(resolveClose)));
+
+beforeEach(() => {
+  deadLetters = [deadLetter(1), deadLetter(2)];
+  resolve = async () => ({ source: 'india', destination: 'china', table: 'products', applied: true, reason: 'new_record' });
+});
+
+test('limit and offset must be non-negative integers', async () => {
+  for (const query of ['limit=-1', 'limit=ten', 'offset=1.5', 'offset=-3']) {
+    const { status, body } = await quietly(() => request('GET', `/dlq?${query}`));
+    assert.strictEqual(status, 400, query);
+    assert.strictEqual(body.error, 'limit and offset must be non-negative integers');
+  }
+
+  const { status, body } = await quietly(() => request('GET', '/dlq?limit=500&offset=1'));
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual([body.limit, body.offset, body.entries.map(entry => entry.id)], [200, 1, [2]]);
+});
+
+test('dead letter ids must be integers', async () => {
+  for (const [method, path] of [['GET', '/dlq/abc'], ['POST', '/dlq/1.5/replay'], ['DELETE', '/dlq/-1'], ['GET', '/dlq/1%20OR%201=1']]) {
+    const { status } = await quietly(() => request(method, path));
+    assert.strictEqual(status, 400, `${method} ${path}`);
+  }
+  assert.strictEqual((await quietly(() => request('GET', '/dlq/9'))).status, 404);
+});
+
+test('a replay claims its entry, so a concurrent replay or discard gets 409', async () => {
+  let finish;
+  resolve = () => new Promise(resolveDecision => {
+    finish = () => resolveDecision({ source: 'india', destination: 'china', table: 'products', applied: true });
+  });
+
+  const first = quietly(() => request('POST', '/dlq/1/replay'));
+  while (!finish) await new Promise(resolveTick => setTimeout(resolveTick, 5));
+  assert.strictEqual(deadLetters[0].status, 'replaying');
+
+  const second = await quietly(() => request('POST', '/dlq/1/replay'));
+  assert.strictEqual(second.status, 409);
+  assert.match(second.body.error, /already replaying/);
+  assert.strictEqual((await quietly(() => request('DELETE', '/dlq/1'))).status, 409);
+
+  finish();
+  const replayed = await first;
+  assert.strictEqual(replayed.status, 200);
+  assert.strictEqual(replayed.body.entry.status, 'replayed');
+  assert.strictEqual(deadLetters[0].resolved_by, 'ops');
+});
+
+test('a failed replay hands the entry back for another attempt', async () => {
+  resolve = async () => {
+    throw new Error('deadlock detected');
+  };
+  const failed = await quietly(() => request('POST', '/dlq/2/replay'));
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(deadLetters[1].status, 'pending');
+
+  const discarded = await quietly(() => request('DELETE', '/dlq/2'));
+  assert.strictEqual(discarded.status, 200);
+  assert.strictEqual(deadLetters[1].status, 'discarded');
+  assert.strictEqual((await quietly(() => request('POST', '/dlq/2/replay'))).status, 409);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getEventId } = require('../src/kafka/eventLedger');
+
+function event(payload, { offset = '10', headers } = {}) {
+  return { topic: 'sync.products', partition: 1, message: { offset, headers }, value: { payload } };
+}
+
+const streamed = {
+  op: 'u',
+  source: { db: 'india_db', table: 'products', lsn: 24023128, txId: 555, snapshot: 'false' }
+};
+
+test('streamed changes are identified by LSN, so a redelivery at another offset is the same event', () => {
+  const id = getEventId(event(streamed, { offset: '10' }));
+  assert.strictEqual(id, 'lsn:india_db.products:24023128:555');
+  assert.strictEqual(getEventId(event(streamed, { offset: '99' })), id);
+});
+
+test('snapshot rows sharing one LSN and txId get distinct ids from their Kafka coordinates', () => {
+  const source = { db: 'india_db', table: 'products', lsn: 24023128, txId: 555, snapshot: 'true' };
+  const ids = ['10', '11', '12'].map(offset => getEventId(event({ op: 'r', source }, { offset })));
+
+  assert.deepStrictEqual(ids, ['kafka:sync.products:1:10', 'kafka:sync.products:1:11', 'kafka:sync.products:1:12']);
+});
+
+test('the last snapshot row is recognised by source.snapshot alone', () => {
+  const source = { db: 'india_db', table: 'products', lsn: 24023128, txId: 555, snapshot: 'last' };
+  assert.strictEqual(getEventId(event({ op: 'c', source })), 'kafka:sync.products:1:10');
+});
+
+test('an event-id header or an outbox event id takes precedence', () => {
+  const headers = { 'event-id': Buffer.from('bootstrap-7') };
+  assert.strictEqual(getEventId(event(streamed, { headers })), 'event:bootstrap-7');
+  assert.strictEqual(getEventId(event({ ...streamed, _event_id: 'outbox-42' })), 'event:outbox-42');
+});
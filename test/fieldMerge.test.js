@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getChangedColumns } = require('../src/kafka/fieldMerge');
+const { decide, getSourceColumns } = require('../src/kafka/conflictStrategies');
+
+const T0 = Date.parse('2026-10-01T12:00:00Z');
+
+test('only columns that differ between the before and after images are candidates', () => {
+  const before = { id: 1, quantity: 2, customer_name: 'A', sale_date: '2026-10-01', _sync_origin: 'india' };
+  const after = { id: 1, quantity: 3, customer_name: 'A', sale_date: '2026-10-01', _sync_origin: 'china' };
+  assert.deepStrictEqual(getChangedColumns(before, after), ['quantity']);
+});
+
+test('without a before image every column counts as changed', () => {
+  assert.strictEqual(getChangedColumns(null, { id: 1, quantity: 3 }), null);
+});
+
+test('a column is compared with its own last write, not the row timestamp', () => {
+  // The row changed recently, but quantity itself was last written long ago
+  const existing = { updated_at: new Date(T0 + 60000).toISOString(), version: 5 };
+  const incoming = { updated_at: new Date(T0 + 30000).toISOString(), version: 2 };
+  const columnWriters = { quantity: { last_writer: 'china', written_at: new Date(T0) } };
+
+  const decision = decide({
+    tableName: 'sales',
+    columns: ['quantity', 'customer_name'],
+    incoming,
+    existing,
+    columnWriters,
+    source: 'india',
+    destination: 'china',
+    operation: 'u'
+  });
+
+  assert.strictEqual(decision.columns.quantity.winner, 'incoming');
+  assert.strictEqual(decision.columns.customer_name.winner, 'existing');
+});
+
+test('source columns limit what a region may change', () => {
+  assert.deepStrictEqual(getSourceColumns('products', 'india'), ['stock_quantity']);
+  assert.strictEqual(getSourceColumns('products', 'china'), null);
+  assert.strictEqual(getSourceColumns('sales', 'india'), null);
+});
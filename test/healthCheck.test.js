@@ -0,0 +1,124 @@
+// Readiness (GET /health/ready) from the states of the database, the live
+// consumer and the resolver producer: ready, degraded while sync is impaired,
+// unavailable only without the database.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.HEALTH_MAX_LAG = '100';
+process.env.HEALTH_STALL_AFTER_MS = '60000';
+
+const { pool } = require('../src/database/dbConnection');
+
+let databaseDown;
+pool.query = async () => {
+  if (databaseDown) throw new Error('connect ECONNREFUSED 127.0.0.1:5432');
+  return { rows: [{ '?column?': 1 }] };
+};
+
+const consumerModule = require('../src/kafka/consumer');
+const conflictResolver = require('../src/kafka/conflictResolver');
+const { consumerSupervisor } = require('../src/kafka/consumerSupervisor');
+
+let consumer;
+let partitions;
+let producer;
+consumerModule.getConsumerStatus = () => consumer;
+consumerModule.getPartitionLag = () => partitions;
+conflictResolver.getProducerStatus = () => producer;
+
+const { getLiveness, getReadiness } = require('../src/utils/healthCheck');
+
+function runningConsumer() {
+  return {
+    groupId: 'china-sync-consumer',
+    running: true,
+    connected: true,
+    membership: { memberId: 'm-1', isLeader: true },
+    lastBatchAt: new Date(),
+    lastError: null,
+    paused: []
+  };
+}
+
+beforeEach(() => {
+  databaseDown = false;
+  consumer = runningConsumer();
+  partitions = [{ topic: 'sync.products', partition: 0, lag: 3 }];
+  producer = { connected: true, connectedAt: new Date(), lastError: null };
+  Object.assign(consumerSupervisor, { state: 'connected', nextAttemptAt: null });
+});
+
+test('liveness only needs the process', () => {
+  databaseDown = true;
+  assert.strictEqual(getLiveness().status, 'alive');
+});
+
+test('everything up is ready', async () => {
+  const readiness = await getReadiness();
+
+  assert.deepStrictEqual([readiness.status, readiness.httpStatus, readiness.sync], ['ready', 200, 'running']);
+  assert.strictEqual(readiness.checks.database.status, 'up');
+  assert.deepStrictEqual(readiness.checks.kafkaConsumer.problems, []);
+  assert.strictEqual(readiness.checks.kafkaConsumer.lag.total, 3);
+});
+
+test('a consumer that never started leaves the API up but degraded', async () => {
+  consumer = { ...runningConsumer(), running: false, connected: false, membership: null, lastBatchAt: null,
+    lastError: { message: 'Connection timeout' } };
+  partitions = [];
+  const nextAttemptAt = new Date('2026-10-19T08:00:00Z');
+  Object.assign(consumerSupervisor, { state: 'waiting', nextAttemptAt });
+
+  const readiness = await getReadiness();
+
+  assert.deepStrictEqual([readiness.status, readiness.httpStatus, readiness.sync], ['degraded', 200, 'disabled']);
+  assert.deepStrictEqual(readiness.checks.kafkaConsumer.problems, [
+    'consumer not running: Connection timeout (reconnecting at 2026-10-19T08:00:00.000Z)'
+  ]);
+  assert.strictEqual(readiness.checks.kafkaConsumer.supervisor.state, 'waiting');
+});
+
+test('lag over the threshold or not being worked off degrades sync', async () => {
+  consumer.lastBatchAt = new Date(Date.now() - 2 * 60 * 1000);
+  partitions = [
+    { topic: 'sync.products', partition: 0, lag: 150 },
+    { topic: 'sync.sales', partition: 0, lag: 0 }
+  ];
+
+  const readiness = await getReadiness();
+
+  assert.deepStrictEqual([readiness.status, readiness.sync], ['degraded', 'impaired']);
+  assert.deepStrictEqual(readiness.checks.kafkaConsumer.problems, [
+    'sync.products[0] lag 150 > 100',
+    'sync.products[0] stalled with lag 150'
+  ]);
+  assert.deepStrictEqual(readiness.checks.kafkaConsumer.lag.partitions.map(p => [p.overThreshold, p.stalled]),
+    [[true, true], [false, false]]);
+});
+
+test('a consumer between group generations is degraded', async () => {
+  consumer.membership = null;
+  const readiness = await getReadiness();
+  assert.deepStrictEqual(readiness.checks.kafkaConsumer.problems, ['consumer not in its group (rebalancing)']);
+});
+
+test('a producer failing since its last connect degrades sync, an unused one does not', async () => {
+  producer = { connected: false, connectedAt: null, lastError: null };
+  assert.strictEqual((await getReadiness()).status, 'ready');
+  assert.strictEqual((await getReadiness()).checks.resolverProducer.status, 'idle');
+
+  const connectedAt = new Date(Date.now() - 1000);
+  producer = { connected: false, connectedAt, lastError: { message: 'broker down', at: new Date() } };
+  const readiness = await getReadiness();
+  assert.deepStrictEqual([readiness.status, readiness.checks.resolverProducer.status], ['degraded', 'degraded']);
+});
+
+test('without the database the service is unavailable', async () => {
+  databaseDown = true;
+  const readiness = await getReadiness();
+
+  assert.deepStrictEqual([readiness.status, readiness.httpStatus], ['unavailable', 503]);
+  assert.match(readiness.checks.database.error, /ECONNREFUSED/);
+});
@@ -0,0 +1,123 @@
+// POST /api/auth/login against an in-memory users table: failed attempts lock
+// the account at LOGIN_MAX_ATTEMPTS, and a successful login starts the count over.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_IP_MAX_ATTEMPTS = '100';
+process.env.LOGIN_MAX_DELAY_MS = '1';
+
+const { pool } = require('../src/database/dbConnection');
+
+let user;
+let events;
+
+pool.query = async (sql, params = []) => {
+  sql = sql.replace(/\s+/g, ' ').trim();
+  const now = new Date();
+
+  if (sql.startsWith('SELECT * FROM users WHERE username = $1')) {
+    return { rows: params[0] === user.username ? [{ ...user }] : [] };
+  }
+  if (sql.startsWith('UPDATE users SET failed_login_attempts = CASE')) {
+    const expired = user.locked_until && user.locked_until <= now;
+    user.failed_login_attempts = expired ? 1 : user.failed_login_attempts + 1;
+    user.locked_until = expired ? null : user.locked_until;
+    return { rows: [{ failed_login_attempts: user.failed_login_attempts, locked_until: user.locked_until }] };
+  }
+  if (sql.startsWith('UPDATE users SET locked_until = NOW()')) {
+    user.locked_until = new Date(now.getTime() + params[1] * 60 * 1000);
+    return { rows: [] };
+  }
+  if (sql.startsWith('UPDATE users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL')) {
+    Object.assign(user, { failed_login_attempts: 0, locked_until: null });
+    return { rows: [] };
+  }
+  if (sql.startsWith('INSERT INTO auth_ip_failures')) {
+    return { rows: [{ failures: 1, blocked_until: null }] };
+  }
+  if (sql.startsWith('INSERT INTO auth_events')) {
+    events.push(params[0]);
+    return { rows: [] };
+  }
+  return { rows: [] };
+};
+pool.connect = async () => ({ query: pool.query, release() {} });
+
+const authRoutes = require('../src/routes/auth.routes');
+
+let server;
+let baseUrl;
+let passwordHash;
+
+function login(password) {
+  return fetch(`${baseUrl}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'wei', password })
+  }).then(res => res.status);
+}
+
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, warn });
+  });
+}
+
+async function attempts(...passwords) {
+  const statuses = [];
+  for (const password of passwords) {
+    statuses.push(await quietly(() => login(password)));
+  }
+  return statuses;
+}
+
+before(async () => {
+  // A low cost keeps the test quick; comparePassword follows the hash's own cost
+  passwordHash = await bcrypt.hash('Correct-horse-1', 4);
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  user = {
+    id: 1, username: 'wei', role: 'manager', email: 'wei@example.com', email_verified_at: new Date(),
+    password_hash: passwordHash, is_active: true, failed_login_attempts: 0, locked_until: null
+  };
+  events = [];
+});
+
+test('the account locks after LOGIN_MAX_ATTEMPTS failures in a row', async () => {
+  assert.deepStrictEqual(await attempts('wrong', 'wrong', 'wrong', 'Correct-horse-1'), [401, 401, 401, 429]);
+  assert.deepStrictEqual(events, ['account_locked']);
+});
+
+test('a successful login resets the failure count', async () => {
+  assert.deepStrictEqual(
+    await attempts('wrong', 'wrong', 'Correct-horse-1', 'wrong', 'wrong', 'Correct-horse-1'),
+    [401, 401, 200, 401, 401, 200]
+  );
+  assert.strictEqual(user.failed_login_attempts, 0);
+  assert.deepStrictEqual(events, []);
+});
+
+test('a lock that ran out starts a new count', async () => {
+  await attempts('wrong', 'wrong', 'wrong');
+  user.locked_until = new Date(Date.now() - 1000);
+
+  assert.deepStrictEqual(await attempts('wrong', 'Correct-horse-1'), [401, 200]);
+  assert.strictEqual(user.failed_login_attempts, 0);
+});
@@ -0,0 +1,138 @@
+// The migration runner over the files in migrations/ against an in-memory
+// schema_migrations table: checksums of applied files, --to and reverting.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { pool } = require('../src/database/dbConnection');
+
+// schema_migrations rows by name
+let recorded;
+let statements;
+let failOn;
+
+const client = {
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+
+    if (text.startsWith('SELECT name, checksum, applied_at FROM schema_migrations')) {
+      return { rows: [...recorded.values()].sort((a, b) => a.name.localeCompare(b.name)) };
+    }
+    if (text.startsWith('INSERT INTO schema_migrations')) {
+      recorded.set(params[0], { name: params[0], checksum: params[1], applied_at: new Date() });
+      return { rows: [] };
+    }
+    if (text.startsWith('DELETE FROM schema_migrations')) {
+      recorded.delete(params[0]);
+      return { rows: [] };
+    }
+    if (/^(CREATE TABLE IF NOT EXISTS schema_migrations|SELECT pg_advisory)/.test(text)) {
+      return { rows: [] };
+    }
+    // Migration SQL and transaction control
+    if (failOn && sql === failOn) {
+      throw new Error('relation "users" already exists');
+    }
+    statements.push(['BEGIN', 'COMMIT', 'ROLLBACK'].includes(text) ? text : 'migration');
+    return { rows: [] };
+  },
+  release() {}
+};
+
+pool.connect = async () => client;
+pool.query = (sql, params) => client.query(sql, params);
+
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown, assertMigrationsCurrent } = require('../src/database/migrations');
+
+const migrations = loadMigrations();
+const names = migrations.map(m => m.name);
+
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, warn });
+  });
+}
+
+function markApplied(count) {
+  migrations.slice(0, count).forEach(m => recorded.set(m.name, { name: m.name, checksum: m.checksum, applied_at: new Date() }));
+}
+
+beforeEach(() => {
+  recorded = new Map();
+  statements = [];
+  failOn = null;
+});
+
+test('the migration files are numbered in order and carry their up SQL', () => {
+  assert.ok(names.length >= 10);
+  names.forEach((name, i) => assert.strictEqual(name.slice(0, 3), String(i + 1).padStart(3, '0')));
+  assert.ok(migrations.every(m => /^[0-9a-f]{64}$/.test(m.checksum) && m.up.trim()));
+});
+
+test('pending migrations are applied in order, each in its own transaction', async () => {
+  markApplied(8);
+  const applied = await quietly(() => migrateUp());
+
+  assert.deepStrictEqual(applied, names.slice(8));
+  assert.deepStrictEqual(statements.slice(0, 3), ['BEGIN', 'migration', 'COMMIT']);
+  assert.deepStrictEqual((await getMigrationStatus()).pending, []);
+  assert.strictEqual(recorded.get(names[8]).checksum, migrations[8].checksum);
+});
+
+test('--to stops after the given migration, by number or name', async () => {
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: '2' })), names.slice(0, 2));
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: '004' })), names.slice(2, 4));
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: names[5] })), names.slice(4, 6));
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: `${names[6]}.js` })), [names[6]]);
+  // Extra leading zeros don't cut the number short (0010 is 10, not 1)
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: '0010' })), names.slice(7, 10));
+  // A target that is already applied has nothing left to do
+  assert.deepStrictEqual(await quietly(() => migrateUp({ to: 3 })), []);
+});
+
+test('a --to naming no migration applies nothing', async () => {
+  for (const to of ['0', '999', '', 'latest', '002_no_such_name', '2_create_sync_tables']) {
+    await assert.rejects(quietly(() => migrateUp({ to })), /No migration '.*' to migrate to/, `--to=${to}`);
+  }
+  assert.strictEqual(recorded.size, 0);
+  assert.deepStrictEqual(statements, []);
+});
+
+test('an edited migration file that was already applied blocks migrating and startup', async () => {
+  markApplied(names.length);
+  recorded.get(names[1]).checksum = '0'.repeat(64);
+
+  assert.deepStrictEqual((await getMigrationStatus()).changed, [names[1]]);
+  await assert.rejects(migrateUp(), new RegExp(`Applied migrations were edited: ${names[1]}`));
+  await assert.rejects(migrateDown(), /Applied migrations were edited/);
+  await assert.rejects(assertMigrationsCurrent(), /Applied migrations were edited/);
+});
+
+test('startup needs every migration applied; unknown applied ones only warn', async () => {
+  markApplied(names.length - 1);
+  await assert.rejects(assertMigrationsCurrent(), new RegExp(`Pending migrations: ${names.at(-1)}`));
+
+  markApplied(names.length);
+  recorded.set('099_from_newer_code', { name: '099_from_newer_code', checksum: 'x', applied_at: new Date() });
+  const status = await quietly(() => assertMigrationsCurrent());
+  assert.deepStrictEqual(status.missing, ['099_from_newer_code']);
+});
+
+test('a failing migration rolls back and stops the run', async () => {
+  failOn = migrations[1].up;
+
+  await assert.rejects(quietly(() => migrateUp()), new RegExp(`Migration ${names[1]} failed: relation "users" already exists`));
+  assert.deepStrictEqual([...recorded.keys()], [names[0]]);
+  assert.deepStrictEqual(statements, ['BEGIN', 'migration', 'COMMIT', 'BEGIN', 'ROLLBACK']);
+});
+
+test('down reverts the latest migrations and forgets them', async () => {
+  markApplied(names.length);
+  const reverted = await quietly(() => migrateDown({ steps: 2 }));
+
+  assert.deepStrictEqual(reverted, names.slice(-2).reverse());
+  assert.deepStrictEqual((await getMigrationStatus()).pending, names.slice(-2));
+});
@@ -0,0 +1,192 @@
+// The outbox relay against an in-memory outbox table whose SELECT ... FOR UPDATE
+// SKIP LOCKED behaves like Postgres: rows locked by an open transaction are skipped.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.REGION = 'china';
+process.env.OUTBOX_BATCH_SIZE = '2';
+
+const { pool } = require('../src/database/dbConnection');
+
+let outbox;
+// outbox id -> client holding its row lock
+let locks;
+
+function connect() {
+  const client = {
+    async query(sql, params = []) {
+      sql = sql.replace(/\s+/g, ' ').trim();
+
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+        for (const [id, holder] of locks) {
+          if (holder === client) locks.delete(id);
+        }
+        return { rows: [] };
+      }
+      if (sql.startsWith('INSERT INTO outbox')) {
+        const [event_id, topic, table_name, record_id, operation, payload] = params;
+        outbox.push({
+          id: outbox.length + 1, event_id, topic, table_name, record_id, operation,
+          payload: JSON.parse(payload), published_at: null, attempts: 0, last_error: null
+        });
+        return { rows: [] };
+      }
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        const rows = outbox
+          .filter(row => !row.published_at && !locks.has(row.id))
+          .slice(0, params[0]);
+        rows.forEach(row => locks.set(row.id, client));
+        return { rows: rows.map(row => ({ ...row })) };
+      }
+      if (sql.startsWith('UPDATE outbox SET published_at')) {
+        outbox.filter(row => params[0].includes(row.id)).forEach(row => {
+          Object.assign(row, { published_at: new Date(), attempts: row.attempts + 1, last_error: null });
+        });
+        return { rows: [] };
+      }
+      if (sql.startsWith('UPDATE outbox SET attempts')) {
+        outbox.filter(row => params[1].includes(row.id)).forEach(row => {
+          Object.assign(row, { attempts: row.attempts + 1, last_error: params[0] });
+        });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return client;
+}
+
+pool.connect = async () => connect();
+
+const { enqueueChange, OutboxRelay } = require('../src/kafka/outbox');
+const { getPolicyInfo } = require('../src/kafka/privacyPolicy');
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+function enqueue(tableName, id, operation = 'u') {
+  return enqueueChange(connect(), { tableName, operation, after: { id, name: `row ${id}` } });
+}
+
+/**
+ * A pending outbox row for the relay, whatever the topology sends where
+ */
+function pending(tableName, id) {
+  const event_id = `event-${outbox.length + 1}`;
+  outbox.push({
+    id: outbox.length + 1, event_id, topic: `sync.${tableName}`, table_name: tableName, record_id: String(id),
+    operation: 'u', payload: { payload: { after: { id } } }, published_at: null, attempts: 0, last_error: null
+  });
+}
+
+beforeEach(() => {
+  outbox = [];
+  locks = new Map();
+});
+
+test('a queued change carries a Debezium-style envelope from this region', async () => {
+  const eventId = await enqueue('products', 7, 'c');
+
+  const [row] = outbox;
+  assert.deepStrictEqual([row.event_id, row.topic, row.table_name, row.record_id, row.operation],
+    [eventId, 'sync.products', 'products', '7', 'c']);
+  assert.strictEqual(row.payload.payload.op, 'c');
+  assert.strictEqual(row.payload.payload._sync_origin, 'china');
+  assert.strictEqual(row.payload.payload._event_id, eventId);
+  assert.strictEqual(row.payload.payload.source.connector, 'outbox');
+  assert.deepStrictEqual(row.payload.payload.after, { id: 7, name: 'row 7' });
+});
+
+test('only what the privacy policy lets leave the region is queued', async () => {
+  const after = { id: 8, product_name: 'Oolong', created_by_user_id: 3, creator_name: 'Wei', creator_email: 'wei@example.com' };
+  await enqueueChange(connect(), { tableName: 'products', operation: 'u', before: { ...after, product_name: 'Tea' }, after });
+
+  const { payload } = outbox[0].payload;
+  assert.deepStrictEqual(payload.after, { id: 8, product_name: 'Oolong', created_by_user_id: null });
+  assert.deepStrictEqual(payload.before, { id: 8, product_name: 'Tea', created_by_user_id: null });
+  assert.deepStrictEqual(payload._privacy.actions, { created_by_user_id: 'null', creator_name: 'drop', creator_email: 'drop' });
+  assert.strictEqual(payload._privacy.policy, getPolicyInfo().version);
+
+  // Users never leave their region, and China doesn't send sales anywhere
+  assert.strictEqual(await quietly(() => enqueue('users', 1)), null);
+  assert.strictEqual(await quietly(() => enqueue('sales', 2, 'c')), null);
+  assert.strictEqual(outbox.length, 1);
+});
+
+test('pending rows are published in order, per topic, and marked published', async () => {
+  const published = [];
+  const relay = new OutboxRelay({ publish: async (topic, messages) => published.push({ topic, messages }) });
+  pending('products', 1);
+  pending('sales', 2);
+  pending('products', 3);
+
+  await quietly(() => relay.tick());
+
+  assert.deepStrictEqual(published.map(({ topic, messages }) => [topic, messages.map(m => JSON.parse(m.key).id)]), [
+    ['sync.products', [1]],
+    ['sync.sales', [2]],
+    ['sync.products', [3]]
+  ]);
+  const [first] = published[0].messages;
+  assert.deepStrictEqual(first.headers, { 'event-id': 'event-1', 'sync-origin': 'china' });
+  assert.ok(outbox.every(row => row.published_at && row.attempts === 1));
+  assert.strictEqual(relay.publishedCount, 3);
+
+  // Nothing is published twice
+  await quietly(() => relay.tick());
+  assert.strictEqual(published.length, 3);
+});
+
+test('concurrent relays skip the rows the other has locked', async () => {
+  for (const id of [1, 2, 3, 4]) {
+    await enqueue('products', id);
+  }
+
+  const published = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const publish = async (topic, messages) => {
+    await gate;
+    published.push(...messages.map(m => JSON.parse(m.key).id));
+  };
+  const a = new OutboxRelay({ publish });
+  const b = new OutboxRelay({ publish });
+
+  const batches = quietly(() => Promise.all([a.publishBatch(), b.publishBatch()]));
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+
+  assert.deepStrictEqual(await batches, [2, 2]);
+  assert.deepStrictEqual(published.sort(), [1, 2, 3, 4]);
+});
+
+test('a failed publish leaves the rows pending with the error', async () => {
+  let fail = true;
+  const published = [];
+  const relay = new OutboxRelay({
+    publish: async (topic, messages) => {
+      if (fail) throw new Error('broker not available');
+      published.push(...messages);
+    }
+  });
+  await enqueue('products', 1);
+
+  await quietly(() => relay.tick());
+  assert.deepStrictEqual([outbox[0].published_at, outbox[0].attempts, outbox[0].last_error], [null, 1, 'broker not available']);
+  assert.strictEqual(relay.lastError, 'broker not available');
+  assert.strictEqual(locks.size, 0);
+
+  fail = false;
+  await quietly(() => relay.tick());
+  assert.strictEqual(published.length, 1);
+  assert.deepStrictEqual([Boolean(outbox[0].published_at), outbox[0].attempts, outbox[0].last_error], [true, 2, null]);
+});
@@ -0,0 +1,80 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { pool } = require('../src/database/dbConnection');
+
+let grants;
+let failLookups;
+pool.query = async () => {
+  if (failLookups) throw new Error('connection refused');
+  return { rows: grants.map(([role, permission]) => ({ role, permission })) };
+};
+
+const { requirePermission } = require('../src/auth/authMiddleware');
+const { PERMISSIONS, invalidatePermissionCache } = require('../src/auth/permissions');
+
+/**
+ * Run the middleware: resolves with 'next' or the status and body it answered
+ */
+function check(user, ...permissions) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.code, body });
+      }
+    };
+    requirePermission(...permissions)({ user }, res, () => resolve('next'));
+  });
+}
+
+beforeEach(() => {
+  grants = [
+    ['manufacturer', 'products:read'],
+    ['manager', 'products:read'],
+    ['manager', 'users:read'],
+    ['admin', 'users:read'],
+    ['admin', 'users:manage'],
+    ['admin', 'sync:admin']
+  ];
+  failLookups = false;
+  invalidatePermissionCache();
+});
+
+test('the sync admin API needs sync:admin', async () => {
+  assert.strictEqual(await check({ role: 'admin', region: 'china' }, PERMISSIONS.SYNC_ADMIN), 'next');
+
+  const denied = await check({ role: 'manager', region: 'china' }, PERMISSIONS.SYNC_ADMIN);
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.code, 'permission_denied');
+  assert.strictEqual(denied.body.required, 'sync:admin');
+});
+
+test('every listed permission is required', async () => {
+  const user = { role: 'manager', region: 'china' };
+  assert.strictEqual(await check(user, PERMISSIONS.USERS_READ), 'next');
+  assert.strictEqual((await check(user, PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE)).status, 403);
+});
+
+test('unknown roles have no permissions and requests without a user are refused', async () => {
+  assert.strictEqual((await check({ role: 'intern', region: 'china' }, PERMISSIONS.PRODUCTS_READ)).status, 403);
+  assert.strictEqual((await check(null, PERMISSIONS.PRODUCTS_READ)).status, 401);
+});
+
+test('admin backend tokens have every permission', async () => {
+  assert.strictEqual(await check({ role: 'service', region: 'admin' }, PERMISSIONS.ROLES_MANAGE), 'next');
+});
+
+test('a failed permission lookup answers 503 instead of letting the request through', async () => {
+  failLookups = true;
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual((await check({ role: 'admin', region: 'china' }, PERMISSIONS.SYNC_ADMIN)).status, 503);
+  } finally {
+    console.error = error;
+  }
+});
@@ -0,0 +1,134 @@
+// Runs against a policy written for the test, so every action is covered
+// whatever the shipped policy uses
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-policy-'));
+const policyPath = path.join(dir, 'policy.json');
+fs.writeFileSync(policyPath, JSON.stringify({
+  version: 'test.1',
+  defaults: {
+    columns: { email: 'drop', created_by_user_id: 'null' }
+  },
+  tables: {
+    sales: {
+      columns: { customer_name: 'hash' },
+      directions: {
+        'india->china': {
+          operations: ['c', 'u'],
+          columns: {
+            sale_date: { action: 'generalize', method: 'truncate-date', unit: 'month' },
+            total_amount: { action: 'generalize', method: 'round', step: 10 },
+            address: { action: 'generalize', method: 'split', separator: ',', keep: -1 }
+          }
+        },
+        'china->india': { operations: [] }
+      }
+    }
+  }
+}));
+
+process.env.PRIVACY_POLICY_PATH = policyPath;
+process.env.PRIVACY_HMAC_KEY = 'test-key';
+
+const { applyPolicy, applyOutboundPolicy, isOperationAllowed, loadPolicy, getPolicyInfo } = require('../src/kafka/privacyPolicy');
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('each column gets its action and the actions taken are reported per column', () => {
+  const result = applyPolicy('sales', 'india', 'china', {
+    id: 7,
+    email: 'a@example.com',
+    created_by_user_id: 3,
+    customer_name: 'Asha',
+    sale_date: '2026-10-17',
+    total_amount: 134,
+    address: '12 Park Street, Kolkata',
+    quantity: 2
+  });
+
+  assert.deepStrictEqual(result.row, {
+    id: 7,
+    created_by_user_id: null,
+    customer_name: crypto.createHmac('sha256', 'test-key').update('Asha').digest('hex'),
+    sale_date: '2026-10-01',
+    total_amount: 130,
+    address: 'Kolkata',
+    quantity: 2
+  });
+  assert.deepStrictEqual(result.actions, {
+    email: 'drop',
+    created_by_user_id: 'null',
+    customer_name: 'hash',
+    sale_date: 'generalize',
+    total_amount: 'generalize',
+    address: 'generalize'
+  });
+  assert.deepStrictEqual(result.dropped, ['email']);
+});
+
+test('null values pass through hash and generalize untouched', () => {
+  const result = applyPolicy('sales', 'india', 'china', { customer_name: null, sale_date: null });
+  assert.deepStrictEqual(result.row, { customer_name: null, sale_date: null });
+  assert.deepStrictEqual(result.actions, {});
+});
+
+test('operations are allowed per direction', () => {
+  assert.strictEqual(isOperationAllowed('sales', 'india', 'china', 'c'), true);
+  assert.strictEqual(isOperationAllowed('sales', 'india', 'china', 'd'), false);
+  assert.strictEqual(isOperationAllowed('sales', 'china', 'india', 'u'), false);
+  // Tables without rules fall back to the defaults (every operation)
+  assert.strictEqual(isOperationAllowed('products', 'china', 'india', 'd'), true);
+});
+
+test('a change sent to several regions carries only what they would all receive', () => {
+  const row = { id: 7, email: 'a@example.com', created_by_user_id: 3, customer_name: 'Asha', sale_date: '2026-10-17', quantity: 2 };
+  const result = applyOutboundPolicy('sales', 'india', ['china', 'vietnam'], 'u', row);
+
+  // sale_date is generalized for China only, so neither region gets it
+  assert.deepStrictEqual(result.row, {
+    id: 7,
+    created_by_user_id: null,
+    customer_name: crypto.createHmac('sha256', 'test-key').update('Asha').digest('hex'),
+    quantity: 2
+  });
+  assert.deepStrictEqual(result.actions, { email: 'drop', created_by_user_id: 'null', customer_name: 'hash', sale_date: 'drop' });
+  assert.deepStrictEqual(result.destinations, ['china', 'vietnam']);
+
+  // Only regions that accept the operation count
+  const deleted = applyOutboundPolicy('sales', 'india', ['china', 'vietnam'], 'd', row);
+  assert.deepStrictEqual([deleted.destinations, deleted.row.sale_date], [['vietnam'], '2026-10-17']);
+  assert.strictEqual(applyOutboundPolicy('sales', 'china', ['india'], 'c', row), null);
+  assert.strictEqual(applyOutboundPolicy('sales', 'india', [], 'c', row), null);
+});
+
+test('columns the sender already hashed or generalized under this policy are not transformed again', () => {
+  const sent = applyOutboundPolicy('sales', 'india', ['china'], 'c', { customer_name: 'Asha', total_amount: 134 });
+  const upstream = { checksum: getPolicyInfo().checksum, actions: sent.actions };
+
+  const received = applyPolicy('sales', 'india', 'china', sent.row, upstream);
+  assert.deepStrictEqual(received.row, sent.row);
+  assert.deepStrictEqual(received.actions, { customer_name: 'hash', total_amount: 'generalize' });
+
+  // Under another policy version the receiver applies its own rules in full
+  const stale = applyPolicy('sales', 'india', 'china', sent.row, { ...upstream, checksum: 'other' });
+  assert.notStrictEqual(stale.row.customer_name, sent.row.customer_name);
+});
+
+test('invalid rules stop the policy from loading', () => {
+  const badPath = path.join(dir, 'bad.json');
+  fs.writeFileSync(badPath, JSON.stringify({
+    version: 'bad',
+    defaults: { columns: { phone: { action: 'generalize', method: 'split', separator: ',' } } }
+  }));
+
+  assert.throws(() => loadPolicy(badPath), /split requires a separator and a non-zero integer keep/);
+  assert.strictEqual(getPolicyInfo().version, 'test.1');
+});
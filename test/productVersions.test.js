@@ -0,0 +1,140 @@
+// PUT /api/products/:id with optimistic concurrency, against an in-memory
+// products table whose UPDATE bumps the version like the row version trigger.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.JWT_SECRET = 'test-secret';
+process.env.REGION = 'china';
+
+const { pool } = require('../src/database/dbConnection');
+
+let product;
+let statements;
+let outbox;
+
+const client = {
+  async query(sql, params = []) {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    statements.push(sql.split(' ')[0]);
+
+    if (sql.startsWith('SELECT r.name AS role, rp.permission')) {
+      return { rows: [{ role: 'manager', permission: 'products:write' }] };
+    }
+    if (sql.startsWith('SELECT * FROM products WHERE id = $1 FOR UPDATE')) {
+      return { rows: String(params[0]) === String(product.id) ? [{ ...product }] : [] };
+    }
+    if (sql.startsWith('UPDATE products')) {
+      const [product_name, description, price, stock_quantity, category] = params;
+      Object.assign(product, Object.fromEntries(Object.entries({ product_name, description, price, stock_quantity, category })
+        .filter(([, value]) => value !== undefined && value !== null)));
+      product.version++;
+      product.updated_at = new Date();
+      return { rows: [{ ...product }] };
+    }
+    if (sql.startsWith('INSERT INTO outbox')) {
+      outbox.push(JSON.parse(params[5]).payload.after);
+    }
+    return { rows: [] };
+  },
+  release() {}
+};
+
+pool.connect = async () => client;
+pool.query = (sql, params) => client.query(sql, params);
+
+const productRoutes = require('../src/routes/products.routes');
+
+let server;
+let baseUrl;
+let token;
+
+function update(body, ifMatch) {
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+  if (ifMatch !== undefined) headers['If-Match'] = ifMatch;
+  return fetch(`${baseUrl}/7`, { method: 'PUT', headers, body: JSON.stringify(body) })
+    .then(async res => ({ status: res.status, etag: res.headers.get('ETag'), body: await res.json() }));
+}
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+before(async () => {
+  token = jwt.sign({ user_id: 1, username: 'wei', role: 'manager', region: 'china', type: 'access' }, 'test-secret');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/products', productRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/products`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  product = {
+    id: 7, product_name: 'Green tea', description: null, price: '19.99', stock_quantity: 10,
+    category: 'Tea', created_by_user_id: 1, sync_source: 'china', version: 3, updated_at: new Date()
+  };
+  statements = [];
+  outbox = [];
+});
+
+test('an edit of the current version is applied and returns the next version as ETag', async () => {
+  const res = await quietly(() => update({ stock_quantity: 8 }, '"3"'));
+
+  assert.deepStrictEqual([res.status, res.etag, res.body.product.version], [200, '"4"', 4]);
+  assert.strictEqual(product.stock_quantity, 8);
+  assert.deepStrictEqual(outbox.map(after => after.version), [4]);
+});
+
+test('a stale edit gets 409 with the current product and changes nothing', async () => {
+  const res = await quietly(() => update({ stock_quantity: 8 }, '"2"'));
+
+  assert.deepStrictEqual([res.status, res.etag, res.body.currentVersion], [409, '"3"', 3]);
+  assert.strictEqual(res.body.product.stock_quantity, 10);
+  assert.deepStrictEqual([product.version, product.stock_quantity], [3, 10]);
+  assert.ok(!statements.includes('UPDATE'));
+  assert.ok(statements.includes('ROLLBACK'));
+  assert.deepStrictEqual(outbox, []);
+});
+
+test('the expected version may be a weak ETag or the body version, If-Match first', async () => {
+  assert.strictEqual((await quietly(() => update({ category: 'Green tea' }, 'W/"3"'))).status, 200);
+  assert.strictEqual((await quietly(() => update({ category: 'Tea', version: 4 }))).status, 200);
+  assert.strictEqual((await quietly(() => update({ category: 'Tea', version: 5 }))).status, 200);
+  // If-Match wins over a (stale) body version
+  assert.strictEqual((await quietly(() => update({ category: 'Tea', version: 1 }, '6'))).status, 200);
+  assert.strictEqual((await quietly(() => update({ category: 'Tea', version: 7 }, '"1"'))).status, 409);
+});
+
+test('without a precondition, or with If-Match: *, the edit is not checked', async () => {
+  assert.strictEqual((await quietly(() => update({ stock_quantity: 5 }))).status, 200);
+  assert.strictEqual((await quietly(() => update({ stock_quantity: 4 }, '*'))).status, 200);
+  assert.strictEqual(product.version, 5);
+});
+
+test('a malformed version is refused before the product is touched', async () => {
+  for (const [body, ifMatch] of [
+    [{ stock_quantity: 1 }, 'abc'],
+    [{ stock_quantity: 1 }, '"3", "4"'],
+    [{ stock_quantity: 1 }, '-3'],
+    [{ stock_quantity: 1, version: '3x' }, undefined],
+    [{ stock_quantity: 1, version: 2.5 }, undefined]
+  ]) {
+    const res = await quietly(() => update(body, ifMatch));
+    assert.strictEqual(res.status, 400, JSON.stringify({ body, ifMatch }));
+    assert.match(res.body.error, /must be a product version number/);
+  }
+  assert.ok(!statements.includes('BEGIN'));
+  assert.strictEqual(product.version, 3);
+});
@@ -0,0 +1,207 @@
+// Reconciliation of products between this region (china) and a fake india peer:
+// bucket then row hash comparison, the repair path and the peer API's checks.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.REGION = 'china';
+process.env.PEER_URL = 'http://india.test';
+process.env.API_KEY = 'test-api-key';
+
+const { pool } = require('../src/database/dbConnection');
+
+// Both sides keyed by bucket: { hash, rows: { id: hash } }
+let local;
+let peer;
+let localRows;
+let peerRows;
+let queries;
+let peerCalls;
+let reports;
+
+function bucketList(side) {
+  return Object.entries(side).map(([bucket, { hash, rows }]) => ({
+    bucket: Number(bucket), count: Object.keys(rows).length, hash
+  }));
+}
+
+function rowList(side, bucket) {
+  return Object.entries((side[bucket] || { rows: {} }).rows).map(([id, hash]) => ({ id: Number(id), hash }));
+}
+
+const client = {
+  async query(sql, params = []) {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    queries.push({ sql, params });
+
+    if (sql.includes('FOR UPDATE')) {
+      return { rows: localRows[params[0]] ? [localRows[params[0]]] : [] };
+    }
+    if (sql.startsWith('SELECT * FROM products WHERE id = ANY')) {
+      return { rows: params[0].map(id => localRows[id]).filter(Boolean) };
+    }
+    if (sql.includes('GROUP BY 1')) {
+      return { rows: bucketList(local).map(({ bucket, count, hash }) => ({ bucket: String(bucket), count: String(count), hash })) };
+    }
+    if (sql.includes('WHERE id / $1 = $2')) {
+      return { rows: rowList(local, params[1]) };
+    }
+    if (sql.startsWith('INSERT INTO sync_reconciliation_reports')) {
+      const report = { id: reports.length + 1, status: 'running' };
+      reports.push(report);
+      return { rows: [report] };
+    }
+    if (sql.startsWith('UPDATE sync_reconciliation_reports')) {
+      const report = reports[params[params.length - 1] - 1];
+      Object.assign(report, { status: sql.includes("'completed'") ? 'completed' : 'failed', tables: JSON.parse(params[0]) });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT * FROM sync_reconciliation_reports')) {
+      return { rows: [reports[params[0] - 1]] };
+    }
+    return { rows: [] };
+  },
+  release() {}
+};
+
+pool.query = (sql, params) => client.query(sql, params);
+pool.connect = async () => client;
+
+// The peer's reconciliation API
+const httpFetch = global.fetch;
+global.fetch = async (url, options = {}) => {
+  const path = url.replace('http://india.test/api/reconcile', '');
+  peerCalls.push(path);
+
+  let body;
+  if (/^\/products\/buckets\?/.test(path)) {
+    body = { buckets: bucketList(peer) };
+  } else if (/^\/products\/buckets\/\d+\?/.test(path)) {
+    body = { rows: rowList(peer, path.match(/buckets\/(\d+)/)[1]) };
+  } else if (path === '/products/rows') {
+    body = { rows: JSON.parse(options.body).ids.map(id => peerRows[id]).filter(Boolean) };
+  }
+  return { ok: Boolean(body), status: body ? 200 : 404, json: async () => body };
+};
+
+const { reconciler } = require('../src/kafka/reconciler');
+const reconcileRoutes = require('../src/routes/reconcile.routes');
+
+function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, error });
+  });
+}
+
+function product(id, fields = {}) {
+  return {
+    id, product_name: `Tea ${id}`, description: null, price: '10.00', stock_quantity: 5,
+    category: 'Tea', manufacturer_country: 'China', ...fields
+  };
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/reconcile', reconcileRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/reconcile`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  // Bucket 0 matches; bucket 1 has a differing, a peer-only and a local-only row;
+  // bucket 2 only exists on the peer
+  local = {
+    0: { hash: 'b0', rows: { 1: 'r1', 2: 'r2' } },
+    1: { hash: 'b1-local', rows: { 1001: 'r1001-local', 1003: 'r1003' } }
+  };
+  peer = {
+    0: { hash: 'b0', rows: { 1: 'r1', 2: 'r2' } },
+    1: { hash: 'b1-peer', rows: { 1001: 'r1001-peer', 1002: 'r1002' } },
+    2: { hash: 'b2', rows: { 2000: 'r2000' } }
+  };
+  localRows = { 1001: product(1001), 1003: product(1003) };
+  peerRows = { 1001: product(1001, { stock_quantity: 2 }) };
+  queries = [];
+  peerCalls = [];
+  reports = [];
+  reconciler.running = false;
+});
+
+test('only mismatched buckets are compared row by row', async () => {
+  const report = await quietly(() => reconciler.run({ tables: ['products'] }));
+  const products = report.tables.products;
+
+  assert.deepStrictEqual(peerCalls, [
+    '/products/buckets?bucketSize=1000',
+    '/products/buckets/1?bucketSize=1000',
+    '/products/buckets/2?bucketSize=1000'
+  ]);
+  assert.deepStrictEqual(products.buckets, { local: 2, peer: 3, mismatched: 2 });
+  assert.deepStrictEqual(products.rows, { local: 4, peer: 5 });
+  assert.deepStrictEqual(
+    [products.missingLocal, products.missingPeer, products.different],
+    [['1002', '2000'], ['1003'], ['1001']]
+  );
+  assert.strictEqual(products.repaired, null);
+  assert.ok(!queries.some(({ sql }) => sql.startsWith('UPDATE products') || sql.startsWith('INSERT INTO outbox')));
+});
+
+test('repair pulls the columns the peer owns and republishes the ones this region owns', async () => {
+  const report = await quietly(() => reconciler.run({ tables: ['products'], repair: true }));
+
+  // products: china owns everything but stock_quantity, which india owns
+  assert.deepStrictEqual(peerCalls.slice(-1), ['/products/rows']);
+  const update = queries.find(({ sql }) => sql.startsWith('UPDATE products'));
+  assert.match(update.sql, /^UPDATE products SET stock_quantity = \$1, updated_at = NOW\(\) WHERE id = \$2$/);
+  assert.deepStrictEqual(update.params, [2, 1001]);
+
+  const republished = queries.filter(({ sql }) => sql.startsWith('INSERT INTO outbox'));
+  assert.deepStrictEqual(
+    republished.map(({ params }) => [params[3], params[4]]).sort(),
+    [['1001', 'u'], ['1003', 'c']]
+  );
+  assert.deepStrictEqual(report.tables.products.repaired, { pulled: 1, republished: 2, unresolved: [] });
+});
+
+test('a second reconciliation is refused while one is being created', async () => {
+  const first = reconciler.createReport({ tables: ['products'] });
+  await assert.rejects(reconciler.createReport({ tables: ['products'] }), error => error.status === 409);
+  await first;
+  assert.strictEqual(reports.length, 1);
+});
+
+test('the running flag is released when the report cannot be created', async () => {
+  const query = client.query;
+  client.query = async () => {
+    throw new Error('connection refused');
+  };
+  try {
+    await assert.rejects(reconciler.createReport({}), /connection refused/);
+  } finally {
+    client.query = query;
+  }
+  assert.strictEqual(reconciler.running, false);
+});
+
+test('the peer API refuses malformed bucket sizes and buckets', async () => {
+  const get = path => httpFetch(`${baseUrl}${path}`, { headers: { 'x-api-key': 'test-api-key' } })
+    .then(res => res.status);
+
+  for (const path of ['/products/buckets?bucketSize=0', '/products/buckets?bucketSize=-5', '/products/buckets?bucketSize=abc',
+    '/products/buckets/1?bucketSize=2.5', '/products/buckets/x', '/products/buckets/-1']) {
+    assert.strictEqual(await quietly(() => get(path)), 400, path);
+  }
+  assert.strictEqual(await quietly(() => get('/products/buckets/1?bucketSize=100')), 200);
+});
@@ -0,0 +1,103 @@
+// Messages without a sync origin are audited as rejected, once per event
+// however often they are delivered or retried.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.SYNC_RETRY_INITIAL_DELAY_MS = '1';
+process.env.SYNC_RETRY_MAX_DELAY_MS = '1';
+
+const { pool } = require('../src/database/dbConnection');
+
+let ledger;
+let audits;
+let failAudits;
+let statements;
+
+const client = {
+  async query(sql, params = []) {
+    statements.push(sql.trim().split(/\s+/)[0]);
+
+    if (sql.includes('INSERT INTO sync_processed_events')) {
+      const eventId = params[0];
+      if (ledger.has(eventId)) return { rows: [] };
+      ledger.add(eventId);
+      client.claimedInTransaction.push(eventId);
+      return { rows: [{ event_id: eventId }] };
+    }
+    if (sql.includes('INSERT INTO sync_audit')) {
+      if (failAudits > 0) {
+        failAudits--;
+        throw new Error('could not serialize access');
+      }
+      audits.push({ recordId: params[4], decision: params[8], reason: params[10] });
+      return { rows: [] };
+    }
+    if (sql.trim() === 'COMMIT') {
+      client.claimedInTransaction = [];
+    }
+    if (sql.trim() === 'ROLLBACK') {
+      client.claimedInTransaction.forEach(eventId => ledger.delete(eventId));
+      client.claimedInTransaction = [];
+    }
+    return { rows: [] };
+  },
+  claimedInTransaction: [],
+  release() {}
+};
+
+pool.connect = async () => client;
+pool.query = (sql, params) => client.query(sql, params);
+
+const { handleMessage } = require('../src/kafka/consumer');
+
+function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, warn, error });
+  });
+}
+
+function unattributed(offset) {
+  return {
+    offset: String(offset),
+    key: Buffer.from(JSON.stringify({ id: 4 })),
+    value: Buffer.from(JSON.stringify({ payload: { op: 'u', after: { id: 4 } } })),
+    headers: {}
+  };
+}
+
+beforeEach(() => {
+  ledger = new Set();
+  audits = [];
+  failAudits = 0;
+  statements = [];
+});
+
+test('a rejected message is audited with its event claim, in one transaction', async () => {
+  await quietly(() => handleMessage('sync.products', 0, unattributed(10)));
+
+  assert.deepStrictEqual(audits, [{ recordId: '4', decision: 'rejected', reason: 'missing_sync_origin' }]);
+  assert.deepStrictEqual(statements, ['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+  assert.ok(ledger.has('kafka:sync.products:0:10'));
+});
+
+test('a redelivered rejection is not audited twice', async () => {
+  await quietly(() => handleMessage('sync.products', 0, unattributed(11)));
+  await quietly(() => handleMessage('sync.products', 0, unattributed(11)));
+  await quietly(() => handleMessage('sync.products', 0, unattributed(12)));
+
+  assert.strictEqual(audits.length, 2);
+});
+
+test('a retried rejection is audited once', async () => {
+  failAudits = 2;
+  await quietly(() => handleMessage('sync.products', 0, unattributed(13)));
+
+  assert.strictEqual(audits.length, 1);
+  assert.strictEqual(statements.filter(sql => sql === 'ROLLBACK').length, 2);
+});
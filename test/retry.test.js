@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { withRetry, backoffDelay, isRetryable, nonRetryable } = require('../src/utils/retry');
+
+const FAST = { maxAttempts: 4, initialDelayMs: 1, maxDelayMs: 4, multiplier: 2 };
+
+test('backoff doubles from the initial delay and stops at the maximum', () => {
+  const options = { initialDelayMs: 500, maxDelayMs: 8000, multiplier: 2 };
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(attempt => backoffDelay(attempt, options)),
+    [500, 1000, 2000, 4000, 8000, 8000]);
+});
+
+test('retries until the function succeeds', async () => {
+  const retries = [];
+  const { result, attempts } = await withRetry(async attempt => {
+    if (attempt < 3) throw new Error('connection reset');
+    return 'applied';
+  }, { ...FAST, onRetry: (error, attempt, delay) => retries.push([attempt, delay]) });
+
+  assert.strictEqual(result, 'applied');
+  assert.strictEqual(attempts, 3);
+  assert.deepStrictEqual(retries, [[1, 1], [2, 2]]);
+});
+
+test('gives up after maxAttempts with the attempt count on the error', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new Error('deadlock detected');
+  }, FAST), error => error.message === 'deadlock detected' && error.attempts === 4);
+  assert.strictEqual(calls, 4);
+});
+
+test('non-retryable errors and malformed JSON fail on the first attempt', async () => {
+  assert.strictEqual(isRetryable(nonRetryable('unknown table')), false);
+  assert.strictEqual(isRetryable(new Error('timeout')), true);
+
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    JSON.parse('{not json');
+  }, FAST), SyntaxError);
+  assert.strictEqual(calls, 1);
+});
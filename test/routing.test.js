@@ -0,0 +1,194 @@
+// Topic -> table routing (src/config/syncRoutes.js) and a composite-key table
+// written through resolveBatch against an in-memory stand-in for Postgres.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+
+const { pool } = require('../src/database/dbConnection');
+const syncRoutes = require('../src/config/syncRoutes');
+const schemaRegistry = require('../src/config/schemaRegistry');
+
+const defaultRoutes = syncRoutes.routes;
+
+/**
+ * Load routing.js afresh with the given routes (they are compiled at load)
+ */
+function loadRouting(routes) {
+  syncRoutes.routes = routes;
+  delete require.cache[require.resolve('../src/kafka/routing')];
+  try {
+    return require('../src/kafka/routing');
+  } finally {
+    syncRoutes.routes = defaultRoutes;
+  }
+}
+
+test('the configured topics route to their tables and primary keys', () => {
+  const routing = loadRouting(defaultRoutes);
+
+  assert.deepStrictEqual(
+    ['sync.users', 'sync.products', 'sync.sales'].map(topic => {
+      const { table, primaryKey } = routing.resolveRoute(topic);
+      return [table, primaryKey];
+    }),
+    [['users', ['id']], ['products', ['id']], ['sales', ['id']]]
+  );
+  assert.strictEqual(routing.resolveRoute('sync.categories'), null);
+  assert.strictEqual(routing.getTopicForTable('sales'), 'sync.sales');
+  assert.throws(() => routing.getTopicForTable('categories'), /No sync route for table categories/);
+  assert.deepStrictEqual(routing.getSubscriptions(), ['sync.users', 'sync.products', 'sync.sales']);
+  // REGION defaults to china, which receives products and sales but no users
+  assert.deepStrictEqual(routing.getInboundTopics(), ['sync.products', 'sync.sales']);
+});
+
+test('a pattern routes to the table its wildcard names, and exact topics win', () => {
+  const routing = loadRouting([
+    { topic: 'sync.products', table: 'catalogue', primaryKey: ['sku'] },
+    { topic: 'sync.*', conflict: { strategy: 'highest-version-wins' } }
+  ]);
+
+  assert.strictEqual(routing.resolveRoute('sync.products').table, 'catalogue');
+  const route = routing.resolveRoute('sync.suppliers');
+  assert.deepStrictEqual([route.topic, route.table, route.primaryKey, route.conflict],
+    ['sync.suppliers', 'suppliers', null, { strategy: 'highest-version-wins' }]);
+  // * matches a single segment of table-name characters only
+  assert.strictEqual(routing.resolveRoute('sync.a.b'), null);
+  assert.strictEqual(routing.resolveRoute('sync.Suppliers'), null);
+  assert.strictEqual(routing.resolveRoute('other.suppliers'), null);
+
+  assert.strictEqual(routing.getTopicForTable('suppliers'), 'sync.suppliers');
+  assert.strictEqual(routing.getTopicForTable('catalogue'), 'sync.products');
+  const [exact, pattern] = routing.getSubscriptions();
+  assert.strictEqual(exact, 'sync.products');
+  assert.ok(pattern instanceof RegExp && pattern.test('sync.shipments'));
+});
+
+test('invalid routes are rejected at startup', () => {
+  for (const [route, message] of [
+    [{ table: 'products' }, /topic is required/],
+    [{ topic: 'sync.*.*' }, /at most one \*/],
+    [{ topic: 'sync.*', table: 'products' }, /remove table/],
+    [{ topic: 'sync.products', table: 'products; DROP TABLE users' }, /invalid table name/],
+    [{ topic: 'sync.Products' }, /invalid table name 'Products'/],
+    [{ topic: 'sync.products', primaryKey: [] }, /primaryKey must be a non-empty list/],
+    [{ topic: 'sync.products', primaryKey: 'id' }, /primaryKey must be a non-empty list/],
+    [{ topic: 'sync.products', primaryKey: ['id', 'a-b'] }, /primaryKey must be a non-empty list/]
+  ]) {
+    assert.throws(() => loadRouting([route]), message);
+  }
+});
+
+// A table keyed by (shipment_id, line_no)
+const SHIPMENT_ITEM_COLUMNS = [
+  ['shipment_id', 'integer', 'NO', null],
+  ['line_no', 'integer', 'NO', null],
+  ['sku', 'character varying', 'NO', null],
+  ['quantity', 'integer', 'YES', '1'],
+  ['sync_source', 'character varying', 'YES', null],
+  ['updated_at', 'timestamp without time zone', 'YES', 'now()']
+];
+
+schemaRegistry.tables.shipment_items = {
+  shipment_id: { type: 'int32', optional: false },
+  line_no: { type: 'int32', optional: false },
+  sku: { type: 'string' },
+  quantity: { type: 'int32' },
+  sync_source: { type: 'string' },
+  updated_at: { type: 'int64', name: 'io.debezium.time.MicroTimestamp' }
+};
+
+let existingRows;
+let queries;
+
+const fakeClient = {
+  async query(sql, params = []) {
+    sql = sql.replace(/\s+/g, ' ').trim();
+    queries.push({ sql, params });
+
+    if (sql.includes('information_schema.columns')) {
+      return {
+        rows: SHIPMENT_ITEM_COLUMNS.map(([column_name, data_type, is_nullable, column_default]) => ({
+          column_name, data_type, is_nullable, column_default, character_maximum_length: null
+        }))
+      };
+    }
+    if (sql.includes('information_schema.table_constraints')) {
+      return { rows: [] };
+    }
+    if (sql.includes('RETURNING event_id')) {
+      return { rows: params.filter((_, i) => i % 6 === 0).map(event_id => ({ event_id })) };
+    }
+    if (sql.includes('FOR UPDATE')) {
+      const rows = [];
+      for (let i = 0; i < params.length; i += 2) {
+        const row = existingRows.find(r => r.shipment_id === params[i] && r.line_no === params[i + 1]);
+        if (row) rows.push(row);
+      }
+      return { rows };
+    }
+    return { rows: [], rowCount: 0 };
+  },
+  release() {}
+};
+
+pool.connect = async () => fakeClient;
+pool.query = (sql, params) => fakeClient.query(sql, params);
+
+loadRouting(defaultRoutes);
+const { resolveBatch } = require('../src/kafka/conflictResolver');
+
+function shipmentItemChange(offset, after) {
+  return {
+    topic: 'sync.shipment_items',
+    route: { topic: 'sync.shipment_items', table: 'shipment_items', primaryKey: ['shipment_id', 'line_no'] },
+    partition: 0,
+    offset: String(offset),
+    eventId: `test:${offset}`,
+    key: { shipment_id: after.shipment_id, line_no: after.line_no },
+    value: { payload: { op: 'c', before: null, after, source: { connector: 'postgresql', ts_ms: Date.now() } } },
+    source: 'india',
+    destination: 'china'
+  };
+}
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return fn().finally(() => {
+    console.log = log;
+  });
+}
+
+beforeEach(() => {
+  existingRows = [];
+  queries = [];
+});
+
+test('records of a composite-key table are looked up and upserted by the whole key', async () => {
+  const updatedAt = Date.now() * 1000;
+  const decisions = await quietly(() => resolveBatch([
+    shipmentItemChange(1, { shipment_id: 3, line_no: 1, sku: 'TEA-1', quantity: 2, updated_at: updatedAt }),
+    shipmentItemChange(2, { shipment_id: 3, line_no: 2, sku: 'TEA-2', quantity: 5, updated_at: updatedAt })
+  ]));
+
+  assert.deepStrictEqual(decisions.map(d => d.recordId), ['shipment_id=3,line_no=1', 'shipment_id=3,line_no=2']);
+
+  const lock = queries.find(({ sql }) => sql.startsWith('SELECT * FROM shipment_items'));
+  assert.match(lock.sql, /WHERE \(shipment_id, line_no\) IN \(\(\$1, \$2\), \(\$3, \$4\)\) FOR UPDATE$/);
+  assert.deepStrictEqual(lock.params, [3, 1, 3, 2]);
+
+  const [insert] = queries.filter(({ sql }) => sql.startsWith('INSERT INTO shipment_items'));
+  assert.match(insert.sql, /ON CONFLICT \(shipment_id, line_no\) DO UPDATE SET/);
+  assert.doesNotMatch(insert.sql, /shipment_id = EXCLUDED|line_no = EXCLUDED/);
+});
+
+test('a change missing part of a composite key is skipped unwritten', async () => {
+  const [decision] = await quietly(() => resolveBatch([
+    shipmentItemChange(3, { shipment_id: 3, sku: 'TEA-3', updated_at: Date.now() * 1000 })
+  ]));
+
+  assert.deepStrictEqual([decision.applied, decision.reason], [false, 'missing_record_id']);
+  assert.ok(!queries.some(({ sql }) => sql.startsWith('INSERT INTO shipment_items')));
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { decodeEnvelope, decodeValue, formatDecimal } = require('../src/kafka/schemaDecoder');
+
+const decimal = scale => ({ type: 'bytes', name: 'org.apache.kafka.connect.data.Decimal', parameters: { scale: String(scale) } });
+
+test('Connect decimals decode to exact strings, negative values included', () => {
+  assert.strictEqual(decodeValue('price', 'B88=', decimal(2)), '19.99');
+  assert.strictEqual(decodeValue('price', '/4w=', decimal(2)), '-1.16');
+  assert.strictEqual(formatDecimal(5n, 3), '0.005');
+  assert.strictEqual(formatDecimal(12n, -2), '1200');
+});
+
+test('Debezium dates and timestamps decode without losing precision', () => {
+  assert.strictEqual(decodeValue('sale_date', 20379, { type: 'int32', name: 'io.debezium.time.Date' }), '2025-10-18');
+  assert.strictEqual(
+    decodeValue('updated_at', 1760788800123456, { type: 'int64', name: 'io.debezium.time.MicroTimestamp' }),
+    '2025-10-18T12:00:00.123456Z'
+  );
+  assert.strictEqual(decodeValue('opens_at', 34200000000, { type: 'int64', name: 'io.debezium.time.MicroTime' }), '09:30:00.000000');
+});
+
+test('values that contradict their schema are rejected without retries', () => {
+  const cases = [
+    () => decodeValue('quantity', '3', { type: 'int32' }),
+    () => decodeValue('id', null, { type: 'int32', optional: false }),
+    () => decodeValue('shape', 'x', { type: 'string', name: 'io.debezium.data.geometry.Point' })
+  ];
+
+  for (const decode of cases) {
+    assert.throws(decode, error => error.retryable === false && /^Schema error: /.test(error.message));
+  }
+});
+
+test('messages without a schema section are decoded with the registry', () => {
+  const { before, after, schemaSource, undeclared } = decodeEnvelope('products', {
+    payload: {
+      op: 'u',
+      before: { id: 2, price: 'B88=' },
+      after: { id: 2, price: 'B9A=', stock_quantity: 7, warehouse: 'Pune' },
+      source: { connector: 'postgresql' }
+    }
+  });
+
+  assert.strictEqual(schemaSource, 'registry');
+  assert.deepStrictEqual(before, { id: 2, price: '19.99' });
+  assert.deepStrictEqual(after, { id: 2, price: '20.00', stock_quantity: 7, warehouse: 'Pune' });
+  assert.deepStrictEqual(undeclared, ['warehouse']);
+});
+
+test('an embedded schema section takes precedence over the registry', () => {
+  const { after, schemaSource } = decodeEnvelope('products', {
+    schema: {
+      fields: [{ field: 'after', fields: [{ field: 'id', type: 'int32' }, { field: 'price', ...decimal(3) }] }]
+    },
+    payload: { op: 'c', after: { id: 9, price: 'B88=' }, source: { connector: 'postgresql' } }
+  });
+
+  assert.strictEqual(schemaSource, 'embedded');
+  assert.deepStrictEqual(after, { id: 9, price: '1.999' });
+});
+
+test('outbox and import envelopes are already JSON-native', () => {
+  const after = { id: 3, price: '12.50', updated_at: '2026-10-18T12:00:00.000Z' };
+  const decoded = decodeEnvelope('products', { payload: { op: 'c', after, source: { connector: 'outbox' } } });
+
+  assert.strictEqual(decoded.schemaSource, 'native');
+  assert.strictEqual(decoded.after, after);
+});
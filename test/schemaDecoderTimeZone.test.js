@@ -0,0 +1,28 @@
+// Timestamps decoded in a process far from UTC: the output must not depend on
+// the local time zone. TZ is set before anything creates a Date.
+
+process.env.TZ = 'Asia/Kolkata';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { decodeValue } = require('../src/kafka/schemaDecoder');
+
+test('timestamps decode to the same UTC instant under a non-UTC TZ', () => {
+  assert.strictEqual(new Date(0).getTimezoneOffset(), -330);
+
+  for (const [name, value, expected] of [
+    ['io.debezium.time.Timestamp', 1760788800123, '2025-10-18T12:00:00.123Z'],
+    ['org.apache.kafka.connect.data.Timestamp', 1760788800123, '2025-10-18T12:00:00.123Z'],
+    ['io.debezium.time.MicroTimestamp', 1760788800123456, '2025-10-18T12:00:00.123456Z'],
+    ['io.debezium.time.NanoTimestamp', 1760788800123456789, '2025-10-18T12:00:00.123Z'],
+    // Just before midnight UTC is already the next day in Kolkata
+    ['io.debezium.time.MicroTimestamp', 1760831999999999, '2025-10-18T23:59:59.999999Z']
+  ]) {
+    const decoded = decodeValue('updated_at', value, { type: 'int64', name });
+    assert.strictEqual(decoded, expected, name);
+    // Parsed back here it is still the same instant, not one 5:30 off
+    assert.strictEqual(new Date(decoded).toISOString().slice(0, 23), expected.slice(0, 23));
+  }
+  assert.strictEqual(decodeValue('sale_date', 20379, { type: 'int32', name: 'io.debezium.time.Date' }), '2025-10-18');
+});
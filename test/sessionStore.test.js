@@ -0,0 +1,132 @@
+// Refresh token rotation against in-memory auth_sessions, auth_refresh_tokens
+// and auth_revoked_tokens tables.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { pool } = require('../src/database/dbConnection');
+
+let sessions;
+let refreshTokens;
+let revokedTokens;
+let users;
+
+const db = {
+  async query(sql, params = []) {
+    sql = sql.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('INSERT INTO auth_sessions')) {
+      const [id, user_id, , , mfa, expires_at] = params;
+      sessions.set(id, { id, user_id, mfa, expires_at, revoked_at: null, revoked_reason: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO auth_refresh_tokens')) {
+      const [token_hash, session_id, access_jti, access_expires_at] = params;
+      refreshTokens.set(token_hash, { token_hash, session_id, access_jti, access_expires_at, used_at: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT t.token_hash')) {
+      const token = refreshTokens.get(params[0]);
+      if (!token) return { rows: [] };
+      const session = sessions.get(token.session_id);
+      return { rows: [{ ...token, ...session, session_id: session.id }] };
+    }
+    if (sql.startsWith('UPDATE auth_sessions SET revoked_at')) {
+      // revokeSessionsWhere with "id = $1"
+      const session = sessions.get(params[0]);
+      if (!session || session.revoked_at) return { rows: [] };
+      Object.assign(session, { revoked_at: new Date(), revoked_reason: params[params.length - 1] });
+      return { rows: [{ id: session.id }] };
+    }
+    if (sql.startsWith('INSERT INTO auth_revoked_tokens')) {
+      const [ids, reason] = params;
+      for (const token of refreshTokens.values()) {
+        if (ids.includes(token.session_id) && token.access_expires_at > new Date()) {
+          revokedTokens.set(token.access_jti, reason);
+        }
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT * FROM users')) {
+      const user = users.get(params[0]);
+      return { rows: user && user.is_active ? [user] : [] };
+    }
+    if (sql.startsWith('UPDATE auth_refresh_tokens SET used_at')) {
+      refreshTokens.get(params[0]).used_at = new Date();
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT 1 FROM auth_revoked_tokens')) {
+      return { rows: revokedTokens.has(params[0]) ? [{}] : [] };
+    }
+    return { rows: [] };
+  },
+  release() {}
+};
+
+pool.query = (sql, params) => db.query(sql, params);
+pool.connect = async () => db;
+
+const { createSession, rotateRefreshToken, isAccessTokenRevoked } = require('../src/auth/sessionStore');
+
+function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  return fn().finally(() => {
+    console.warn = warn;
+  });
+}
+
+beforeEach(() => {
+  sessions = new Map();
+  refreshTokens = new Map();
+  revokedTokens = new Map();
+  users = new Map([[1, { id: 1, username: 'wei', role: 'manager', is_active: true }]]);
+});
+
+test('a refresh token is exchanged for a new pair of the same session', async () => {
+  const session = await createSession(users.get(1), 'china', { mfa: true });
+  const rotated = await rotateRefreshToken(session.refreshToken, 'china');
+
+  assert.strictEqual(rotated.sessionId, session.sessionId);
+  assert.notStrictEqual(rotated.refreshToken, session.refreshToken);
+  // The second factor of the session carries over to its new access token
+  assert.strictEqual(jwt.decode(rotated.accessToken).mfa, true);
+  assert.strictEqual(sessions.get(session.sessionId).revoked_at, null);
+});
+
+test('reusing a rotated refresh token revokes the session and its live access tokens', async () => {
+  const session = await createSession(users.get(1), 'china');
+  const rotated = await rotateRefreshToken(session.refreshToken, 'china');
+
+  await assert.rejects(quietly(() => rotateRefreshToken(session.refreshToken, 'china')),
+    error => error.status === 403 && /already used/.test(error.message));
+
+  assert.strictEqual(sessions.get(session.sessionId).revoked_reason, 'refresh_token_reuse');
+  assert.strictEqual(await isAccessTokenRevoked(jwt.decode(session.accessToken).jti), true);
+  assert.strictEqual(await isAccessTokenRevoked(jwt.decode(rotated.accessToken).jti), true);
+
+  // Whoever holds the newest token is logged out too
+  await assert.rejects(rotateRefreshToken(rotated.refreshToken, 'china'),
+    error => error.status === 403 && /Session has ended/.test(error.message));
+});
+
+test('tokens that are not refresh tokens of a stored session are refused', async () => {
+  const session = await createSession(users.get(1), 'china');
+
+  await assert.rejects(rotateRefreshToken(session.accessToken, 'china'), error => error.status === 403);
+  await assert.rejects(rotateRefreshToken('not-a-jwt', 'china'), error => error.status === 403);
+
+  const unknown = jwt.sign({ user_id: 1, sid: session.sessionId, type: 'refresh' }, 'test-secret');
+  await assert.rejects(rotateRefreshToken(unknown, 'china'), /Session has ended/);
+});
+
+test('a deactivated user cannot refresh and the session ends', async () => {
+  const session = await createSession(users.get(1), 'china');
+  users.get(1).is_active = false;
+
+  await assert.rejects(rotateRefreshToken(session.refreshToken, 'china'), /inactive/);
+  assert.strictEqual(sessions.get(session.sessionId).revoked_reason, 'user_inactive');
+});
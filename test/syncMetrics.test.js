@@ -0,0 +1,117 @@
+// Prometheus metrics and the per-minute rollups persisted for long-range percentiles
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.METRICS_PERSIST_ROLLUPS = 'true';
+
+const { pool } = require('../src/database/dbConnection');
+
+let persisted;
+let failPersist;
+pool.query = async (sql, params) => {
+  if (sql.includes('INSERT INTO sync_metric_rollups')) {
+    if (failPersist) throw new Error('connection refused');
+    persisted.push(params);
+  }
+  return { rows: [] };
+};
+
+const { syncMetrics } = require('../src/utils/syncMetrics');
+const { metricsRollup, LATENCY_BUCKETS_MS, percentileFromBuckets } = require('../src/utils/metricsRollup');
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+beforeEach(() => {
+  persisted = [];
+  failPersist = false;
+  metricsRollup.pending.clear();
+});
+
+test('changes are counted per direction, table, outcome and reason', async () => {
+  syncMetrics.recordDecision({ source: 'india', destination: 'china', table: 'sales', applied: true, reason: 'new_record' });
+  syncMetrics.recordDecision({ source: 'india', destination: 'china', table: 'sales', applied: false, reason: 'stale_update' });
+  syncMetrics.recordFailure({ table: 'sales', reason: 'non_retryable' });
+  syncMetrics.recordRejection({ destination: 'china', table: 'sales', reason: 'missing_sync_origin' });
+  syncMetrics.setConsumerLag('sync.sales', 0, '42');
+
+  const text = await syncMetrics.getPrometheusMetrics();
+  for (const line of [
+    'sync_changes_total{source="india",destination="china",table="sales",outcome="applied",reason="new_record"} 1',
+    'sync_changes_total{source="india",destination="china",table="sales",outcome="skipped",reason="stale_update"} 1',
+    'sync_changes_total{source="unknown",destination="unknown",table="sales",outcome="failed",reason="non_retryable"} 1',
+    'sync_changes_total{source="unknown",destination="china",table="sales",outcome="rejected",reason="missing_sync_origin"} 1',
+    'sync_consumer_lag{topic="sync.sales",partition="0"} 42'
+  ]) {
+    assert.ok(text.includes(line), line);
+  }
+});
+
+test('latencies feed the histogram and the recent per-direction stats', async () => {
+  quietly(() => {
+    syncMetrics.recordSync('vietnam', 'china', 'products', 1, 40);
+    syncMetrics.recordSync('vietnam', 'china', 'products', 2, 700);
+  });
+
+  const text = await syncMetrics.getPrometheusMetrics();
+  assert.ok(text.includes('sync_latency_seconds_bucket{le="0.05",source="vietnam",destination="china",table="products"} 1'));
+  assert.ok(text.includes('sync_latency_seconds_count{source="vietnam",destination="china",table="products"} 2'));
+
+  const stats = syncMetrics.getStats('vietnam-to-china');
+  assert.deepStrictEqual([stats.totalSyncs, stats.minLatencyMs, stats.maxLatencyMs, stats.p50LatencyMs], [2, 40, 700, 40]);
+  assert.deepStrictEqual(syncMetrics.getInboundStats('china', ['india']).receives_from.sort(), ['india', 'vietnam']);
+});
+
+test('rollups are persisted per minute and direction with their bucket counts', async () => {
+  metricsRollup.recordLatency('india', 'china', 'sales', 80);
+  metricsRollup.recordLatency('india', 'china', 'sales', 400000);
+  metricsRollup.recordOutcome('india', 'china', 'sales', 'applied');
+  metricsRollup.recordOutcome('india', 'china', 'products', 'failed');
+  await metricsRollup.flush();
+
+  assert.strictEqual(persisted.length, 2);
+  const sales = persisted.find(params => params[3] === 'sales');
+  const [, source, destination, , count, sum, min, max, buckets, applied, skipped, failed] = sales;
+  assert.deepStrictEqual([source, destination, count, sum, min, max, applied, skipped, failed],
+    ['india', 'china', 2, 400080, 80, 400000, 1, 0, 0]);
+  assert.strictEqual(buckets.length, LATENCY_BUCKETS_MS.length + 1);
+  assert.strictEqual(buckets[1], 1);
+  assert.strictEqual(buckets[LATENCY_BUCKETS_MS.length], 1);
+  assert.strictEqual(metricsRollup.pending.size, 0);
+});
+
+test('a failed flush keeps the rollups for the next one', async () => {
+  metricsRollup.recordLatency('india', 'china', 'sales', 120);
+  failPersist = true;
+  await assert.rejects(metricsRollup.flush(), /connection refused/);
+
+  metricsRollup.recordLatency('india', 'china', 'sales', 130);
+  failPersist = false;
+  await metricsRollup.flush();
+
+  assert.strictEqual(persisted.length, 1);
+  assert.deepStrictEqual(persisted[0].slice(4, 8), [2, 250, 120, 130]);
+});
+
+test('percentiles are interpolated inside the latency buckets', () => {
+  const buckets = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+  // 100 syncs: 50 in (0, 50], 40 in (50, 100], 10 in (100, 250]
+  buckets[0] = 50;
+  buckets[1] = 40;
+  buckets[2] = 10;
+
+  assert.strictEqual(percentileFromBuckets(buckets, 0.5, 5, 240), 50);
+  assert.strictEqual(percentileFromBuckets(buckets, 0.7, 5, 240), 75);
+  assert.strictEqual(percentileFromBuckets(buckets, 0.95, 5, 240), 175);
+  // Never outside the observed range
+  assert.strictEqual(percentileFromBuckets(buckets, 0.99, 5, 200), 200);
+  assert.strictEqual(percentileFromBuckets(new Array(buckets.length).fill(0), 0.5, null, null), 0);
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { fitRow, recordSchemaDrift } = require('../src/kafka/tableSchema');
+
+const schema = {
+  table: 'products',
+  primaryKey: ['id'],
+  columns: {
+    id: { dataType: 'integer', nullable: false, hasDefault: true, maxLength: null },
+    product_name: { dataType: 'character varying', nullable: false, hasDefault: false, maxLength: 10 },
+    price: { dataType: 'numeric', nullable: false, hasDefault: false, maxLength: null },
+    stock_quantity: { dataType: 'integer', nullable: true, hasDefault: true, maxLength: null },
+    created_at: { dataType: 'timestamp without time zone', nullable: false, hasDefault: true, maxLength: null }
+  }
+};
+
+let queries;
+const db = {
+  async query(sql, params) {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+    return { rows: [] };
+  }
+};
+
+function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  return fn().finally(() => {
+    console.warn = warn;
+  });
+}
+
+beforeEach(() => {
+  queries = [];
+});
+
+test('columns the table does not have are set aside', () => {
+  const fit = fitRow(schema, { id: 1, product_name: 'Tea', price: '2.50', warehouse: 'Pune' }, { insert: false });
+  assert.deepStrictEqual(fit.row, { id: 1, product_name: 'Tea', price: '2.50' });
+  assert.deepStrictEqual(fit.unknownColumns, ['warehouse']);
+});
+
+test('values the column type cannot hold are set aside', () => {
+  const fit = fitRow(schema, { id: 1, product_name: 'Darjeeling first flush', price: 'n/a', stock_quantity: 1.5 }, { insert: false });
+  assert.deepStrictEqual(fit.row, { id: 1 });
+  assert.deepStrictEqual(fit.mismatchedColumns, ['product_name', 'price', 'stock_quantity']);
+});
+
+test('on insert, missing NOT NULL columns without a default are reported and nothing is invented', () => {
+  const fit = fitRow(schema, { product_name: 'Tea' }, { insert: true });
+  // id, stock_quantity and created_at keep their Postgres defaults
+  assert.deepStrictEqual(fit.row, { product_name: 'Tea' });
+  assert.deepStrictEqual(fit.missingColumns, ['price']);
+
+  assert.deepStrictEqual(fitRow(schema, { product_name: 'Tea' }, { insert: false }).missingColumns, []);
+});
+
+test('unknown and mismatched values are recorded as drift and parked for backfill', async () => {
+  const row = { id: 4, price: 'n/a', warehouse: 'Pune' };
+  const fit = fitRow(schema, row, { insert: false });
+  await quietly(() => recordSchemaDrift(db, { tableName: 'products', recordId: 4, row, fit }));
+
+  const drift = queries.filter(({ sql }) => sql.startsWith('INSERT INTO sync_schema_drift'));
+  assert.deepStrictEqual(drift.map(({ params }) => params.slice(0, 3)), [
+    ['products', 'warehouse', 'unknown_column'],
+    ['products', 'price', 'type_mismatch']
+  ]);
+
+  const parked = queries.filter(({ sql }) => sql.startsWith('INSERT INTO sync_parked_columns'));
+  assert.deepStrictEqual(parked.map(({ params }) => params), [
+    ['products', '4', 'warehouse', '"Pune"'],
+    ['products', '4', 'price', '"n/a"']
+  ]);
+});
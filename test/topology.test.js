@@ -0,0 +1,154 @@
+// A third region (Vietnam) receiving products from both China and India:
+// the topology helpers, which messages the consumer accepts, and per-direction metrics.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.KAFKAJS_NO_PARTITIONER_WARNING = '1';
+process.env.REGION = 'vietnam';
+
+const topology = require('../src/config/topology');
+
+const threeRegions = {
+  regions: {
+    china: { name: 'China', country: 'China' },
+    india: { name: 'India', country: 'India' },
+    vietnam: { name: 'Vietnam', country: 'Vietnam' }
+  },
+  flows: {
+    default: [],
+    users: [],
+    products: ['china->india', 'india->china', 'china->vietnam', 'india->vietnam'],
+    sales: ['india->china', 'vietnam->china']
+  }
+};
+Object.assign(topology, threeRegions);
+
+/**
+ * Load utils/topology.js afresh against another topology (it is validated at load)
+ */
+function loadTopology(overrides) {
+  Object.assign(topology, overrides);
+  delete require.cache[require.resolve('../src/utils/topology')];
+  try {
+    return require('../src/utils/topology');
+  } finally {
+    Object.assign(topology, threeRegions);
+    delete require.cache[require.resolve('../src/utils/topology')];
+    require('../src/utils/topology');
+  }
+}
+
+let resolved;
+require('../src/kafka/conflictResolver').resolveConflict = async input => {
+  resolved.push(input);
+  return { table: input.route.table, source: input.source, destination: input.destination, applied: true, reason: 'new_record' };
+};
+
+const { getSources, getDestinations, getPeerRegion, isFlowAllowed, describeTopology } = require('../src/utils/topology');
+const { handleMessage } = require('../src/kafka/consumer');
+const { syncMetrics } = require('../src/utils/syncMetrics');
+const { bootstrapRunner } = require('../src/kafka/bootstrap');
+const { reconciler } = require('../src/kafka/reconciler');
+
+function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return fn().finally(() => {
+    Object.assign(console, { log, warn, error });
+  });
+}
+
+let offset = 0;
+
+function change(topic, origin) {
+  const message = {
+    offset: String(++offset),
+    key: Buffer.from(JSON.stringify({ id: offset })),
+    value: Buffer.from(JSON.stringify({ payload: { op: 'u', after: { id: offset }, _sync_origin: origin } })),
+    headers: {}
+  };
+  return quietly(() => handleMessage(topic, 0, message));
+}
+
+beforeEach(() => {
+  resolved = [];
+});
+
+test('a region receives from and sends to the regions its flows name', () => {
+  assert.deepStrictEqual(getSources().sort(), ['china', 'india']);
+  assert.deepStrictEqual(getSources('vietnam', 'sales'), []);
+  assert.deepStrictEqual(getDestinations(), ['china']);
+  assert.deepStrictEqual(getDestinations('china', 'products').sort(), ['india', 'vietnam']);
+  assert.strictEqual(isFlowAllowed('products', 'india', 'vietnam'), true);
+  assert.strictEqual(isFlowAllowed('products', 'vietnam', 'india'), false);
+  // Tables without flows of their own use default
+  assert.strictEqual(isFlowAllowed('categories', 'china', 'vietnam'), false);
+
+  const described = describeTopology();
+  assert.deepStrictEqual(described.region, { id: 'vietnam', name: 'Vietnam', country: 'Vietnam' });
+  assert.strictEqual(described.regions.length, 3);
+});
+
+test('the consumer accepts the flows into this region and nothing else', async () => {
+  await change('sync.products', 'china');
+  await change('sync.products', 'india');
+  assert.deepStrictEqual(resolved.map(input => [input.source, input.destination, input.route.table]), [
+    ['china', 'vietnam', 'products'],
+    ['india', 'vietnam', 'products']
+  ]);
+
+  // Not a flow into Vietnam, its own change echoed back, and a region outside the topology
+  await change('sync.sales', 'india');
+  await change('sync.products', 'vietnam');
+  await change('sync.products', 'japan');
+  assert.strictEqual(resolved.length, 2);
+});
+
+test('metrics are kept per source -> destination pair', async () => {
+  syncMetrics.recordSync('china', 'vietnam', 'products', 1, 30);
+  syncMetrics.recordSync('india', 'vietnam', 'products', 2, 90);
+
+  const inbound = syncMetrics.getInboundStats('vietnam', getSources());
+  assert.deepStrictEqual(inbound.receives_from.sort(), ['china', 'india']);
+  assert.strictEqual(inbound.directions['china-to-vietnam'].totalSyncs, 1);
+  assert.strictEqual(inbound.directions['india-to-vietnam'].maxLatencyMs, 90);
+
+  // Decisions on the changes accepted above
+  const text = await syncMetrics.getPrometheusMetrics();
+  for (const source of ['china', 'india']) {
+    assert.ok(text.includes(`sync_changes_total{source="${source}",destination="vietnam",table="products",outcome="applied",reason="new_record"} 1`));
+  }
+});
+
+test('a REGION or flow outside the topology is rejected at startup', () => {
+  assert.throws(() => loadTopology({ regions: { china: threeRegions.regions.china } }), /REGION 'vietnam' is not one of china/);
+  for (const flow of ['china->japan', 'china->china', 'china-vietnam']) {
+    assert.throws(() => loadTopology({ flows: { products: [flow] } }), new RegExp(`invalid flow '${flow}'`));
+  }
+  assert.throws(() => loadTopology({ flows: { products: 'china->vietnam' } }), /must be a list/);
+});
+
+test('reconciliation and the bootstrap default refuse to pick one of several peers', async () => {
+  assert.throws(() => getPeerRegion(), /vietnam must exchange changes with exactly one peer region, not china, india/);
+  assert.throws(() => getPeerRegion('china'), /not india, vietnam/);
+  await assert.rejects(reconciler.createReport({ triggeredBy: 'test' }), /exactly one peer region/);
+  assert.strictEqual(reconciler.running, false);
+
+  assert.throws(() => bootstrapRunner.validateOptions({ source: 'kafka' }),
+    error => error.status === 400 && /sourceRegion is required: vietnam receives changes from china, india/.test(error.message));
+  assert.throws(() => bootstrapRunner.validateOptions({ source: 'kafka', sourceRegion: 'vietnam' }),
+    error => error.status === 400 && /got vietnam/.test(error.message));
+  assert.strictEqual(bootstrapRunner.validateOptions({ source: 'kafka', sourceRegion: 'india' }).sourceRegion, 'india');
+
+  // With China and India only linked to each other, each is the other's peer
+  const { flows } = topology;
+  topology.flows = { products: ['china->india', 'india->china'], sales: ['india->china'] };
+  try {
+    assert.deepStrictEqual([getPeerRegion('china'), getPeerRegion('india')], ['india', 'china']);
+  } finally {
+    topology.flows = flows;
+  }
+});
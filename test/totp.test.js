@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { hotp, totp, verifyTotp, base32Encode, base32Decode, otpauthUri } = require('../src/auth/totp');
+
+// RFC 6238 appendix B: the ASCII digits repeated to the hash's key length
+const SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+// [unix time, sha1, sha256, sha512] with 8 digits and a 30 second period
+const VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826']
+];
+
+test('RFC 6238 test vectors', () => {
+  for (const [seconds, ...expected] of VECTORS) {
+    ['sha1', 'sha256', 'sha512'].forEach((algorithm, i) => {
+      assert.strictEqual(totp(SEEDS[algorithm], { time: seconds * 1000, digits: 8, algorithm }), expected[i],
+        `${algorithm} at ${seconds}`);
+    });
+  }
+});
+
+test('RFC 4226 HOTP test vectors', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  assert.deepStrictEqual(expected.map((_, counter) => hotp(SEEDS.sha1, counter)), expected);
+});
+
+test('base32 round trip (RFC 4648 vector)', () => {
+  assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.ok(base32Decode('mzxw 6ytb oi').equals(Buffer.from('foobar')));
+  assert.ok(base32Decode(base32Encode(SEEDS.sha1)).equals(SEEDS.sha1));
+});
+
+test('codes from the neighbouring steps are accepted for clock drift, older ones are not', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(time / 30000);
+
+  assert.strictEqual(verifyTotp(SEEDS.sha1, totp(SEEDS.sha1, { time }), { time }), step);
+  assert.strictEqual(verifyTotp(SEEDS.sha1, totp(SEEDS.sha1, { time: time - 30000 }), { time }), step - 1);
+  assert.strictEqual(verifyTotp(SEEDS.sha1, totp(SEEDS.sha1, { time: time + 30000 }), { time }), step + 1);
+  assert.strictEqual(verifyTotp(SEEDS.sha1, totp(SEEDS.sha1, { time: time - 60000 }), { time }), null);
+});
+
+test('malformed codes are refused', () => {
+  for (const code of ['', '12345', '1234567', 'abcdef', null]) {
+    assert.strictEqual(verifyTotp(SEEDS.sha1, code), null);
+  }
+});
+
+test('otpauth URI carries the secret and issuer for authenticator apps', () => {
+  const uri = otpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'li wei', issuer: 'China Store' });
+  assert.strictEqual(uri,
+    'otpauth://totp/China%20Store:li%20wei?secret=JBSWY3DPEHPK3PXP&issuer=China+Store&algorithm=SHA1&digits=6&period=30');
+});